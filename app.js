@@ -12,26 +12,122 @@ class CivilSuiteApp {
             this.showError('calculationEngine not loaded! Check script order.');
             return;
         }
+        if (typeof window.materialLibrary === 'undefined') {
+            console.error('materialLibrary not loaded! Check script order.');
+            this.showError('materialLibrary not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.designCodes === 'undefined') {
+            console.error('designCodes not loaded! Check script order.');
+            this.showError('designCodes not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.loadCombinations === 'undefined') {
+            console.error('loadCombinations not loaded! Check script order.');
+            this.showError('loadCombinations not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.frameAnalysis === 'undefined') {
+            console.error('frameAnalysis not loaded! Check script order.');
+            this.showError('frameAnalysis not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.costOptimizer === 'undefined') {
+            console.error('costOptimizer not loaded! Check script order.');
+            this.showError('costOptimizer not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.parametricStudy === 'undefined') {
+            console.error('parametricStudy not loaded! Check script order.');
+            this.showError('parametricStudy not loaded! Check script order.');
+            return;
+        }
+        if (typeof window.reliability === 'undefined') {
+            console.error('reliability not loaded! Check script order.');
+            this.showError('reliability not loaded! Check script order.');
+            return;
+        }
 
         this.state = {
             units: this.getUnitConfig('metric'),
+            designCode: window.designCodes.activeId,
             beam: {
                 type: 'simply-supported',
                 L: 6.0, b: 230, D: 450,
+                sectionType: 'rectangular', Df: 120, spacing: 3000,
                 DL: 10.0, LL: 15.0,
                 fck: 25, fy: 500, cover: 25,
+                stirrupLegs: 'auto',
+                Tu: 0,
+                loadingAge: 28, sustainedFraction: 0.5,
+                exposure: 'moderate',
+                loads: [],
+                spans: [], settlements: [],
+                overhangLeft: 0, overhangRight: 0,
+                analysis: 'stiffness',
+                frameActions: null
             },
             column: {
                 type: 'rectangular',
                 width: 300, depth: 450, height: 3.0,
-                axialLoad: 1000, momentX: 50, momentY: 30,
-                fck: 25, fy: 500
+                loadCases: {
+                    DL: { P: 600, Mx: 30, My: 18 },
+                    LL: { P: 400, Mx: 20, My: 12 },
+                    RLL: { P: 0, Mx: 0, My: 0 },
+                    WL: { P: 0, Mx: 0, My: 0 },
+                    EL: { P: 0, Mx: 0, My: 0 }
+                },
+                fck: 25, fy: 500,
+                // Cover clear to the main bars; bars per face count the corner bars
+                cover: 40, barDia: 'auto', barsWidth: 3, barsDepth: 3,
+                // An automatic layout picks the bars per face (or round a circle) as well as the size
+                barLayout: 'auto',
+                // Circular columns: bars round the section, held by ties or a helix (bar size and pitch in mm)
+                diameter: 450, barCount: 6, lateral: 'helix', helixDia: 8, helixPitch: 50,
+                // Effective length about each axis from an IS 456 Table 28 end condition, or from the
+                // restraint factors β = ΣKc / (ΣKc + ΣKb) at the top and bottom (0 fixed, 1 pinned)
+                restraint: {
+                    method: 'conditions', sway: false,
+                    x: { condition: 'a', top: 0.5, bottom: 0.5 },
+                    y: { condition: 'a', top: 0.5, bottom: 0.5 }
+                }
             },
             slab: {
                 type: 'one-way',
+                // IS 456 Table 26 edge conditions of a two-way panel
+                panel: 'four-edges',
+                // Equal spans of a continuous one-way slab, designed by the Table 12 and 13 coefficients
+                spanCount: 4,
                 length: 5.0, width: 4.0, thickness: 150,
                 DL: 2.5, LL: 3.0,
-                fck: 25, fy: 500, cover: 20
+                fck: 25, fy: 500, cover: 20,
+                exposure: 'moderate'
+            },
+            influence: {
+                enabled: false,
+                quantity: 'moment',
+                section: 3.0,
+                preset: 'irc-class-a',
+                ...this.getAxleTrainPreset('irc-class-a'),
+                impact: 0
+            },
+            frame: this.getDefaultFrame(),
+            combinations: {
+                enabled: {}
+            },
+            materials: window.materialLibrary.custom,
+            optimizer: window.costOptimizer.getDefaultSettings(),
+            study: {
+                module: 'beam',
+                x: { key: 'D', from: 300, to: 700, steps: 8 },
+                y: { key: '', from: 0, to: 0, steps: 4 },
+                output: 'utilization'
+            },
+            reliability: {
+                module: 'beam',
+                samples: 5000,
+                seed: 1,
+                variables: {}
             },
             bbs: {
                 bars: [],
@@ -88,14 +184,101 @@ class CivilSuiteApp {
             if (key && this.state.beam[key] !== undefined) {
                 this.state.beam[key] = isNaN(parseFloat(value)) ? value : parseFloat(value);
                 
-                // Update beam visual if beam type changes
-                if (id === 'beamType') {
+                if (this.state.beam.type === 'continuous') {
+                    this.ensureBeamSpans();
+                }
+                
+                // Update beam visual if beam type or span changes
+                if (id === 'beamType' || id === 'beamLength' || id === 'beamSectionType' || id.startsWith('beamOverhang')) {
+                    this.ui.updateBeamModeVisibility();
+                    this.ui.renderBeamSpanTable();
                     this.ui.renderBeamVisual();
                 }
                 
                 this.runActiveAnalysis();
             }
         }
+        
+        // Handle influence line inputs
+        const influenceKey = this.getInfluencePropertyKey(id);
+        if (influenceKey) {
+            this.updateInfluenceSetting(influenceKey, value);
+        }
+        
+        // Handle column inputs
+        if (id.startsWith('column')) {
+            const key = this.getColumnPropertyKey(id);
+            if (key && this.state.column[key] !== undefined) {
+                this.state.column[key] = isNaN(parseFloat(value)) ? value : parseFloat(value);
+                
+                // The shape and lateral steel change the inputs shown; sampled dimensions follow the shape
+                if (id === 'columnType') delete this.state.reliability.variables.column;
+                if (id === 'columnType' || id === 'columnLateral' || id === 'columnBarLayout') this.ui.renderColumnDesign();
+            }
+        }
+        
+        // Handle slab inputs
+        if (id.startsWith('slab')) {
+            const key = this.getSlabPropertyKey(id);
+            if (key && this.state.slab[key] !== undefined) {
+                this.state.slab[key] = isNaN(parseFloat(value)) ? value : parseFloat(value);
+                
+                // Two-way and continuous slabs show their own inputs and the steel of each location
+                if (id === 'slabType') this.ui.renderSlabDesign();
+            }
+        }
+    }
+
+    getSlabPropertyKey(id) {
+        const keyMap = {
+            'slabType': 'type',
+            'slabPanel': 'panel',
+            'slabSpanCount': 'spanCount',
+            'slabLength': 'length',
+            'slabWidth': 'width',
+            'slabThickness': 'thickness',
+            'slabDL': 'DL',
+            'slabLL': 'LL',
+            'slabFck': 'fck',
+            'slabFy': 'fy',
+            'slabCover': 'cover',
+            'slabExposure': 'exposure'
+        };
+        return keyMap[id];
+    }
+
+    getInfluencePropertyKey(id) {
+        const keyMap = {
+            'beamIldQuantity': 'quantity',
+            'beamIldSection': 'section',
+            'beamAxlePreset': 'preset',
+            'beamAxleLoads': 'axleLoads',
+            'beamAxleSpacings': 'axleSpacings',
+            'beamImpactFactor': 'impact'
+        };
+        return keyMap[id];
+    }
+
+    getColumnPropertyKey(id) {
+        const keyMap = {
+            'columnType': 'type',
+            'columnWidth': 'width',
+            'columnDepth': 'depth',
+            'columnHeight': 'height',
+            'columnFck': 'fck',
+            'columnFy': 'fy',
+            'columnCover': 'cover',
+            'columnBarDia': 'barDia',
+            'columnBarsWidth': 'barsWidth',
+            'columnBarsDepth': 'barsDepth',
+            'columnBarLayout': 'barLayout',
+            'columnDiameter': 'diameter',
+            'columnBarCount': 'barCount',
+            'columnLateral': 'lateral',
+            'columnHelixDia': 'helixDia',
+            'columnHelixPitch': 'helixPitch'
+        };
+        return keyMap[id];
     }
 
     getBeamPropertyKey(id) {
@@ -104,11 +287,22 @@ class CivilSuiteApp {
             'beamLength': 'L',
             'beamWidth': 'b',
             'beamDepth': 'D',
+            'beamSectionType': 'sectionType',
+            'beamFlangeThickness': 'Df',
+            'beamSpacing': 'spacing',
             'beamDL': 'DL',
             'beamLL': 'LL',
             'beamFck': 'fck',
             'beamFy': 'fy',
-            'beamCover': 'cover'
+            'beamCover': 'cover',
+            'beamStirrupLegs': 'stirrupLegs',
+            'beamTorsion': 'Tu',
+            'beamLoadingAge': 'loadingAge',
+            'beamSustainedFraction': 'sustainedFraction',
+            'beamExposure': 'exposure',
+            'beamOverhangLeft': 'overhangLeft',
+            'beamOverhangRight': 'overhangRight',
+            'beamAnalysis': 'analysis'
         };
         return keyMap[id];
     }
@@ -119,6 +313,36 @@ class CivilSuiteApp {
         this.runActiveAnalysis();
     }
 
+    // Combination ids differ between codes, so switching code enables all of the new code's combinations
+    onDesignCodeChange(codeId) {
+        try {
+            window.designCodes.setActive(codeId);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error');
+            return;
+        }
+        this.state.designCode = codeId;
+        this.state.combinations.enabled = {};
+        this.governingCombinations = {};
+        this.optimizerResults = null;
+        this.studyResults = null;
+        this.reliabilityResults = null;
+        // Frame results and the member actions taken from them were factored by the old code
+        this.frameResults = null;
+        if (this.state.beam.frameActions) {
+            this.state.beam.frameActions = null;
+            this.ui.syncBeamInputs();
+        }
+        
+        // The beam results stay on screen behind other tabs, so the beam is always redesigned
+        const activeTab = this.getActiveTabId();
+        this.ui.renderTabContent(activeTab);
+        this.runBeamAnalysis();
+        if (activeTab === 'column-design') this.runColumnDesign();
+        if (activeTab === 'slab-design') this.runSlabDesign();
+        this.ui.showToast(`Designing to ${window.designCodes.getActive().name}`, 'info');
+    }
+
     getActiveTabId() {
         const activeTab = document.querySelector('.tab-button.active');
         return activeTab ? activeTab.getAttribute('data-tab') : 'beam-analysis';
@@ -130,204 +354,1507 @@ class CivilSuiteApp {
         
         if (activeTab === 'beam-analysis') {
             this.runBeamAnalysis();
+            if (this.state.influence.enabled) {
+                this.runInfluenceAnalysis();
+            }
         }
     }
 
     runBeamAnalysis() {
         try {
-            const params = this.state.beam;
-            const metric = this.convertBeamStateToMetric(params);
-            metric.factoredUDL = 1.5 * (metric.DL + metric.LL);
-
+            const metric = this.convertBeamStateToMetric(this.state.beam);
             console.log('Beam parameters:', metric);
-
-            const forces = window.calculationEngine.calculateBeamForces(metric);
-            console.log('Calculated forces:', forces);
-            
-            const d = metric.D - metric.cover - 10; // effective depth (assuming 10mm bar)
-            const Ast_req = window.calculationEngine.calculateSteelArea(
-                forces.maxMoment * 1e6, // Convert kNm to Nmm
-                metric.fck, 
-                metric.fy, 
-                metric.b, 
-                d
-            );
-            
-            const Ast_min = 0.0012 * metric.b * d; // Minimum steel as per IS 456
-            const Ast_prov = Math.max(Ast_req, Ast_min);
-            
-            const momentCapacity = window.calculationEngine.calculateMomentCapacity(
-                Ast_prov, metric.fy, metric.fck, metric.b, d
-            );
-            
-            const shearCapacity = window.calculationEngine.calculateShearCapacity(
-                metric.fck, metric.b, d, Ast_prov
-            );
-            
-            const utilization = momentCapacity > 0 ? (forces.maxMoment * 1e6) / momentCapacity : 1;
-            const deflectionLimit = (metric.L * 1000) / 250; // L/250 as per IS 456
-            const isSafe = utilization <= 1.0 && forces.maxDeflection <= deflectionLimit;
-            
-            const results = {
-                isSafe,
-                statusMessage: isSafe ? 'PASS - Design is adequate.' : 'FAIL - Section is inadequate.',
-                display: this.formatBeamResultsForDisplay({ 
-                    ...forces, 
-                    Ast_prov, 
-                    Ast_min, 
-                    momentCapacity, 
-                    shearCapacity, 
-                    utilization, 
-                    deflectionLimit 
-                }),
-                chartData: this.generateBeamChartData(metric, forces)
-            };
             
+            const results = this.computeBeamDesign(metric);
             this.ui.renderBeamResults(results);
+            this.setGoverningCombination('beam', results.governingCombination, results.serviceCombination);
             
             // Add to history
             this.addToHistory(results);
             
         } catch (error) {
             console.error('Error in beam analysis:', error);
-            this.ui.showToast('Error in beam analysis calculation', 'error');
+            this.ui.showToast(error.message || 'Error in beam analysis calculation', 'error');
         }
     }
 
-    runColumnDesign() {
+    // Full beam design for metric inputs, without touching the page; throws when it cannot be designed
+    computeBeamDesign(metric) {
+        const { enabled } = this.state.combinations;
+        
+        const runCombinations = (limitState) => window.loadCombinations.getCombinations(limitState, enabled)
+            .map(combination => ({ combination, forces: this.getBeamForces(metric, combination) }))
+            .filter(run => run.forces);
+        const ultimateRuns = runCombinations('ULS');
+        const serviceRuns = runCombinations('SLS');
+        if (!ultimateRuns.length || !serviceRuns.length) {
+            throw new Error('Enable at least one ULS and one SLS load combination');
+        }
+        if (!(metric.sustainedFraction >= 0 && metric.sustainedFraction <= 1) || !(metric.loadingAge > 0)) {
+            throw new Error('Sustained load fraction must be 0 to 1 and age at loading positive');
+        }
+        
+        // Elastic deflection of each section under its worst serviceability combination, with the
+        // moment that cracks it (midspan sagging, or hogging where there is none)
+        const serviceSections = serviceRuns.map(run => this.getBeamSections(metric, run.forces));
+        const deflections = serviceSections[0].map((_, i) => serviceSections.reduce((worst, sections, run) =>
+            sections[i].maxDeflection > worst.value
+                ? {
+                    value: sections[i].maxDeflection,
+                    moment: sections[i].maxSagging > 0 ? sections[i].maxSagging : sections[i].maxHogging,
+                    combination: serviceRuns[run].combination.label
+                }
+                : worst,
+            { value: -Infinity }
+        ));
+        const serviceMoments = serviceSections[0].map((_, i) => ({
+            sagging: Math.max(...serviceSections.map(sections => sections[i].maxSagging)),
+            hogging: Math.min(...serviceSections.map(sections => sections[i].maxHogging))
+        }));
+        
+        // Each span (or the single beam) is designed with its own section for its worst ultimate combination
+        const runDesigns = ultimateRuns.map(run => this.getBeamSections(metric, run.forces).map((section, i) => ({
+            ...this.designBeamSection({
+                ...section,
+                maxDeflection: deflections[i].value,
+                serviceMoment: deflections[i].moment,
+                serviceMoments: serviceMoments[i]
+            }, metric),
+            combination: run.combination.label,
+            serviceCombination: deflections[i].combination
+        })));
+        // Each run sizes its own steel, so utilization sits near 1 for all of them: the run needing
+        // the most steel governs, unless some run cannot be reinforced for its moment at all
+        const overstressed = (design) => design.utilization > 1.001;
+        const governs = (design, worst) => overstressed(design) || overstressed(worst)
+            ? design.utilization > worst.utilization
+            : design.Ast_prov + design.Ast_top > worst.Ast_prov + worst.Ast_top;
+        const designs = runDesigns[0].map((_, i) => runDesigns.reduce(
+            (worst, sections) => governs(sections[i], worst) ? sections[i] : worst,
+            runDesigns[0][i]
+        ));
+        const governing = designs.reduce((worst, design) => governs(design, worst) ? design : worst);
+        const { forces } = ultimateRuns[runDesigns.findIndex(sections => sections.includes(governing))];
+        
+        // Stirrups follow the shear envelope over every ultimate combination
+        designs.forEach((design, i) => { design.shear = this.designBeamShear(design, i, metric, ultimateRuns); });
+        const shearCritical = designs.reduce((worst, design) => design.shear.tauV > worst.shear.tauV ? design : worst);
+        const deflectionRatio = (design) => design.longTerm.total / design.longTerm.limitTotal;
+        const deflectionCritical = designs.reduce((worst, design) => deflectionRatio(design) > deflectionRatio(worst) ? design : worst);
+        const crackRatio = (design) => design.crackWidth ? design.crackWidth.value / design.crackWidth.limit : -1;
+        const crackCritical = designs.reduce((worst, design) => crackRatio(design) > crackRatio(worst) ? design : worst);
+        
+        const { Ast_prov, Ast_top, Ast_min, compressionSteel, momentCapacity, utilization, flange, xu, xuMax, Mt, Me } = governing;
+        const isSafe = designs.every(design =>
+            design.utilization <= 1.0 && design.steelOK && !design.overReinforced.length && design.deflectionOK && design.spanDepth.ok && design.shear.ok &&
+            (!design.crackWidth || design.crackWidth.ok));
+        const overSteeled = designs.find(design => !design.steelOK);
+        const overReinforced = designs.find(design => design.overReinforced.length);
+        const location = (design) => forces.sections ? `${design.label}: ` : '';
+        const spanDepthRatio = (design) => design.spanDepth.actual / design.spanDepth.allowable;
+        const spanDepthCritical = designs.reduce((worst, design) => spanDepthRatio(design) > spanDepthRatio(worst) ? design : worst);
+        
+        return {
+            isSafe,
+            statusMessage: isSafe ? 'PASS - Design is adequate.'
+                : overSteeled ? `FAIL - ${location(overSteeled)}${Math.round(Math.max(overSteeled.Ast_prov, overSteeled.Ast_top))} mm² in one layer exceeds the maximum ${Math.round(overSteeled.Ast_max)} mm² - enlarge the section.`
+                : overReinforced ? `FAIL - ${location(overReinforced)}over-reinforced, xu exceeds xu,max with ${overReinforced.overReinforced.join(' and ')} steel in tension - deepen the section.`
+                : 'FAIL - Section is inadequate.',
+            governingCombination: governing.combination,
+            serviceCombination: deflectionCritical.serviceCombination,
+            designs,
+            display: this.formatBeamResultsForDisplay({ 
+                ...forces, 
+                longTerm: deflectionCritical.longTerm,
+                spanDepth: spanDepthCritical.spanDepth,
+                spanDepthSection: forces.sections ? spanDepthCritical.label : null,
+                Ast_prov, 
+                Ast_top,
+                Ast_min, 
+                compressionSteel,
+                momentCapacity, 
+                utilization, 
+                flange,
+                xu,
+                xuMax,
+                overReinforced: governing.overReinforced,
+                Mt,
+                Me,
+                shear: shearCritical.shear,
+                shearSection: forces.sections ? shearCritical.label : null,
+                crackWidth: crackCritical.crackWidth,
+                crackSection: forces.sections ? crackCritical.label : null,
+                governingCombination: governing.combination,
+                serviceCombination: deflectionCritical.serviceCombination
+            }),
+            chartData: this.generateBeamChartData(metric, forces, designs),
+            section: {
+                sectionType: metric.sectionType, bw: governing.b, D: governing.D, d: governing.d, flange, xu, xuMax,
+                cover: metric.cover,
+                bottomBars: this.selectBars(Ast_prov),
+                topBars: this.selectBars(Ast_top),
+                crack: crackCritical.crackWidth
+            },
+            continuous: forces.sections ? { sections: designs, reactions: forces.reactions, patterns: forces.patterns, coefficients: !!forces.coefficients } : null
+        };
+    }
+
+    // Beam actions for one load combination; frame members bring their own factored actions
+    getBeamForces(metric, combination) {
+        if (metric.frameActions) {
+            return metric.frameActions.combinations[combination.id] || null;
+        }
+        
+        const combinations = window.loadCombinations;
+        const factored = {
+            ...metric,
+            factoredDL: combinations.getFactor(combination, 'DL') * metric.DL,
+            factoredLL: combinations.getFactor(combination, 'LL') * metric.LL,
+            loads: combinations.factorLoads(metric.loads, combination)
+        };
+        factored.factoredUDL = factored.factoredDL + factored.factoredLL;
+        
+        return metric.type === 'continuous'
+            ? this.analyzeContinuousBeam(factored)
+            : window.calculationEngine.calculateBeamForces(factored);
+    }
+
+    getBeamSections(metric, forces) {
+        return forces.sections || [{
+            label: 'Beam', L: metric.L, b: metric.b, D: metric.D,
+            maxSagging: forces.maxSagging, maxHogging: forces.maxHogging,
+            maxShear: forces.maxShear, maxDeflection: forces.maxDeflection
+        }];
+    }
+
+    // Bottom steel for the sagging moment, top steel for the hogging moment.
+    // A flange only helps in sagging, where the slab is in compression.
+    // Torsion adds Mt to each face (IS 456 cl 41.4.2): Me1 = Mu + Mt on the tension face, and
+    // Me2 = Mt - Mu on the other face reaches Mt wherever the moment passes through zero.
+    designBeamSection(section, metric) {
+        const engine = window.calculationEngine;
+        const code = engine.getCode();
+        const { b, D, L } = section;
+        const d = D - metric.cover - 10; // effective depth (assuming 10mm bar)
+        const Ast_min = code.detailing.beamMinSteel(b, d, metric.fck, metric.fy);
+        const Ast_max = code.detailing.beamMaxSteel(b, D);
+        if (metric.Tu > 0 && !code.torsion) {
+            throw new Error(`Torsion design is not available under ${code.name} - set the torsion to zero`);
+        }
+        const flange = this.getBeamFlange(section, metric);
+        const Mt = engine.getTorsionMoment(metric.Tu || 0, b, D);
+        
+        // Beyond Mu,lim the face needs compression steel on the opposite face; d' is first taken equal
+        // to the cover to the tension steel, then refined once from the bar size chosen for Asc
+        const designFace = (moment, faceFlange) => {
+            const Mu = moment * 1e6;
+            if (Mu <= engine.getLimitingMoment(metric.fck, metric.fy, b, d, faceFlange).M) {
+                const Ast_req = Mu > 0 ? engine.calculateSteelArea(Mu, metric.fck, metric.fy, b, d, faceFlange) : 0;
+                return { Ast: Math.max(Ast_req, Ast_min), required: Ast_req, Asc: 0, fsc: 0, dc: D - d };
+            }
+            const doubly = (dc) => {
+                const steel = engine.calculateDoublyReinforcedSteel(Mu, metric.fck, metric.fy, b, d, dc, faceFlange);
+                return { ...steel, required: steel.Ast, dc };
+            };
+            const trial = doubly(D - d);
+            const bars = this.selectBars(trial.Asc);
+            return bars ? doubly(metric.cover + bars.dia / 2) : trial;
+        };
+        
+        const Me = { bottom: Math.max(section.maxSagging, 0) + Mt, top: Math.max(-section.maxHogging, 0) + Mt };
+        const sagging = designFace(Me.bottom, flange);
+        const hogging = designFace(Me.top, null);
+        
+        // Each layer is the larger of its own tension steel and the compression steel the other face needs
+        const bottom = { Ast: Math.max(sagging.Ast, hogging.Asc), dc: hogging.Asc > 0 ? hogging.dc : D - d };
+        const top = { Ast: Math.max(hogging.Ast, sagging.Asc), dc: sagging.Asc > 0 ? sagging.dc : D - d };
+        // A face whose neutral axis lies deeper than xu,max is over-reinforced, whatever its capacity
+        // (a small tolerance covers the balanced design landing on xu,max)
+        const xuMax = engine.getLimitingDepthRatio(metric.fy, metric.fck) * d;
+        const checkFace = (moment, tension, compression, faceFlange) => {
+            const strains = engine.analyzeSectionStrains(tension.Ast, metric.fy, metric.fck, b, d, faceFlange,
+                { Asc: compression.Ast, dc: compression.dc });
+            return {
+                capacity: strains.M,
+                utilization: strains.M > 0 ? (moment * 1e6) / strains.M : 1,
+                overReinforced: moment > 0 && strains.xu > 1.001 * xuMax
+            };
+        };
+        const faces = [checkFace(Me.bottom, bottom, top, flange), checkFace(Me.top, top, bottom, null)];
+        const governingFace = faces[1].utilization > faces[0].utilization ? faces[1] : faces[0];
+        
+        // Long-term deflection on the cracked section, with the steel on the face the service moment puts in tension
+        const serviceSagging = section.serviceMoment >= 0;
+        const longTerm = engine.calculateLongTermDeflection({
+            deflection: section.maxDeflection,
+            M: Math.abs(section.serviceMoment) * 1e6,
+            b, D, d,
+            Ast: serviceSagging ? bottom.Ast : top.Ast,
+            Asc: serviceSagging ? top.Ast : bottom.Ast,
+            dc: (serviceSagging ? top : bottom).dc,
+            fck: metric.fck,
+            fy: metric.fy,
+            L,
+            k3: this.getShrinkageCoefficient(section, metric),
+            sustained: metric.sustainedFraction,
+            age: metric.loadingAge
+        });
+        
+        // Span/depth control on the face in tension at the deflection-critical section, with the steel
+        // stress from the area the moment needs rather than the minimum
+        const tension = serviceSagging ? bottom : top;
+        const spanDepth = engine.checkSpanDepthRatio({
+            member: 'beam',
+            support: this.getSpanDepthSupport(section, metric),
+            span: L, b, d, D,
+            bf: serviceSagging && flange ? flange.bf : b,
+            Ast_req: (serviceSagging ? sagging : hogging).required,
+            Ast_prov: (this.selectBars(tension.Ast) || { area: tension.Ast }).area,
+            Asc: (serviceSagging ? top : bottom).Ast,
+            fck: metric.fck,
+            fy: metric.fy
+        });
+        
+        const crackWidth = this.checkBeamCrackWidth(section, metric, bottom, top, flange);
+        
+        return {
+            ...section,
+            d,
+            flange,
+            xu: engine.calculateNeutralAxisDepth(bottom.Ast, metric.fy, metric.fck, b, d, flange, { Asc: top.Ast, dc: top.dc }),
+            xuMax,
+            overReinforced: ['bottom', 'top'].filter((face, i) => faces[i].overReinforced),
+            Mt,
+            Me,
+            Ast_prov: bottom.Ast,
+            Ast_top: top.Ast,
+            Ast_min,
+            Ast_max,
+            // Both layers hold tension or compression steel, and each is limited on its own
+            steelOK: bottom.Ast <= Ast_max && top.Ast <= Ast_max,
+            compressionSteel: { bottom: hogging, top: sagging },
+            momentCapacity: governingFace.capacity,
+            utilization: governingFace.utilization,
+            longTerm,
+            spanDepth,
+            crackWidth,
+            deflectionOK: longTerm.total <= longTerm.limitTotal && longTerm.afterPartitions <= longTerm.limitPartitions
+        };
+    }
+
+    // Crack control on each face the service moments put in tension (IS 456 Annex F width);
+    // the face nearest its limit governs
+    checkBeamCrackWidth(section, metric, bottom, top, flange) {
+        const faces = [
+            { face: 'bottom', M: section.serviceMoments.sagging, tension: bottom, compression: top, bc: flange ? flange.bf : section.b },
+            { face: 'top', M: -section.serviceMoments.hogging, tension: top, compression: bottom, bc: section.b }
+        ].filter(face => face.M > 0).map(face => {
+            const bars = this.selectBars(face.tension.Ast) || { num: Math.ceil(face.tension.Ast / 804), dia: 32 };
+            return {
+                face: face.face,
+                bars,
+                ...window.calculationEngine.checkBeamCracking({
+                    M: face.M * 1e6,
+                    b: section.b,
+                    bc: face.bc,
+                    h: section.D,
+                    cover: metric.cover,
+                    bars,
+                    Asc: face.compression.Ast,
+                    fck: metric.fck,
+                    fy: metric.fy,
+                    exposure: metric.exposure
+                })
+            };
+        });
+        if (!faces.length) return null;
+        
+        return faces.reduce((worst, face) => face.value / face.limit > worst.value / worst.limit ? face : worst);
+    }
+
+    // Basic span/depth case of cl 23.2.1: overhangs are cantilevers, fixed ends count as continuous
+    getSpanDepthSupport(section, metric) {
+        if (metric.type === 'cantilever' || section.label.endsWith('overhang')) return 'cantilever';
+        if (metric.type === 'fixed' || (metric.type === 'continuous' && metric.spans.length > 1)) return 'continuous';
+        return 'simply-supported';
+    }
+
+    // Annex C-3.1 shrinkage coefficient k3: 0.5 cantilevers, 0.125 simple spans,
+    // 0.086 with one end continuous and 0.063 with both ends continuous
+    getShrinkageCoefficient(section, metric) {
+        if (metric.type === 'cantilever' || section.label.endsWith('overhang')) return 0.5;
+        if (metric.type === 'fixed') return 0.063;
+        if (metric.type !== 'continuous' || metric.spans.length === 1) return 0.125;
+        return section.label === 'Span 1' || section.label === `Span ${metric.spans.length}` ? 0.086 : 0.063;
+    }
+
+    // Stirrups for one section from the shear envelope over all ultimate combinations: the designed
+    // spacing where nominal links do not suffice (near the supports), the nominal spacing elsewhere
+    designBeamShear(design, index, metric, ultimateRuns) {
+        const engine = window.calculationEngine;
+        const { b, D, d, L } = design;
+        const stations = ultimateRuns.flatMap(run => run.forces.diagram)
+            .filter(station => (station.span || 0) === index)
+            .map(station => ({ x: station.x, V: Math.max(Math.abs(station.V), Math.abs(station.Vmin ?? station.V)) }));
+        const start = Math.min(...stations.map(station => station.x));
+        const Vu = Math.max(...stations.map(station => station.V));
+        // Closed links enclose corner bars at the same cover as the main steel
+        const barInset = 2 * (metric.cover + 10);
+        const torsion = metric.Tu > 0 ? { Tu: metric.Tu * 1e6, b1: b - barInset, d1: D - barInset } : null;
+        const shear = engine.designShearReinforcement(
+            Vu * 1000, metric.fck, metric.fy, b, d, design.Ast_prov, metric.stirrupLegs, torsion
+        );
+        
+        // Zone ends are pushed one station interval past the last station needing design links
+        const exceeding = stations
+            .filter(station => engine.getStirrupSpacing(shear.Asv, station.V * 1000, metric.fck, metric.fy, b, d, shear.tauC, torsion) < shear.nominalSpacing)
+            .map(station => station.x - start);
+        const left = exceeding.filter(x => x <= L / 2);
+        const right = exceeding.filter(x => x > L / 2);
+        const leftEnd = left.length ? Math.min(Math.ceil((Math.max(...left) + L / 20) * 10) / 10, L / 2) : 0;
+        const rightStart = right.length ? Math.max(Math.floor((Math.min(...right) - L / 20) * 10) / 10, L / 2) : L;
+        const zones = [
+            { start: 0, end: leftEnd, spacing: shear.spacing },
+            { start: leftEnd, end: rightStart, spacing: shear.nominalSpacing },
+            { start: rightStart, end: L, spacing: shear.spacing }
+        ].filter(zone => zone.end - zone.start > 1e-9).reduce((merged, zone) => {
+            const last = merged[merged.length - 1];
+            if (last && last.spacing === zone.spacing) last.end = zone.end;
+            else merged.push(zone);
+            return merged;
+        }, []);
+        
+        return {
+            ...shear, Vu, start, zones,
+            sideFace: torsion && D > 450 ? engine.calculateSideFaceSteel(b, D, torsion.d1) : null
+        };
+    }
+
+    // Effective flange per IS 456 cl 23.1.2, or null for a rectangular section.
+    // l0 is the span for simple supports and 0.7 times the span where the ends are continuous.
+    getBeamFlange(section, metric) {
+        if (metric.sectionType !== 't-beam' && metric.sectionType !== 'l-beam') return null;
+        if (metric.Df <= 0 || metric.Df >= section.D) {
+            throw new Error('Flange thickness must be positive and less than the overall depth');
+        }
+        
+        const l0 = (metric.type === 'simply-supported' ? 1 : 0.7) * section.L * 1000;
+        const clearSpacing = Math.max(metric.spacing - section.b, 0);
+        const available = metric.spacing > 0
+            ? section.b + (metric.sectionType === 'l-beam' ? clearSpacing / 2 : clearSpacing)
+            : 0;
+        
+        return {
+            bf: window.calculationEngine.getEffectiveFlangeWidth(metric.sectionType, l0, section.b, metric.Df, available),
+            Df: metric.Df,
+            l0
+        };
+    }
+
+    // Members (overhangs and spans) and supports for the stiffness analysis
+    buildContinuousBeamModel(metric) {
+        const E = window.materialLibrary.getConcrete(metric.fck).Ec;
+        const members = [];
+        const supports = [];
+        const addMember = (label, L, { b, D }) => {
+            members.push({ label, L, b, D, EI: E * b * Math.pow(D, 3) / 12 * 1e-9 });
+        };
+        const settlement = (node) => (metric.settlements[node] || 0) / 1000; // mm to m
+        
+        if (metric.overhangLeft > 0) {
+            addMember('Left overhang', metric.overhangLeft, metric.spans[0]);
+            supports.push({ restrained: false });
+        }
+        metric.spans.forEach((span, i) => {
+            addMember(`Span ${i + 1}`, span.L, span);
+            supports.push({ restrained: true, settlement: settlement(i) });
+        });
+        supports.push({ restrained: true, settlement: settlement(metric.spans.length) });
+        if (metric.overhangRight > 0) {
+            addMember('Right overhang', metric.overhangRight, metric.spans[metric.spans.length - 1]);
+            supports.push({ restrained: false });
+        }
+        
+        return { members, supports };
+    }
+
+    analyzeContinuousBeam(metric) {
+        const { members, supports } = this.buildContinuousBeamModel(metric);
+        const totalLength = members.reduce((sum, member) => sum + member.L, 0);
+        
+        // Imposed loads are patterned per IS 456 cl 22.4.1, all other loads act everywhere
+        const isImposed = (load) => window.loadCombinations.imposedCases.includes(load.loadCase);
+        const fullLength = (udl) => udl ? [{ type: 'udl', magnitude: udl, position: 0, extent: totalLength }] : [];
+        
+        const result = metric.analysis === 'coefficients'
+            ? this.getContinuousBeamCoefficientForces(metric, members)
+            : window.calculationEngine.analyzeContinuousBeamEnvelope(
+                members, supports,
+                [...fullLength(metric.factoredDL), ...metric.loads.filter(load => !isImposed(load))],
+                [...fullLength(metric.factoredLL), ...metric.loads.filter(isImposed)]
+            );
+        let supportNumber = 0;
+        
+        return {
+            ...result,
+            sections: result.spans.map((span, i) => ({
+                label: members[i].label,
+                L: members[i].L, b: members[i].b, D: members[i].D,
+                maxSagging: span.maxSagging,
+                maxHogging: span.maxHogging,
+                saggingPattern: span.saggingPattern,
+                hoggingPattern: span.hoggingPattern,
+                maxShear: span.maxShear,
+                maxDeflection: span.maxDeflection,
+                leftMoment: span.reactions.left.moment,
+                rightMoment: span.reactions.right.moment
+            })),
+            reactions: result.reactions
+                .filter((reaction, node) => supports[node].restrained)
+                .map(reaction => ({ ...reaction, label: `Support ${++supportNumber}` }))
+        };
+    }
+
+    // The Table 12 and 13 coefficients hold for a uniform section on rigid supports carrying the span loads only
+    getContinuousBeamCoefficientForces(metric, members) {
+        if (metric.overhangLeft > 0 || metric.overhangRight > 0) {
+            throw new Error('The coefficient method does not cover overhangs - use the stiffness analysis');
+        }
+        if (metric.settlements.some(value => value)) {
+            throw new Error('The coefficient method does not cover support settlements - use the stiffness analysis');
+        }
+        if (metric.loads.length > 0) {
+            throw new Error('The coefficient method takes the dead and imposed loads only - use the stiffness analysis for added loads');
+        }
+        if (members.some(member => member.b !== members[0].b || member.D !== members[0].D)) {
+            throw new Error('The coefficient method needs the same section on every span');
+        }
+        return window.calculationEngine.getContinuousBeamForces(members, metric.factoredDL, metric.factoredLL);
+    }
+
+    getBeamTotalLength() {
+        const beam = this.state.beam;
+        if (beam.type !== 'continuous') return beam.L;
+        return beam.spans.reduce((sum, span) => sum + span.L, 0) + beam.overhangLeft + beam.overhangRight;
+    }
+
+    // Seed the span list from the single-span inputs the first time continuous mode is used
+    ensureBeamSpans() {
+        const beam = this.state.beam;
+        if (beam.spans.length === 0) {
+            beam.spans = [
+                { L: beam.L, b: beam.b, D: beam.D },
+                { L: beam.L, b: beam.b, D: beam.D }
+            ];
+        }
+        beam.settlements = beam.spans.map((span, i) => beam.settlements[i] || 0)
+            .concat(beam.settlements[beam.spans.length] || 0);
+    }
+
+    addBeamSpan() {
+        const spans = this.state.beam.spans;
+        spans.push({ ...spans[spans.length - 1] });
+        this.onBeamSpansChanged();
+    }
+
+    removeBeamSpan(index) {
+        if (this.state.beam.spans.length <= 1) {
+            this.ui.showToast('A continuous beam needs at least one span', 'error');
+            return;
+        }
+        this.state.beam.spans.splice(index, 1);
+        this.state.beam.settlements.splice(index + 1, 1);
+        this.onBeamSpansChanged();
+    }
+
+    updateBeamSpan(index, key, value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed <= 0) {
+            this.ui.showToast('Span dimensions must be positive', 'error');
+            return;
+        }
+        this.state.beam.spans[index][key] = parsed;
+        this.onBeamSpansChanged();
+    }
+
+    updateBeamSettlement(node, value) {
+        this.state.beam.settlements[node] = parseFloat(value) || 0;
+        this.runBeamAnalysis();
+    }
+
+    onBeamSpansChanged() {
+        this.ensureBeamSpans();
+        this.ui.renderBeamSpanTable();
+        this.ui.renderBeamVisual();
+        this.runBeamAnalysis();
+    }
+
+    clearBeamFrameActions() {
+        this.state.beam.frameActions = null;
+        this.ui.syncBeamInputs();
+        this.runBeamAnalysis();
+        this.ui.showToast('Beam design forces reset to the beam loads', 'info');
+    }
+
+    // === INFLUENCE LINES AND MOVING LOADS ===
+    // Standard axle trains (kN, m), spacings between consecutive axles from the front
+    getAxleTrainPreset(preset) {
+        const presets = {
+            'irc-class-a': { axleLoads: [27, 27, 114, 114, 68, 68, 68, 68], axleSpacings: [1.1, 3.2, 1.2, 4.3, 3.0, 3.0, 3.0] },
+            'irc-70r': { axleLoads: [80, 120, 120, 170, 170, 170, 170], axleSpacings: [3.96, 1.52, 2.13, 1.37, 3.05, 1.37] }
+        };
+        return presets[preset];
+    }
+
+    updateInfluenceSetting(key, value) {
+        const influence = this.state.influence;
+        
+        if (key === 'preset') {
+            influence.preset = value;
+            const preset = this.getAxleTrainPreset(value);
+            if (preset) {
+                // Presets are metric; show them in the current units
+                const conv = this.state.units.toMetric;
+                influence.axleLoads = preset.axleLoads.map(load => +(load / conv.force).toFixed(2));
+                influence.axleSpacings = preset.axleSpacings.map(spacing => +(spacing / conv.L).toFixed(2));
+                this.ui.syncInfluenceInputs();
+            }
+        } else if (key === 'axleLoads' || key === 'axleSpacings') {
+            const values = String(value).split(',').map(item => item.trim()).filter(Boolean).map(Number);
+            if (values.some(item => isNaN(item) || item < 0)) {
+                this.ui.showToast('Enter axle values as comma-separated positive numbers', 'error');
+                return;
+            }
+            influence[key] = values;
+            influence.preset = 'custom';
+            this.ui.syncInfluenceInputs();
+        } else {
+            influence[key] = isNaN(parseFloat(value)) ? value : parseFloat(value);
+        }
+        
+        if (influence.enabled) {
+            this.runInfluenceAnalysis();
+        }
+    }
+
+    toggleInfluenceMode(isEnabled) {
+        this.state.influence.enabled = isEnabled;
+        if (isEnabled) {
+            this.runInfluenceAnalysis();
+        } else {
+            this.ui.renderInfluenceResults(null);
+        }
+    }
+
+    runInfluenceAnalysis() {
         try {
-            const params = this.state.column;
-            
-            // Simple column design calculations
-            const area = params.width * params.depth;
-            const astMin = 0.008 * area; // 0.8% minimum steel
-            const astMax = 0.04 * area;  // 4% maximum steel
+            const influence = this.state.influence;
+            const metric = this.convertBeamStateToMetric(this.state.beam);
+            if (metric.type === 'continuous') {
+                throw new Error('Influence lines are available for single-span beams only');
+            }
+            if (influence.axleLoads.length === 0 || influence.axleSpacings.length !== influence.axleLoads.length - 1) {
+                throw new Error('Give one spacing fewer than the number of axle loads');
+            }
             
-            // Calculate required steel area (simplified)
-            const pu = params.axialLoad * 1000; // kN to N
-            const factoredLoad = 1.5 * pu;
-            const concreteCapacity = 0.4 * params.fck * area;
-            const steelAreaRequired = Math.max((factoredLoad - concreteCapacity) / (0.67 * params.fy), astMin);
-            const astProvided = Math.min(steelAreaRequired, astMax);
+            const conv = this.state.units.toMetric;
+            const section = Math.min(Math.max(influence.section * conv.L, 0), metric.L);
+            const impactFactor = 1 + influence.impact / 100;
+            let offset = 0;
+            const axles = influence.axleLoads.map((load, i) => ({
+                load: load * conv.force * impactFactor,
+                offset: (offset += i > 0 ? influence.axleSpacings[i - 1] * conv.L : 0)
+            }));
             
-            // Calculate capacities
-            const axialCapacity = (0.4 * params.fck * area + 0.67 * params.fy * astProvided) / 1000; // kN
-            const momentCapacityX = 0.138 * params.fck * params.width * params.depth * params.depth / 1e6; // kNm
-            const momentCapacityY = 0.138 * params.fck * params.depth * params.width * params.width / 1e6; // kNm
+            const line = window.calculationEngine.calculateInfluenceLine(metric, influence.quantity, section);
+            const moving = window.calculationEngine.analyzeMovingLoad(metric, axles);
             
-            const utilization = Math.max(
-                params.axialLoad / axialCapacity,
-                params.momentX / momentCapacityX,
-                params.momentY / momentCapacityY
-            );
+            this.ui.renderInfluenceResults({
+                display: this.formatInfluenceResultsForDisplay(line, moving, influence.quantity),
+                title: this.getInfluenceTitle(influence.quantity, section),
+                chartData: this.generateInfluenceChartData(line, moving, influence.quantity)
+            });
+        } catch (error) {
+            console.error('Error in influence line analysis:', error);
+            this.ui.showToast(error.message, 'error');
+        }
+    }
+
+    getInfluenceTitle(quantity, section) {
+        const { units } = this.state;
+        const at = `${(section * (units.conversions.length || 1)).toFixed(2)} ${units.length}`;
+        const titles = {
+            moment: `Influence Line - Moment at ${at}`,
+            shear: `Influence Line - Shear at ${at}`,
+            reactionLeft: 'Influence Line - Left Reaction',
+            reactionRight: 'Influence Line - Right Reaction'
+        };
+        return titles[quantity];
+    }
+
+    formatInfluenceResultsForDisplay(line, moving, quantity) {
+        const { units } = this.state;
+        const length = (val) => `${(val * (units.conversions.length || 1)).toFixed(2)} ${units.length}`;
+        const force = (val) => `${(val * (units.conversions.force || 1)).toFixed(2)} ${units.force}`;
+        const moment = (val) => `${(val * (units.conversions.moment || 1)).toFixed(2)} ${units.moment}`;
+        const where = (extreme) => `at ${length(extreme.x)}, lead axle at ${length(extreme.leadPosition)} (${extreme.direction})`;
+        
+        // Moment ordinates are per unit load, in length units
+        const ordinate = (val) => quantity === 'moment' ? length(val) : val.toFixed(3);
+        const max = line.reduce((best, point) => point.value > best.value ? point : best);
+        const min = line.reduce((best, point) => point.value < best.value ? point : best);
+        
+        return {
+            ildPeak: `+${ordinate(max.value)} at ${length(max.x)} / ${ordinate(min.value)} at ${length(min.x)}`,
+            axleTrain: `${force(moving.totalLoad)} over ${length(moving.trainLength)}`,
+            movingSagging: `${moment(moving.maxSagging.value)} ${where(moving.maxSagging)}`,
+            movingHogging: moving.maxHogging.value < -1e-6 ? `${moment(moving.maxHogging.value)} ${where(moving.maxHogging)}` : 'None',
+            movingShear: `${force(Math.abs(moving.maxShear.value))} ${where(moving.maxShear)}`,
+            movingReactions: `${force(moving.maxReactionLeft.value)} / ${force(moving.maxReactionRight.value)}`
+        };
+    }
+
+    generateInfluenceChartData(line, moving, quantity) {
+        const { units } = this.state;
+        const { conversions } = units;
+        const length = (x) => (x * (conversions.length || 1)).toFixed(2);
+        return {
+            lengthUnit: units.length,
+            ild: {
+                unit: quantity === 'moment' ? units.length : '',
+                labels: line.map(point => length(point.x)),
+                values: line.map(point => point.value * (quantity === 'moment' ? (conversions.length || 1) : 1))
+            },
+            envelope: {
+                unit: units.moment,
+                labels: moving.envelope.map(station => length(station.x)),
+                max: moving.envelope.map(station => station.Mmax * (conversions.moment || 1)),
+                min: moving.envelope.map(station => station.Mmin * (conversions.moment || 1))
+            }
+        };
+    }
+
+    // === LOAD COMBINATIONS ===
+    toggleLoadCombination(combinationId, isEnabled) {
+        this.state.combinations.enabled[combinationId] = isEnabled;
+        this.runBeamAnalysis();
+    }
+
+    setAllLoadCombinations(isEnabled) {
+        window.loadCombinations.getAllCombinations().forEach(combination => {
+            this.state.combinations.enabled[combination.id] = isEnabled;
+        });
+        this.ui.renderLoadCombinations();
+        this.runBeamAnalysis();
+    }
+
+    // Last governing ultimate (and serviceability) combination per module, shown on the combinations tab
+    setGoverningCombination(module, ultimate, service = null) {
+        this.governingCombinations = { ...this.governingCombinations, [module]: { ultimate, service } };
+        this.ui.renderGoverningCombinations();
+    }
+
+    updateColumnCaseLoad(loadCase, key, value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed)) {
+            this.ui.showToast('Please enter a valid number', 'error');
+            return;
+        }
+        this.state.column.loadCases[loadCase][key] = parsed;
+    }
+
+    // axis is 'x' or 'y' for the end restraint about that axis, or null for the method and frame type
+    updateColumnRestraint(axis, key, value) {
+        const { restraint } = this.state.column;
+        if (key === 'top' || key === 'bottom') {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed) || parsed < 0 || parsed > 1) {
+                this.ui.showToast('Restraint factors run from 0 (fixed) to 1 (pinned)', 'error');
+                return;
+            }
+            restraint[axis][key] = parsed;
+        } else if (axis) {
+            restraint[axis][key] = value;
+        } else {
+            restraint[key] = key === 'sway' ? value === 'sway' : value;
+            this.ui.renderColumnDesign();
+        }
+    }
+
+    // === FRAME ANALYSIS ===
+    getDefaultFrame() {
+        const generator = { bays: 1, storeys: 1, bayWidth: 6.0, storeyHeight: 3.5 };
+        const { nodes, members } = window.frameAnalysis.generatePortalFrame({
+            ...generator,
+            column: { b: 300, D: 450 },
+            beam: { b: 230, D: 450 }
+        });
+        return {
+            fck: 25,
+            generator,
+            nodes,
+            members,
+            nodalLoads: [{ id: 1, node: 3, loadCase: 'WL', Fx: 10, Fy: 0, Mz: 0 }],
+            memberLoads: [
+                { id: 1, member: 3, loadCase: 'DL', type: 'udl', magnitude: 15, position: 0, extent: 6.0 },
+                { id: 2, member: 3, loadCase: 'LL', type: 'udl', magnitude: 10, position: 0, extent: 6.0 }
+            ],
+            selectedMember: 3,
+            combination: 'ULS1'
+        };
+    }
+
+    generateFrame() {
+        const read = (id, fallback) => parseFloat(document.getElementById(id)?.value) || fallback;
+        const generator = {
+            bays: Math.max(1, Math.round(read('frameBays', 1))),
+            storeys: Math.max(1, Math.round(read('frameStoreys', 1))),
+            bayWidth: read('frameBayWidth', 6),
+            storeyHeight: read('frameStoreyHeight', 3.5)
+        };
+        const { nodes, members } = window.frameAnalysis.generatePortalFrame({
+            ...generator,
+            column: { b: read('frameColumnB', 300), D: read('frameColumnD', 450) },
+            beam: { b: read('frameBeamB', 230), D: read('frameBeamD', 450) }
+        });
+        
+        Object.assign(this.state.frame, {
+            generator, nodes, members,
+            nodalLoads: [],
+            memberLoads: [],
+            selectedMember: members[members.length - 1].id
+        });
+        this.ui.renderFrameAnalysis();
+        this.ui.showToast(`Generated ${nodes.length} nodes and ${members.length} members`, 'success');
+    }
+
+    addFrameItem(collection) {
+        const frame = this.state.frame;
+        const items = frame[collection];
+        const nextId = items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+        const firstNode = frame.nodes[0]?.id || 1;
+        const templates = {
+            nodes: { id: nextId, x: 0, y: 0, support: 'free' },
+            members: { id: nextId, i: firstNode, j: frame.nodes[1]?.id || firstNode, b: 230, D: 450, releaseStart: false, releaseEnd: false },
+            nodalLoads: { id: nextId, node: firstNode, loadCase: 'DL', Fx: 0, Fy: 0, Mz: 0 },
+            memberLoads: { id: nextId, member: frame.members[0]?.id || 1, loadCase: 'DL', type: 'udl', magnitude: 10, position: 0, extent: 1 }
+        };
+        items.push(templates[collection]);
+        this.ui.renderFrameAnalysis();
+    }
+
+    removeFrameItem(collection, index) {
+        this.state.frame[collection].splice(index, 1);
+        this.ui.renderFrameAnalysis();
+    }
+
+    updateFrameItem(collection, index, key, value) {
+        const item = this.state.frame[collection][index];
+        if (!item) return;
+        
+        if (typeof item[key] === 'boolean') {
+            item[key] = !!value;
+        } else if (typeof item[key] === 'number') {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed)) {
+                this.ui.showToast('Please enter a valid number', 'error');
+                return;
+            }
+            item[key] = parsed;
+        } else {
+            item[key] = value;
+        }
+        this.runFrameAnalysis();
+    }
+
+    selectFrameMember(memberId) {
+        this.state.frame.selectedMember = parseInt(memberId);
+        if (this.frameResults) {
+            this.ui.showFrameResults(this.formatFrameResults(this.frameResults));
+        } else {
+            this.ui.renderFrameVisual(this.state.frame, null);
+        }
+    }
+
+    selectFrameCombination(combinationId) {
+        this.state.frame.combination = combinationId;
+        if (this.frameResults) {
+            this.ui.showFrameResults(this.formatFrameResults(this.frameResults));
+        }
+    }
+
+    // The frame is linear, so every combination (and each load case alone) is a separate analysis
+    runFrameAnalysis() {
+        try {
+            const fckInput = document.getElementById('frameFck');
+            if (fckInput) this.state.frame.fck = parseFloat(fckInput.value);
             
-            const isSafe = utilization <= 1.0;
+            const { enabled } = this.state.combinations;
+            const combinations = [
+                ...window.loadCombinations.getCombinations('ULS', enabled),
+                ...window.loadCombinations.getCombinations('SLS', enabled)
+            ];
+            if (!combinations.length) {
+                throw new Error('Enable at least one load combination');
+            }
             
-            const results = {
-                isSafe,
-                statusMessage: isSafe ? 'PASS - Column design is adequate.' : 'FAIL - Column section is inadequate.',
-                display: this.formatColumnResultsForDisplay({
-                    axialCapacity,
-                    momentCapacityX,
-                    momentCapacityY,
-                    utilization,
-                    astProvided,
-                    steelPercentage: (astProvided / area) * 100
-                })
+            const analyze = (combination) => window.frameAnalysis.analyze(this.getFactoredFrameModel(combination));
+            this.frameResults = {
+                combinations: combinations.map(combination => ({ combination, results: analyze(combination) })),
+                cases: Object.fromEntries(window.loadCombinations.loadCases
+                    .map(({ id }) => [id, analyze({ factors: { [id]: 1 } })]))
             };
-            
+            this.ui.showFrameResults(this.formatFrameResults(this.frameResults));
+        } catch (error) {
+            console.error('Error in frame analysis:', error);
+            this.frameResults = null;
+            this.ui.showFrameResults({
+                isSafe: false,
+                statusMessage: `FAIL - ${error.message}`,
+                display: { maxDisplacement: '-', maxAxial: '-', maxShear: '-', maxMoment: '-', memberGoverning: '-' }
+            });
+            this.ui.showToast('Error in frame analysis calculation', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // Restraint factors β = ΣKc / (ΣKc + ΣKb) at the top and bottom of a frame column, from the I/L of the
+    // columns and beams rigidly joined there; fixed supports give 0, pinned ends and supports 1
+    getFrameColumnRestraint(memberId) {
+        const { nodes, members } = this.state.frame;
+        const node = (id) => nodes.find(n => n.id === id);
+        const released = (member, id) => (member.i === id && member.releaseStart) || (member.j === id && member.releaseEnd);
+        const column = members.find(member => member.id === memberId);
+        const factor = (id) => {
+            const { support } = node(id);
+            if (released(column, id) || support === 'pinned' || support === 'roller') return 1;
+            if (support === 'fixed') return 0;
+            let columns = 0, beams = 0;
+            members.filter(member => (member.i === id || member.j === id) && !released(member, id)).forEach(member => {
+                const [a, b] = [node(member.i), node(member.j)];
+                const K = member.b * Math.pow(member.D, 3) / Math.hypot(b.x - a.x, b.y - a.y);
+                if (Math.abs(b.y - a.y) > Math.abs(b.x - a.x)) columns += K;
+                else beams += K;
+            });
+            return Math.round(columns / (columns + beams) * 100) / 100;
+        };
+        const [bottom, top] = node(column.i).y <= node(column.j).y ? [column.i, column.j] : [column.j, column.i];
+        return { top: factor(top), bottom: factor(bottom) };
+    }
+
+    getFactoredFrameModel(combination) {
+        const frame = this.state.frame;
+        return {
+            ...frame,
+            nodalLoads: window.loadCombinations.factorLoads(frame.nodalLoads, combination, ['Fx', 'Fy', 'Mz']),
+            memberLoads: window.loadCombinations.factorLoads(frame.memberLoads, combination)
+        };
+    }
+
+    // Ultimate combination giving the largest moment in a member
+    getFrameMemberGoverning(memberId) {
+        const ultimateRuns = this.frameResults.combinations.filter(run => run.combination.limitState === 'ULS');
+        return window.loadCombinations.findGoverning(
+            ultimateRuns.map(run => run.combination),
+            combination => ultimateRuns.find(run => run.combination === combination).results.members.find(m => m.id === memberId) || null,
+            member => member.maxMoment
+        );
+    }
+
+    formatFrameResults(frameResults) {
+        const maxAbs = (values) => Math.max(0, ...values.map(Math.abs));
+        const shown = frameResults.combinations.find(run => run.combination.id === this.state.frame.combination)
+            || frameResults.combinations[0];
+        const { results } = shown;
+        const member = results.members.find(m => m.id === this.state.frame.selectedMember) || results.members[0];
+        const governing = this.getFrameMemberGoverning(member.id);
+        
+        return {
+            isSafe: true,
+            statusMessage: `PASS - Frame solved for ${frameResults.combinations.length} load combinations. Showing ${shown.combination.label}.`,
+            display: {
+                maxDisplacement: `${maxAbs(results.displacements.map(d => Math.hypot(d.ux, d.uy))).toFixed(2)} mm`,
+                maxAxial: `${maxAbs(results.members.map(m => m.N)).toFixed(2)} kN`,
+                maxShear: `${maxAbs(results.members.map(m => m.maxShear)).toFixed(2)} kN`,
+                maxMoment: `${maxAbs(results.members.map(m => m.maxMoment)).toFixed(2)} kNm`,
+                memberGoverning: governing
+                    ? `M${member.id}: ${governing.combination.label} (${governing.score.toFixed(2)} kNm)`
+                    : '-'
+            },
+            results,
+            combination: shown.combination,
+            member,
+            chartData: {
+                labels: member.diagram.map(station => station.x.toFixed(2)),
+                axial: member.diagram.map(station => station.N),
+                shear: member.diagram.map(station => station.V),
+                moment: member.diagram.map(station => station.M)
+            }
+        };
+    }
+
+    // Results of one member for every analysed combination, or null before the frame is solved
+    getFrameMemberRuns(memberId) {
+        const runs = (this.frameResults?.combinations || [])
+            .map(run => ({ combination: run.combination, member: run.results.members.find(m => m.id === memberId) }))
+            .filter(run => run.member);
+        if (!runs.length) {
+            this.ui.showToast('Run the frame analysis first', 'warning');
+            return null;
+        }
+        return runs;
+    }
+
+    sendFrameMemberToBeam(memberId) {
+        const runs = this.getFrameMemberRuns(memberId);
+        if (!runs) return;
+        
+        const { member } = runs[0];
+        const conv = this.state.units.toMetric;
+        Object.assign(this.state.beam, {
+            L: member.L / conv.L,
+            b: member.b / conv.b,
+            D: member.D / conv.D,
+            frameActions: {
+                source: `Frame member M${member.id}`,
+                combinations: Object.fromEntries(runs.map(({ combination, member }) => [combination.id, {
+                    maxShear: member.maxShear,
+                    maxSagging: member.maxSagging,
+                    maxHogging: member.maxHogging,
+                    maxMoment: member.maxMoment,
+                    maxDeflection: member.maxDeflection,
+                    diagram: member.diagram
+                }]))
+            }
+        });
+        
+        this.ui.syncBeamInputs();
+        this.ui.switchTabWithAnimation('beam-analysis');
+        this.runBeamAnalysis();
+        this.ui.showToast(`Member M${member.id} forces sent to beam design`, 'success');
+    }
+
+    // Columns take characteristic actions per load case at the more critical member end
+    sendFrameMemberToColumn(memberId) {
+        const runs = this.getFrameMemberRuns(memberId);
+        if (!runs) return;
+        
+        const { member } = runs[0];
+        const endMoment = (result, end) => result.diagram[end === 'start' ? 0 : result.diagram.length - 1].M;
+        const endDemand = (end) => Math.max(...runs
+            .filter(run => run.combination.limitState === 'ULS')
+            .map(run => Math.abs(endMoment(run.member, end))));
+        const end = endDemand('start') >= endDemand('end') ? 'start' : 'end';
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        const loadCases = {};
+        Object.keys(this.frameResults.cases).forEach(loadCase => {
+            const result = this.frameResults.cases[loadCase].members.find(m => m.id === member.id);
+            loadCases[loadCase] = { P: round(-result.N), Mx: round(endMoment(result, end)), My: 0 };
+        });
+        
+        // In-plane restraint comes from the frame, which is free to sway
+        const { restraint } = this.state.column;
+        Object.assign(this.state.column, {
+            type: 'rectangular',
+            width: member.b,
+            depth: member.D,
+            height: member.L,
+            loadCases,
+            restraint: { ...restraint, method: 'stiffness', sway: true, x: { ...restraint.x, ...this.getFrameColumnRestraint(member.id) } }
+        });
+        
+        this.ui.switchTabWithAnimation('column-design');
+        setTimeout(() => this.runColumnDesign(), 250);
+        this.ui.showToast(`Member M${member.id} forces sent to column design`, 'success');
+    }
+
+    // Column design for the given properties, without touching the page. Each ultimate combination is
+    // checked on the P-M interaction curves of the bar layout about both axes; an automatic bar size is
+    // the smallest that passes.
+    computeColumnDesign(params) {
+        const combinations = window.loadCombinations;
+        const engine = window.calculationEngine;
+        const code = engine.getCode();
+        const { detailing, column } = code;
+        const circular = params.type === 'circular';
+        const area = this.getColumnArea(params);
+        const caseValues = (key) => Object.fromEntries(
+            Object.keys(params.loadCases).map(loadCase => [loadCase, params.loadCases[loadCase][key]])
+        );
+        const ultimate = combinations.getCombinations('ULS', this.state.combinations.enabled);
+        if (!ultimate.length) {
+            throw new Error('No ultimate load combination is enabled');
+        }
+        const minBars = circular && column.minCircularBars(params.lateral === 'helix');
+        if (circular && params.barLayout === 'manual' && params.barCount < minBars) {
+            throw new Error(`${code.name} needs at least ${minBars} bars in a circular column with ${params.lateral === 'helix' ? 'a helix' : 'ties'}`);
+        }
+        
+        // Moments are at least the compression at the code's minimum eccentricity about each axis. In the
+        // biaxial check the minimum applies about one axis at a time (IS 456 cl 25.4, EC2 cl 5.8.9(3)).
+        const eccentricity = {
+            x: column.minEccentricity(params.height * 1000, circular ? params.diameter : params.depth),
+            y: column.minEccentricity(params.height * 1000, circular ? params.diameter : params.width)
+        };
+        const effectiveLength = {
+            x: engine.getEffectiveLength(params.height * 1000, params.restraint, 'x'),
+            y: engine.getEffectiveLength(params.height * 1000, params.restraint, 'y')
+        };
+        if (!isFinite(effectiveLength.x) || !isFinite(effectiveLength.y)) {
+            throw new Error('A sway column needs some rotational restraint at one end at least');
+        }
+        const actions = ultimate.map(combination => {
+            const Pu = combinations.combine(caseValues('P'), combination); // kN, tension negative
+            const minimum = (e) => Math.max(Pu, 0) * e / 1000; // kNm
+            const Mx = Math.abs(combinations.combine(caseValues('Mx'), combination));
+            const My = Math.abs(combinations.combine(caseValues('My'), combination));
+            const sustained = combinations.combine({ DL: params.loadCases.DL.P }, combination);
+            return {
+                combination, Pu, Mx, My,
+                Mux: Math.max(Mx, minimum(eccentricity.x)),
+                Muy: Math.max(My, minimum(eccentricity.y)),
+                sustainedRatio: Pu > 0 ? Math.min(Math.max(sustained / Pu, 0), 1) : 0
+            };
+        });
+        const limits = detailing.columnSteelLimits(area, Math.max(...actions.map(action => action.Pu)) * 1000, params.fy);
+        
+        // layout is { dia } with any bars per face or bar count in place of the entered ones
+        const design = (layout) => {
+            const { dia } = layout;
+            const detailed = { ...params, ...layout };
+            const bars = this.getColumnBars(detailed, dia);
+            const spacing = engine.getColumnBarSpacing(bars);
+            const spacingRules = detailing.columnBarSpacing(dia);
+            // A helix short of the code's volume ratio designs as ties
+            const helix = this.getColumnHelix(params, dia);
+            const interaction = engine.getColumnInteraction(params.fck, params.fy, this.getColumnSection(params), bars,
+                { helix: Boolean(helix && helix.confining) });
+            const astProvided = bars.reduce((sum, bar) => sum + bar.area, 0);
+            const section = { fck: params.fck, fy: params.fy, Ag: area, Asc: astProvided, circular };
+            const checks = actions.map(action => {
+                const P = action.Pu * 1000;
+                const slenderness = this.getColumnSlenderness(params, bars, P, action.sustainedRatio);
+                // Slender columns carry their second-order moments on top of every first-order moment
+                const total = (axis, M) => slenderness[axis].total(M * 1e6) / 1e6;
+                const Mux = total('x', action.Mux);
+                const Muy = total('y', action.Muy);
+                const utilizationX = engine.getInteractionUtilization(interaction.x, P, Mux * 1e6);
+                const utilizationY = engine.getInteractionUtilization(interaction.y, P, Muy * 1e6);
+                const biaxial = [[Mux, total('y', action.My)], [total('x', action.Mx), Muy]]
+                    .map(([Mx, My]) => ({ Mux: Mx, Muy: My, ...engine.checkBiaxialBending(P, Mx * 1e6, My * 1e6, interaction, section) }))
+                    .reduce((worst, check) => check.value > worst.value ? check : worst);
+                return {
+                    ...action, Mux, Muy, slenderness,
+                    additional: { x: Mux - action.Mux, y: Muy - action.Muy },
+                    utilizationX, utilizationY, biaxial,
+                    utilization: Math.max(utilizationX, utilizationY, biaxial.value)
+                };
+            });
+            const governing = checks.reduce((worst, check) => check.utilization > worst.utilization ? check : worst);
+            const steelStatus = astProvided < limits.min ? 'below' : astProvided > limits.max ? 'above'
+                : spacing.clear < spacingRules.minClear ? 'clear' : spacing.centre > spacingRules.maxCentre ? 'spacing' : null;
+            const helixStatus = helix && !helix.diaOk ? 'helix-dia' : helix && !helix.pitchOk ? 'helix-pitch' : null;
+            const counts = circular
+                ? { barCount: detailed.barCount }
+                : { barsWidth: detailed.barsWidth, barsDepth: detailed.barsDepth };
+            return { dia, counts, bars, spacing, spacingRules, helix, interaction, checks, governing, astProvided, steelStatus, helixStatus };
+        };
+        
+        // An automatic layout searches every bar count and size that keeps to the code's spacing, from the
+        // code minimum steel to the maximum, for the least steel that passes; the search halves the list, as
+        // more steel seldom lowers the capacity. Fewer, larger bars are then taken for up to 10% more steel.
+        // Otherwise the entered bars per face or count are tried in each size.
+        const sizes = params.barDia === 'auto' ? [12, 16, 20, 25, 32] : [Number(params.barDia)];
+        const passes = (result) => result.governing.utilization <= 1 && !result.steelStatus;
+        let chosen;
+        if (params.barLayout === 'auto') {
+            const all = engine.getColumnBarLayouts(this.getColumnSection(params), params.cover, sizes, circular ? minBars : 4);
+            if (!all.length) {
+                throw new Error('No bar layout in these sizes keeps to the code spacing - check the cover and bar size');
+            }
+            const within = all.filter(layout => layout.area >= limits.min && layout.area <= limits.max);
+            const layouts = within.length ? within : [all.find(layout => layout.area >= limits.min) || all[all.length - 1]];
+            let [low, high] = [0, layouts.length - 1];
+            chosen = design(layouts[high]);
+            while (passes(chosen) && low < high) {
+                const middle = Math.floor((low + high) / 2);
+                const result = design(layouts[middle]);
+                if (passes(result)) {
+                    chosen = result;
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            if (passes(chosen)) {
+                const fewer = layouts
+                    .filter(layout => layout.count < chosen.bars.length && layout.area > chosen.astProvided && layout.area <= 1.1 * chosen.astProvided)
+                    .sort((a, b) => a.count - b.count || a.area - b.area);
+                for (const layout of fewer) {
+                    const result = design(layout);
+                    if (passes(result)) {
+                        chosen = result;
+                        break;
+                    }
+                }
+            }
+        } else {
+            for (const dia of sizes) {
+                chosen = design({ dia });
+                if (passes(chosen)) break;
+            }
+        }
+        
+        // The helix is checked apart from the bars, which it does not limit
+        const { governing, interaction, astProvided, helix, spacing, spacingRules } = chosen;
+        const steelStatus = chosen.steelStatus || chosen.helixStatus;
+        const { utilization } = governing;
+        const isSafe = utilization <= 1.0 && !steelStatus;
+        const statusMessage = isSafe ? 'PASS - Column design is adequate.'
+            : utilization > 1.0 ? 'FAIL - Column section is inadequate.'
+            : steelStatus === 'below' ? 'FAIL - Longitudinal steel is below the code minimum - add bars or use a larger size.'
+            : steelStatus === 'above' ? 'FAIL - Longitudinal steel exceeds the code maximum - enlarge the section.'
+            : steelStatus === 'clear' ? `FAIL - Bars are closer than the code's ${spacingRules.minClear.toFixed(0)} mm clear gap - use fewer or smaller bars.`
+            : steelStatus === 'spacing' ? `FAIL - Bars are more than ${spacingRules.maxCentre.toFixed(0)} mm apart - add bars.`
+            : steelStatus === 'helix-dia' ? `FAIL - Helix bars must be at least ${helix.minDia.toFixed(0)} mm.`
+            : `FAIL - Helix pitch must be ${helix.pitchLimits.min.toFixed(0)} to ${helix.pitchLimits.max.toFixed(0)} mm.`;
+        
+        // Ties round the chosen bars (a helix takes their place), and bar anchorage and laps in tension
+        // and compression
+        const ties = helix ? null : engine.detailColumnTies(chosen.bars, circular ? params.diameter : Math.min(params.width, params.depth));
+        const anchorage = Object.fromEntries(['tension', 'compression'].map(kind => [kind, {
+            development: engine.calculateDevelopmentLength(params.fy, params.fck, chosen.dia, kind === 'compression'),
+            lap: engine.calculateLapLength(params.fy, params.fck, chosen.dia, kind === 'compression')
+        }]));
+        const toChart = (curve) => curve.map(point => ({ x: point.M / 1e6, y: point.P / 1000 }));
+        const { biaxial } = governing;
+        const contour = Array.from({ length: 41 }, (_, i) => {
+            const ratio = i / 40;
+            return { x: ratio * biaxial.Mux1 / 1e6, y: Math.pow(1 - Math.pow(ratio, biaxial.exponent), 1 / biaxial.exponent) * biaxial.Muy1 / 1e6 };
+        });
+        
+        return {
+            isSafe,
+            statusMessage,
+            governingCombination: governing.combination.label,
+            astProvided,
+            barDia: chosen.dia,
+            layout: chosen.counts,
+            bars: chosen.bars,
+            helix,
+            ties,
+            anchorage,
+            utilization,
+            chartData: {
+                curves: { x: toChart(interaction.x), y: toChart(interaction.y) },
+                demands: chosen.checks.map(check => ({ combination: check.combination.label, Pu: check.Pu, Mux: check.Mux, Muy: check.Muy })),
+                contour: { Pu: governing.Pu, points: contour, demand: { x: biaxial.Mux, y: biaxial.Muy } }
+            },
+            display: this.formatColumnResultsForDisplay({
+                ...governing,
+                ...engine.calculateColumnCapacity(governing.Pu * 1000, interaction),
+                astProvided,
+                barCount: chosen.bars.length,
+                barDia: chosen.dia,
+                ...chosen.counts,
+                spacing,
+                circular,
+                helix,
+                ties,
+                anchorage,
+                helixDia: params.helixDia,
+                helixPitch: params.helixPitch,
+                eccentricity,
+                effectiveLength,
+                isSafe,
+                steelPercentage: (astProvided / area) * 100,
+                governingCombination: governing.combination.label
+            })
+        };
+    }
+
+    // Slenderness about each axis (engine.getSlenderness) of a column with the given bars at the axial
+    // load Pu (N), of which sustainedRatio is permanent
+    getColumnSlenderness(params, bars, Pu, sustainedRatio) {
+        const engine = window.calculationEngine;
+        const { column } = engine.getCode();
+        const { width, depth, diameter, fck, fy } = params;
+        const circular = params.type === 'circular';
+        const section = this.getColumnSection(params);
+        const Ag = this.getColumnArea(params);
+        const Asc = bars.reduce((sum, bar) => sum + bar.area, 0);
+        const balanced = column.balancedStrain
+            ? engine.getColumnBalancedLoads(fck, fy, section, bars, column.balancedStrain)
+            : {};
+        // x bends across the depth and y across the width; d is to the outer bars, or for a circle
+        // D/2 plus the radius of gyration of the bars (EC2 cl 5.8.8.3(2))
+        const sides = circular
+            ? { x: { h: diameter, b: diameter }, y: { h: diameter, b: diameter } }
+            : { x: { h: depth, b: width }, y: { h: width, b: depth } };
+        const ring = diameter / 2 - params.cover - bars[0].dia / 2;
+        return Object.fromEntries(['x', 'y'].map(axis => [axis, engine.getSlenderness({
+            ...sides[axis], fck, fy, Ag, Asc, circular,
+            d: circular ? diameter / 2 + ring / Math.SQRT2 : sides[axis].h - params.cover - bars[0].dia / 2,
+            le: engine.getEffectiveLength(params.height * 1000, params.restraint, axis),
+            Pu, Puz: column.crushingLoad(fck, fy, Ag, Asc), Pb: balanced[axis],
+            sustainedRatio,
+            sway: params.restraint.sway,
+            creep: engine.getCreepCoefficient(28) // loaded at 28 days
+        })]));
+    }
+
+    // Section of a column for the engine: { diameter } when circular, otherwise { width, depth }
+    getColumnSection(params) {
+        return params.type === 'circular' ? { diameter: params.diameter } : { width: params.width, depth: params.depth };
+    }
+
+    getColumnArea(params) {
+        return params.type === 'circular' ? Math.PI * params.diameter * params.diameter / 4 : params.width * params.depth;
+    }
+
+    // Main bars of size dia, round a circular column or along the faces of a rectangular one
+    getColumnBars(params, dia) {
+        const engine = window.calculationEngine;
+        return params.type === 'circular'
+            ? engine.getCircularColumnBars(params.diameter, params.cover, dia, params.barCount)
+            : engine.getColumnBars(params.width, params.depth, params.cover, dia, params.barsWidth, params.barsDepth);
+    }
+
+    // Helix of a circular column (engine.checkHelix) round main bars of size mainDia; null with ties
+    getColumnHelix(params, mainDia) {
+        if (params.type !== 'circular' || params.lateral !== 'helix') return null;
+        const { diameter, cover, helixDia, helixPitch, fck, fy } = params;
+        return window.calculationEngine.checkHelix({ diameter, cover, mainDia, dia: helixDia, pitch: helixPitch, fck, fy });
+    }
+
+    runColumnDesign() {
+        try {
+            const results = this.computeColumnDesign(this.state.column);
             this.ui.showColumnResults(results);
+            this.setGoverningCombination('column', results.governingCombination);
             this.addToHistory(results);
             
         } catch (error) {
             console.error('Error in column design:', error);
-            this.ui.showToast('Error in column design calculation', 'error');
+            this.ui.showToast(error.message || 'Error in column design calculation', 'error');
         } finally {
             this.ui.hideLoading();
         }
     }
 
+    // Slab design for the given properties, without touching the page. Two-way slabs design the short
+    // span (X) and long span (Y) bars separately at midspan and at the continuous edges, each at its
+    // own effective depth, with torsion steel at the corners. Continuous one-way slabs design the
+    // bottom bars of each span and the top bars of each support.
+    computeSlabDesign(params) {
+        const engine = window.calculationEngine;
+        
+        // The largest combined load of each limit state governs
+        const combinations = window.loadCombinations;
+        const slabLoads = { DL: params.DL, LL: params.LL };
+        const findLargestLoad = (limitState) => combinations.findGoverning(
+            combinations.getCombinations(limitState, this.state.combinations.enabled),
+            combination => combinations.combine(slabLoads, combination),
+            load => load
+        );
+        const ultimate = findLargestLoad('ULS');
+        const service = findLargestLoad('SLS');
+        if (!ultimate || !service) {
+            throw new Error('Enable at least one ULS and one SLS load combination');
+        }
+        
+        // Calculate moments and shear; continuous slabs factor the dead and imposed loads apart
+        const span = params.type === 'cantilever' ? params.length : Math.min(params.length, params.width);
+        const continuous = params.type === 'continuous';
+        const getForces = ({ combination, result }) => continuous
+            ? engine.getContinuousForces(
+                params.spanCount, span,
+                combinations.combine({ DL: params.DL }, combination),
+                combinations.combine({ LL: params.LL }, combination)
+            )
+            : engine.calculateSlabMoments(params.type, params.length, params.width, result, params.panel);
+        const forces = getForces(ultimate);
+        const serviceForces = getForces(service);
+        
+        // X bars lie nearest the face with the Y bars against them, in the bottom and top layers alike
+        const { detailing } = engine.getCode();
+        const outer = (dia) => params.thickness - params.cover - dia / 2;
+        const inner = (under) => (dia) => outer(under.barDia) - under.barDia / 2 - dia / 2;
+        const twoWay = params.type === 'two-way';
+        const locations = continuous
+            ? forces.locations.map(location => ({ ...location, ...this.designSlabStrip(Math.abs(location.moment), outer, params) }))
+            : null;
+        const x = continuous
+            ? locations[0]
+            : this.designSlabStrip(twoWay ? forces.moments.x.positive : forces.maxMoment, outer, params);
+        const steel = { x };
+        if (twoWay) {
+            const { moments } = forces;
+            steel.y = this.designSlabStrip(moments.y.positive, inner(x), params);
+            steel.supportX = moments.x.negative > 0 ? this.designSlabStrip(moments.x.negative, outer, params) : null;
+            steel.supportY = moments.y.negative > 0
+                ? this.designSlabStrip(moments.y.negative, steel.supportX ? inner(steel.supportX) : outer, params)
+                : null;
+        }
+        
+        // Corner torsion steel in the X bars, spaced for its share of the X midspan steel
+        const cornerSteel = (share) => {
+            const area = share.fraction * x.astProvided;
+            const spacing = Math.PI * x.barDia * x.barDia / 4 * 1000 / area;
+            return { ...share, area, barDia: x.barDia, spacing: Math.min(spacing, detailing.slabMaxSpacing(x.d, params.thickness)) };
+        };
+        const corners = twoWay && forces.twoWay ? engine.getSlabCornerTorsion(params.panel) : null;
+        const torsion = corners && { length: forces.lx / 5, full: cornerSteel(corners.full), half: cornerSteel(corners.half) };
+        
+        const { astProvided, spacing, barDia } = x;
+        const effectiveDepth = x.d;
+        
+        // Deflection check under the serviceability combination, on the short span midspan moment
+        const E = window.materialLibrary.getConcrete(params.fck).Ec;
+        const I = (1000 * Math.pow(params.thickness, 3)) / 12;
+        const [endSpan, nearEndSupport] = continuous ? serviceForces.locations : [];
+        const serviceMoment = twoWay ? serviceForces.moments.x.positive : continuous ? endSpan.moment : serviceForces.maxMoment;
+        const deflection = engine.calculateSlabDeflection(
+            continuous ? endSpan.moment + nearEndSupport.moment / 10 : serviceMoment, E, I, span, params.type
+        );
+        const deflectionLimit = engine.getDeflectionLimits(span).limitTotal;
+        const deflectionOK = deflection <= deflectionLimit;
+        const spanDepth = engine.checkSpanDepthRatio({
+            member: 'slab',
+            support: params.type === 'cantilever' ? 'cantilever' : continuous ? 'continuous' : 'simply-supported',
+            span, b: 1000, d: effectiveDepth, D: params.thickness,
+            Ast_req: x.astRequired,
+            Ast_prov: Math.PI * barDia * barDia / 4 * 1000 / spacing,
+            fck: params.fck,
+            fy: params.fy
+        });
+        
+        // Crack control under the serviceability moment
+        const crackWidth = engine.checkSlabCracking({
+            spacing, barDia,
+            cover: params.cover,
+            thickness: params.thickness,
+            moment: serviceMoment * 1e6,
+            fck: params.fck,
+            fy: params.fy,
+            exposure: params.exposure
+        });
+        
+        const utilization = Math.max(...Object.values(steel).concat(locations || []).filter(Boolean).map(strip => strip.utilization));
+        const isSafe = utilization <= 1.0 && deflectionOK && spanDepth.ok && crackWidth.ok;
+        
+        return {
+            isSafe,
+            governingCombination: ultimate.combination.label,
+            serviceCombination: service.combination.label,
+            astProvided, spacing, barDia, utilization, deflection, deflectionLimit,
+            steel, torsion, locations,
+            diagram: this.getSlabMomentDiagram(params, forces),
+            statusMessage: isSafe ? 
+                'PASS - Slab design meets all requirements.' : 
+                'FAIL - Check thickness, reinforcement, or spans.',
+            display: this.formatSlabResultsForDisplay({
+                type: params.type,
+                forces,
+                steel,
+                torsion,
+                locations,
+                maxMoment: forces.maxMoment,
+                maxShear: forces.maxShear,
+                utilization,
+                astProvided,
+                spacing,
+                barDia,
+                deflection,
+                deflectionLimit,
+                deflectionOK,
+                spanDepth,
+                crackWidth,
+                effectiveDepth,
+                governingCombination: ultimate.combination.label,
+                serviceCombination: service.combination.label
+            })
+        };
+    }
+
     runSlabDesign() {
         try {
             this.ui.showLoading(30, 'Designing slab...');
-            const params = this.state.slab;
-            
-            // Enhanced calculations
-            const effectiveDepth = params.thickness - params.cover - 8;
-            const factoredLoad = 1.5 * (params.DL + params.LL);
-            
-            // Calculate moments and shear
-            const forces = window.calculationEngine.calculateSlabMoments(
-                params.type, params.length, params.width, factoredLoad
-            );
-            
-            // Calculate required reinforcement
-            const astRequired = window.calculationEngine.calculateSlabReinforcement(
-                forces.maxMoment * 1e6, params.fck, params.fy, 1000, effectiveDepth
-            );
-            
-            // Minimum and maximum steel checks
-            const astMin = 0.0012 * 1000 * params.thickness;
-            const astMax = 0.04 * 1000 * effectiveDepth;
-            const astProvided = Math.min(Math.max(astRequired, astMin), astMax);
-            
-            // Calculate spacing
-            const barDia = this.getOptimalBarDiameter(astProvided);
-            const areaPerBar = Math.PI * barDia * barDia / 4;
-            const requiredBars = Math.ceil(astProvided / areaPerBar);
-            const spacing = Math.min(1000 / requiredBars, 300);
-            
-            // Deflection check
-            const E = 5000 * Math.sqrt(params.fck);
-            const I = (1000 * Math.pow(params.thickness, 3)) / 12;
-            const deflection = window.calculationEngine.calculateSlabDeflection(
-                forces.maxMoment, E, I, Math.min(params.length, params.width), params.type
-            );
-            const deflectionLimit = (Math.min(params.length, params.width) * 1000) / 250;
-            const deflectionOK = deflection <= deflectionLimit;
-            
-            // Crack width check
-            const stress = 0.87 * params.fy;
-            const crackWidth = window.calculationEngine.calculateCrackWidth(
-                stress, params.cover, spacing, barDia
-            );
-            const crackWidthOK = crackWidth <= 0.3;
-            
-            const utilization = forces.maxMoment / (0.138 * params.fck * 1000 * effectiveDepth * effectiveDepth / 1e6);
-            const isSafe = utilization <= 1.0 && deflectionOK && crackWidthOK;
-            
-            const results = {
-                isSafe,
-                statusMessage: isSafe ? 
-                    'PASS - Slab design meets all requirements.' : 
-                    'FAIL - Check thickness, reinforcement, or spans.',
-                display: this.formatSlabResultsForDisplay({
-                    maxMoment: forces.maxMoment,
-                    maxShear: forces.maxShear,
-                    utilization,
-                    astProvided,
-                    spacing,
-                    barDia,
-                    deflection,
-                    deflectionLimit,
-                    deflectionOK,
-                    crackWidth,
-                    crackWidthOK,
-                    effectiveDepth
-                })
-            };
-            
+            const results = this.computeSlabDesign(this.state.slab);
             this.ui.showSlabResults(results);
+            this.setGoverningCombination('slab', results.governingCombination, results.serviceCombination);
             this.addToHistory(results);
             
         } catch (error) {
             console.error('Error in slab design:', error);
-            this.ui.showToast('Error in slab design calculation', 'error');
+            this.ui.showToast(error.message || 'Error in slab design calculation', 'error');
         } finally {
             this.ui.hideLoading();
         }
     }
 
+    // Design moments (kNm/m, sagging positive) along the slab for the moment chart: each span is the
+    // parabola through its support and midspan moments. Two-way slabs show the short span strip with
+    // any single continuous long edge on the right.
+    getSlabMomentDiagram(params, forces) {
+        let spans;
+        if (params.type === 'continuous') {
+            const moment = (key) => forces.locations.find(location => location.key === key)?.moment;
+            const support = (i) => i === 0 || i === forces.spanCount ? 0
+                : i === 1 || i === forces.spanCount - 1 ? moment('nearEndSupport') : moment('interiorSupport');
+            spans = Array.from({ length: forces.spanCount }, (_, i) => ({
+                length: forces.span,
+                left: support(i),
+                mid: moment(i === 0 || i === forces.spanCount - 1 ? 'endSpan' : 'interiorSpan'),
+                right: support(i + 1)
+            }));
+        } else if (params.type === 'two-way') {
+            const { moments, lx } = forces;
+            const panel = window.designCodes.slabPanels.cases.find(entry => entry.id === params.panel);
+            const continuousEdges = forces.twoWay ? 2 - panel.discontinuous.long : 0;
+            spans = [{ length: lx, left: continuousEdges === 2 ? -moments.x.negative : 0, mid: moments.x.positive, right: continuousEdges > 0 ? -moments.x.negative : 0 }];
+        } else if (params.type === 'cantilever') {
+            spans = [{ length: params.length, left: -forces.maxMoment, mid: -forces.maxMoment / 4, right: 0 }];
+        } else {
+            spans = [{ length: Math.min(params.length, params.width), left: 0, mid: forces.maxMoment, right: 0 }];
+        }
+        
+        const points = 20;
+        const stations = [];
+        let start = 0;
+        spans.forEach(({ length, left, mid, right }, index) => {
+            for (let i = index === 0 ? 0 : 1; i <= points; i++) {
+                const t = i / points;
+                stations.push({
+                    x: start + t * length,
+                    moment: left * (1 - t) * (1 - 2 * t) + 4 * mid * t * (1 - t) + right * t * (2 * t - 1)
+                });
+            }
+            start += length;
+        });
+        return { labels: stations.map(station => station.x.toFixed(2)), moment: stations.map(station => station.moment) };
+    }
+
+    // Steel of a metre strip under moment (kNm/m). effectiveDepth(dia) places a bar of that size in
+    // its layer; the strip is sized at a 10 mm bar, then designed again at the bar chosen.
+    designSlabStrip(moment, effectiveDepth, params) {
+        const engine = window.calculationEngine;
+        const { detailing } = engine.getCode();
+        const design = (barDia) => {
+            const d = effectiveDepth(barDia);
+            const astRequired = moment > 0 ? engine.calculateSlabReinforcement(moment * 1e6, params.fck, params.fy, 1000, d) : 0;
+            const astMin = detailing.slabMinSteel(1000, params.thickness, d, params.fck, params.fy);
+            const astProvided = Math.min(Math.max(astRequired, astMin), 0.04 * 1000 * d);
+            const areaPerBar = Math.PI * barDia * barDia / 4;
+            const spacing = Math.min(1000 / Math.ceil(astProvided / areaPerBar), detailing.slabMaxSpacing(d, params.thickness));
+            const utilization = moment / (engine.getLimitingMoment(params.fck, params.fy, 1000, d).M / 1e6);
+            return { moment, d, barDia, astRequired, astProvided, spacing, utilization };
+        };
+        return design(this.getOptimalBarDiameter(design(10).astProvided));
+    }
+
     getOptimalBarDiameter(requiredArea) {
         const bars = [8, 10, 12, 16, 20];
         for (const dia of bars) {
@@ -340,17 +1867,63 @@ class CivilSuiteApp {
     }
 
     formatSlabResultsForDisplay(data) {
-        return {
+        const bars = (strip) => `${strip.barDia}mm @ ${Math.round(strip.spacing)}mm c/c`;
+        const display = {
             maxMoment: `${data.maxMoment.toFixed(2)} kNm/m`,
             shearForce: `${data.maxShear.toFixed(2)} kN/m`,
             deflection: `${data.deflection.toFixed(2)} mm ${data.deflectionOK ? '✓' : '✗'}`,
             utilization: `${(data.utilization * 100).toFixed(1)}%`,
-            mainSteelX: `${data.barDia}mm @ ${Math.round(data.spacing)}mm c/c`,
-            mainSteelY: `${data.barDia}mm @ ${Math.round(data.spacing * 1.2)}mm c/c`,
+            mainSteelX: bars(data.steel.x),
             distributionSteel: `8mm @ 200mm c/c`,
             steelSpacing: `${Math.round(data.spacing)} mm c/c`,
             deflectionCheck: `${data.deflection.toFixed(1)}mm < ${data.deflectionLimit.toFixed(1)}mm ${data.deflectionOK ? '(OK)' : '(FAIL)'}`,
-            crackWidth: `${data.crackWidth.toFixed(2)} mm ${data.crackWidthOK ? '✓' : '✗'}`
+            spanDepthCheck: this.formatSpanDepthCheck(data.spanDepth),
+            crackWidth: this.formatCrackControl(data.crackWidth),
+            governingCombination: `${data.governingCombination} (SLS: ${data.serviceCombination})`,
+            designCode: this.formatDesignCode()
+        };
+        if (data.type === 'continuous') return { ...display, ...this.formatContinuousSlab(data, bars) };
+        if (data.type !== 'two-way') return display;
+        
+        // Each direction with its moment and effective depth
+        const { steel, forces, torsion } = data;
+        const strip = (design, label) => `${bars(design)} - ${label} ${design.moment.toFixed(2)} kNm/m, d = ${Math.round(design.d)} mm`;
+        const support = (design, label, edges) => design ? strip(design, label) : `None - the ${edges} edges are discontinuous`;
+        const corner = ({ corners, spacing, barDia }) => `${barDia}mm @ ${Math.round(spacing)}mm c/c at ${corners} corner${corners === 1 ? '' : 's'}`;
+        const { x, y } = forces.coefficients;
+        const alpha = (value) => value === null ? '-' : value.toFixed(4);
+        const cornerSteel = [torsion?.full, torsion?.half].filter(share => share && share.corners > 0);
+        
+        return {
+            ...display,
+            mainSteelX: strip(steel.x, 'Mx'),
+            mainSteelY: strip(steel.y, 'My'),
+            supportSteelX: support(steel.supportX, 'Mx', 'long'),
+            supportSteelY: support(steel.supportY, 'My', 'short'),
+            torsionSteel: !forces.twoWay
+                ? 'Not required - the slab spans one way'
+                : cornerSteel.length
+                    ? `${cornerSteel.map(corner).join('; ')}, top and bottom both ways over ${torsion.length.toFixed(2)} m`
+                    : 'Not required - every corner is continuous',
+            panelCoefficients: forces.twoWay
+                ? `ly/lx = ${forces.ratio.toFixed(2)}: αx ${alpha(x.negative)} / ${alpha(x.positive)}, αy ${alpha(y.negative)} / ${alpha(y.positive)} (support / midspan)`
+                : `ly/lx = ${forces.ratio.toFixed(2)} > 2: one way across lx, wlx²/8`
+        };
+    }
+
+    // Bars at each Table 12 location with its moment and face, and the Table 13 shears
+    formatContinuousSlab({ locations, forces }, bars) {
+        const strip = (key) => {
+            const location = locations.find(entry => entry.key === key);
+            if (!location) return 'None - the coefficient method needs at least three spans, and with three both interior supports are next to an end support';
+            return `${bars(location)} ${location.face} - M = ${location.moment.toFixed(2)} kNm/m, d = ${Math.round(location.d)} mm`;
+        };
+        return {
+            mainSteelX: strip('endSpan'),
+            nearEndSupportSteel: strip('nearEndSupport'),
+            interiorSpanSteel: strip('interiorSpan'),
+            interiorSupportSteel: strip('interiorSupport'),
+            supportShears: forces.shears.map(location => `${location.label} ${location.shear.toFixed(2)}`).join('; ') + ' kN/m'
         };
     }
 
@@ -551,59 +2124,140 @@ class CivilSuiteApp {
         return {
             maxShear: convert(data.maxShear, 'force') + ' ' + units.force,
             maxMoment: convert(data.maxMoment, 'moment') + ' ' + units.moment,
-            maxDeflection: convert(data.maxDeflection, 'deflection') + ' ' + units.deflection,
+            maxDeflection: convert(data.longTerm.total, 'deflection') + ' ' + units.deflection,
             momentCapacity: convert(data.momentCapacity / 1e6, 'moment') + ' ' + units.moment,
-            shearCapacity: convert(data.shearCapacity / 1000, 'force') + ' ' + units.force,
+            shearCapacity: convert(data.shear.capacity / 1000, 'force') + ' ' + units.force,
             utilization: (data.utilization * 100).toFixed(1) + '%',
             bottomSteel: this.formatReinforcement(data.Ast_prov),
-            topSteel: this.formatReinforcement(data.Ast_min),
-            shearSteel: `T8 @ 200 mm c/c`,
-            deflectionCheck: `${data.maxDeflection.toFixed(2)}mm < ${data.deflectionLimit.toFixed(2)}mm (${data.maxDeflection <= data.deflectionLimit ? 'OK' : 'FAIL'})`,
+            topSteel: this.formatReinforcement(data.Ast_top),
+            compressionSteel: this.formatCompressionSteel(data.compressionSteel),
+            shearSteel: this.formatShearLinks(data.shear) + (data.shearSection ? ` (${data.shearSection})` : ''),
+            shearStresses: `${data.shear.closed ? 'τve' : 'τv'} = ${data.shear.tauV.toFixed(2)}, τc = ${data.shear.tauC.toFixed(2)}, τc,max = ${data.shear.tauCMax.toFixed(2)} N/mm²`
+                + (data.shear.tauV > data.shear.tauCMax ? ' (FAIL - enlarge section)' : ''),
+            shearVus: convert(data.shear.Vus / 1000, 'force') + ' ' + units.force,
+            torsionDesign: data.Mt > 0
+                ? `Ve = ${convert(data.shear.Ve / 1000, 'force')} ${units.force}, Mt = ${convert(data.Mt, 'moment')} ${units.moment}, `
+                    + `Me = ${convert(data.Me.bottom, 'moment')} / ${convert(data.Me.top, 'moment')} ${units.moment} (bottom / top)`
+                : 'No torsion',
+            sideFaceSteel: data.shear.sideFace
+                ? `${data.shear.sideFace.bars}T${data.shear.sideFace.dia} per face @ ${Math.round(data.shear.sideFace.spacing)} mm`
+                : 'Not required',
+            shearZones: data.shear.zones.map(zone => {
+                const length = (x) => (x * (units.conversions.length || 1)).toFixed(2);
+                return `${length(zone.start)}-${length(zone.end)} ${units.length}: @ ${zone.spacing} mm`;
+            }).join('; '),
+            deflectionCheck: `total ${data.longTerm.total.toFixed(2)} mm vs ${data.longTerm.limitTotal.toFixed(2)} mm `
+                + `(${data.longTerm.total <= data.longTerm.limitTotal ? 'OK' : 'FAIL'}); after partitions `
+                + `${data.longTerm.afterPartitions.toFixed(2)} mm vs ${data.longTerm.limitPartitions.toFixed(2)} mm `
+                + `(${data.longTerm.afterPartitions <= data.longTerm.limitPartitions ? 'OK' : 'FAIL'})`,
+            spanDepthCheck: this.formatSpanDepthCheck(data.spanDepth) + (data.spanDepthSection ? ` (${data.spanDepthSection})` : ''),
+            crackWidth: data.crackWidth
+                ? `${this.formatCrackControl(data.crackWidth)} at ${data.crackWidth.governing.location} (${data.crackWidth.face}), `
+                    + `fs = ${data.crackWidth.fs.toFixed(0)} N/mm²` + (data.crackSection ? ` (${data.crackSection})` : '')
+                : 'No service tension',
+            deflectionComponents: `short-term ${data.longTerm.short.toFixed(2)} mm (Ieff = ${(data.longTerm.Ieff / data.longTerm.Igr).toFixed(2)} Igr), `
+                + `creep ${data.longTerm.creep.toFixed(2)} mm (θ = ${data.longTerm.theta.toFixed(2)}), shrinkage ${data.longTerm.shrinkage.toFixed(2)} mm`,
+            flangeWidth: data.flange
+                ? `${data.flange.bf.toFixed(0)} mm (l0 = ${convert(data.flange.l0 / 1000, 'length')} ${units.length})`
+                : 'N/A (rectangular)',
+            neutralAxis: `${data.xu.toFixed(1)} mm${data.flange ? (data.xu <= data.flange.Df ? ' (in flange)' : ' (in web)') : ''}, xu,max = ${data.xuMax.toFixed(1)} mm`
+                + (data.overReinforced.length ? ` - over-reinforced with ${data.overReinforced.join(' and ')} steel in tension (FAIL)` : ''),
+            governingCombination: `${data.governingCombination} (SLS: ${data.serviceCombination})`,
+            designCode: this.formatDesignCode()
         };
     }
     
-    generateBeamChartData(params, forces) {
-        const { L, factoredUDL, type } = params;
-        const steps = 20;
+    formatDesignCode() {
+        const code = window.designCodes.getActive();
+        return `${code.name} (${window.designCodes.describeFactors(code)})`;
+    }
+    
+    // A crack width against its exposure limit, or for ACI 318 the bar spacing against its maximum
+    formatCrackControl(check) {
+        const digits = check.kind === 'width' ? 2 : 0;
+        return `${check.label} = ${check.value.toFixed(digits)} mm vs ${check.limit.toFixed(digits)} mm `
+            + `${check.kind === 'width' ? 'limit' : 'max'} (${check.ok ? 'OK' : 'FAIL'})`;
+    }
+    
+    // Asc each face needs beyond Mu,lim, at the stress strain compatibility gives it
+    formatCompressionSteel(steel) {
+        const faces = [['top', steel.top], ['bottom', steel.bottom]].filter(([, face]) => face.Asc > 0);
+        if (!faces.length) return 'Not required (singly reinforced)';
+        return faces.map(([name, face]) =>
+            `${name} Asc = ${face.Asc.toFixed(0)} mm² at d' = ${face.dc.toFixed(0)} mm, fsc = ${face.fsc.toFixed(0)} N/mm²`
+        ).join('; ');
+    }
+
+    formatSpanDepthCheck(check) {
+        if (!check.applicable) return `${check.ratio} = ${check.actual.toFixed(1)}; ${check.note}`;
+        return `${check.ratio} = ${check.actual.toFixed(1)} vs ${check.allowable.toFixed(1)} allowed (${check.factors}) ${check.ok ? '(OK)' : '(FAIL)'}`;
+    }
+    
+    formatShearLinks(shear) {
+        const link = `${shear.legs}L-T${shear.dia}${shear.closed ? ' closed' : ''}`;
+        return shear.zones.length > 1
+            ? `${link} @ ${shear.spacing} mm c/c near supports, @ ${shear.nominalSpacing} mm c/c elsewhere`
+            : `${link} @ ${shear.spacing} mm c/c throughout`;
+    }
+    
+    generateBeamChartData(params, forces, designs = []) {
+        const { conversions } = this.state.units;
         const labels = [];
         const sfd = [];
         const bmd = [];
+        const sfdMin = [];
+        const bmdMin = [];
 
-        for (let i = 0; i <= steps; i++) {
-            const x = (i / steps) * L;
-            let shear = 0, moment = 0;
-            
-            if (type === 'simply-supported') {
-                shear = factoredUDL * (L/2 - x);
-                moment = (factoredUDL * x * (L - x)) / 2;
-            } else if (type === 'cantilever') {
-                shear = factoredUDL * (L - x);
-                moment = -factoredUDL * Math.pow(L - x, 2) / 2;
-            } else if (type === 'fixed') {
-                shear = factoredUDL * (L/2 - x);
-                moment = (factoredUDL / 12) * (6 * L * x - 6 * x * x - L * L);
+        forces.diagram.forEach(station => {
+            labels.push((station.x * (conversions.length || 1)).toFixed(2));
+            sfd.push(station.V * (conversions.force || 1));
+            bmd.push(station.M * (conversions.moment || 1));
+            if (forces.envelope) {
+                sfdMin.push(station.Vmin * (conversions.force || 1));
+                bmdMin.push(station.Mmin * (conversions.moment || 1));
             }
-            
-            labels.push(x.toFixed(2));
-            sfd.push(shear * (this.state.units.conversions.force || 1));
-            bmd.push(moment * (this.state.units.conversions.moment || 1));
-        }
+        });
         
-        return { labels, sfd, bmd };
+        // Stirrup zones along the beam, drawn over the SFD
+        const shearZones = designs.filter(design => design.shear).flatMap(({ shear }) => shear.zones.map(zone => ({
+            xMin: (shear.start + zone.start) * (conversions.length || 1),
+            xMax: (shear.start + zone.end) * (conversions.length || 1),
+            label: `${shear.legs}L-T${shear.dia} @ ${zone.spacing}`,
+            dense: zone.spacing < shear.nominalSpacing
+        })));
+        
+        // Envelopes carry the lower bounding curves as well
+        return forces.envelope
+            ? { labels, sfd, bmd, sfdMin, bmdMin, shearZones }
+            : { labels, sfd, bmd, shearZones };
     }
     
-    formatReinforcement(area) {
-        if (area < 0) return 'N/A';
-        
+    // Fewest bars of the smallest diameter, up to 8 bars, that provide the area
+    selectBars(area) {
         const bars = [8, 10, 12, 16, 20, 25, 32];
         for (const dia of bars) {
             const areaPerBar = Math.PI * dia * dia / 4;
             const num = Math.ceil(area / areaPerBar);
             if (num <= 8) {
-                return `${num}T${dia} (${(num * areaPerBar).toFixed(0)} mm²)`;
+                return { num, dia, area: num * areaPerBar };
             }
         }
-        return `${area.toFixed(0)} mm²`;
+        return null;
+    }
+    
+    // Clear gap between the bars of one layer across the width inside the links, against the code minimum
+    checkBeamBarSpacing(bars, b, cover, linkDia) {
+        const inside = b - 2 * (cover + linkDia);
+        const clear = bars.num > 1 ? (inside - bars.num * bars.dia) / (bars.num - 1) : inside - bars.num * bars.dia;
+        const minClear = window.calculationEngine.getCode().detailing.beamBarSpacing(bars.dia);
+        return { clear, minClear, ok: clear >= minClear };
+    }
+    
+    formatReinforcement(area) {
+        if (area < 0) return 'N/A';
+        
+        const bars = this.selectBars(area);
+        return bars ? `${bars.num}T${bars.dia} (${bars.area.toFixed(0)} mm²)` : `${area.toFixed(0)} mm²`;
     }
 
     getBarWeight(diameter) {
@@ -621,7 +2275,7 @@ class CivilSuiteApp {
                     length: 3.28084, force: 0.224809, moment: 0.737562,
                     deflection: 39.3701, 'kN/m': 0.0685218,
                 },
-                toMetric: { L: 0.3048, b: 25.4, D: 25.4, cover: 25.4, DL: 14.5939, LL: 14.5939 }
+                toMetric: { L: 0.3048, b: 25.4, D: 25.4, Df: 25.4, spacing: 25.4, cover: 25.4, Tu: 1.35582, DL: 14.5939, LL: 14.5939, force: 4.44822, moment: 1.35582, overhangLeft: 0.3048, overhangRight: 0.3048 }
             };
         }
         return {
@@ -629,39 +2283,847 @@ class CivilSuiteApp {
             length: 'm', force: 'kN', moment: 'kNm',
             deflection: 'mm', 'kN/m': 'kN/m',
             conversions: {},
-            toMetric: { L: 1, b: 1, D: 1, cover: 1, DL: 1, LL: 1 }
+            toMetric: { L: 1, b: 1, D: 1, Df: 1, spacing: 1, cover: 1, Tu: 1, DL: 1, LL: 1, force: 1, moment: 1, overhangLeft: 1, overhangRight: 1 }
         };
     }
     
     convertBeamStateToMetric(params) {
-        if (this.state.units.system === 'metric') return { ...params };
+        const loads = params.loads || [];
+        if (this.state.units.system === 'metric') return { ...params, loads: [...loads] };
         const conv = this.state.units.toMetric;
         const metricParams = {};
         for (const key in params) {
-            metricParams[key] = params[key] * (conv[key] || 1);
+            metricParams[key] = typeof params[key] === 'number' ? params[key] * (conv[key] || 1) : params[key];
         }
+        metricParams.loads = loads.map(load => this.convertBeamLoadToMetric(load));
+        metricParams.spans = (params.spans || []).map(span => ({ L: span.L * conv.L, b: span.b * conv.b, D: span.D * conv.D }));
+        metricParams.settlements = (params.settlements || []).map(value => value * conv.cover); // in to mm
         return metricParams;
     }
 
+    convertBeamLoadToMetric(load) {
+        const conv = this.state.units.toMetric;
+        // Point loads and moments convert as forces/moments, the rest as line loads
+        const magnitudeFactor = { point: conv.force, moment: conv.moment }[load.type] || conv.DL;
+        return {
+            ...load,
+            magnitude: load.magnitude * magnitudeFactor,
+            magnitude2: (load.magnitude2 || 0) * magnitudeFactor,
+            position: load.position * conv.L,
+            extent: load.extent * conv.L
+        };
+    }
+
+    addBeamLoad() {
+        const type = document.getElementById('beamLoadType')?.value || 'point';
+        const loadCase = document.getElementById('beamLoadCase')?.value || 'DL';
+        const magnitude = parseFloat(document.getElementById('beamLoadMagnitude')?.value);
+        const magnitude2 = parseFloat(document.getElementById('beamLoadMagnitude2')?.value) || 0;
+        const position = parseFloat(document.getElementById('beamLoadPosition')?.value) || 0;
+        const isDistributed = ['udl', 'triangular', 'trapezoidal'].includes(type);
+        const extent = isDistributed ? parseFloat(document.getElementById('beamLoadExtent')?.value) : 0;
+        const L = this.getBeamTotalLength();
+        
+        // Validation
+        if (isNaN(magnitude) || (magnitude === 0 && magnitude2 === 0)) {
+            this.ui.showToast('Load magnitude must be non-zero', 'error');
+            return;
+        }
+        if (position < 0 || position > L) {
+            this.ui.showToast(`Load position must be between 0 and ${L}`, 'error');
+            return;
+        }
+        if (isDistributed && (isNaN(extent) || extent <= 0 || position + extent > L + 1e-9)) {
+            this.ui.showToast('Distributed load must have a positive extent within the span', 'error');
+            return;
+        }
+        
+        this.state.beam.loads.push({
+            id: Date.now(),
+            type,
+            loadCase,
+            magnitude,
+            magnitude2: type === 'trapezoidal' ? magnitude2 : 0,
+            position,
+            extent
+        });
+        
+        this.ui.renderBeamLoadList();
+        this.ui.renderBeamVisual();
+        this.runBeamAnalysis();
+        this.ui.showToast('Load added', 'success');
+    }
+
+    saveCustomMaterial(kind) {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input && input.value !== '' ? (input.type === 'number' ? parseFloat(input.value) : input.value.trim()) : undefined;
+        };
+        
+        try {
+            const material = kind === 'concrete'
+                ? window.materialLibrary.saveCustomConcrete({
+                    name: value('customConcreteName'), fck: value('customConcreteFck'),
+                    Ec: value('customConcreteEc'), fcr: value('customConcreteFcr'), density: value('customConcreteDensity')
+                })
+                : window.materialLibrary.saveCustomSteel({
+                    name: value('customSteelName'), fy: value('customSteelFy'),
+                    Es: value('customSteelEs'), curve: value('customSteelCurve')
+                });
+            this.onMaterialsChanged();
+            this.ui.showToast(`${material.name} saved`, 'success');
+        } catch (error) {
+            this.ui.showToast(error.message, 'error');
+        }
+    }
+
+    removeCustomMaterial(kind, strength) {
+        window.materialLibrary.removeCustomMaterial(kind, strength);
+        this.onMaterialsChanged();
+        this.ui.showToast('Custom material removed', 'info');
+    }
+
+    // Grade lists appear in every module, and a custom grade may redefine the one in use
+    onMaterialsChanged() {
+        this.state.materials = window.materialLibrary.custom;
+        this.ui.renderMaterials();
+        this.ui.renderBeamMaterialOptions();
+        this.runBeamAnalysis();
+    }
+
+    removeBeamLoad(loadId) {
+        this.state.beam.loads = this.state.beam.loads.filter(load => load.id !== loadId);
+        this.ui.renderBeamLoadList();
+        this.ui.renderBeamVisual();
+        this.runBeamAnalysis();
+        this.ui.showToast('Load removed', 'info');
+    }
+
     formatColumnResultsForDisplay(data) {
         return {
             axialCapacity: `${data.axialCapacity.toFixed(0)} kN`,
+            designActions: `Pu ${data.Pu.toFixed(0)} kN, Mux ${data.Mux.toFixed(1)} kNm, Muy ${data.Muy.toFixed(1)} kNm`,
+            governingCombination: data.governingCombination,
+            designCode: this.formatDesignCode(),
             momentCapacityX: `${data.momentCapacityX.toFixed(1)} kNm`,
             momentCapacityY: `${data.momentCapacityY.toFixed(1)} kNm`,
-            utilization: `${(data.utilization * 100).toFixed(1)}%`,
-            mainSteel: this.formatReinforcement(data.astProvided),
-            tieSteel: 'T8 @ 200 c/c',
+            utilization: `${(data.utilization * 100).toFixed(1)}% (x ${(data.utilizationX * 100).toFixed(1)}%, y ${(data.utilizationY * 100).toFixed(1)}%)`,
+            biaxialCheck: `(${data.biaxial.Mux.toFixed(1)} / ${(data.biaxial.Mux1 / 1e6).toFixed(1)})^${data.biaxial.exponent.toFixed(2)} + `
+                + `(${data.biaxial.Muy.toFixed(1)} / ${(data.biaxial.Muy1 / 1e6).toFixed(1)})^${data.biaxial.exponent.toFixed(2)} = ${data.biaxial.value.toFixed(3)}`,
+            biaxialExponent: data.circular
+                ? 'αn = 2 - circular section, checked on the resultant moment'
+                : `αn = ${data.biaxial.exponent.toFixed(2)} at Pu/Puz = ${(data.Pu * 1000 / data.biaxial.Puz).toFixed(2)} (Puz ${(data.biaxial.Puz / 1000).toFixed(0)} kN)`,
+            mainSteel: `${data.barCount}T${data.barDia} (${data.astProvided.toFixed(0)} mm²)`,
+            tieSteel: data.helix ? `Helix T${data.helixDia} @ ${data.helixPitch} mm pitch` : `T${data.ties.dia} @ ${data.ties.spacing} c/c`,
+            helixCheck: data.helix ? this.formatColumnHelix(data.helix) : 'None - tied column',
             steelPercentage: `${data.steelPercentage.toFixed(2)}%`,
-            slenderness: '15.2',
-            minEccentricity: '20 mm',
-            designStatus: data.utilization <= 1.0 ? 'Adequate' : 'Inadequate',
-            longitudinalBars: '4T16 + 4T12',
-            tieSpacing: '200 mm',
-            devLength: '720 mm',
-            lapLength: '960 mm'
+            effectiveLength: `${(data.effectiveLength.x / 1000).toFixed(2)} m about x, ${(data.effectiveLength.y / 1000).toFixed(2)} m about y`,
+            slenderness: this.formatColumnSlenderness(data.slenderness),
+            additionalMoments: data.slenderness.x.slender || data.slenderness.y.slender
+                ? ['x', 'y'].filter(axis => data.slenderness[axis].slender)
+                    .map(axis => `Ma${axis} ${data.additional[axis].toFixed(1)} kNm (${data.slenderness[axis].factorSymbol} = ${data.slenderness[axis].factor.toFixed(2)})`)
+                    .join(', ')
+                : 'None - short column',
+            minEccentricity: data.eccentricity.x > 0
+                ? `${data.eccentricity.x.toFixed(1)} mm about x, ${data.eccentricity.y.toFixed(1)} mm about y`
+                : 'Covered by the axial load cap',
+            designStatus: data.isSafe ? 'Adequate' : 'Inadequate',
+            longitudinalBars: (data.circular
+                ? `${data.barCount} bars equally spaced round the section`
+                : `${data.barsWidth} per width face, ${data.barsDepth} per depth face`)
+                + ` - ${data.spacing.clear.toFixed(0)} mm clear, ${data.spacing.centre.toFixed(0)} mm c/c at most`,
+            tieSpacing: data.helix
+                ? `${data.helixPitch} mm pitch (${data.helix.pitchLimits.min.toFixed(0)}-${data.helix.pitchLimits.max.toFixed(0)} mm)`
+                : `${data.ties.spacing} mm (at most ${data.ties.maxSpacing.toFixed(0)} mm), ties ≥ ${data.ties.minDia.toFixed(0)} mm`,
+            devLength: `${data.anchorage.tension.development.toFixed(0)} mm in tension, ${data.anchorage.compression.development.toFixed(0)} mm in compression`,
+            lapLength: `${data.anchorage.tension.lap.toFixed(0)} mm in tension, ${data.anchorage.compression.lap.toFixed(0)} mm in compression`
+        };
+    }
+
+    formatColumnHelix(helix) {
+        const { strengthFactor, maxAxialFactor } = window.calculationEngine.getCode().column.helix;
+        const effect = !helix.confining ? 'short of the volume ratio, designed as ties'
+            : strengthFactor !== 1 ? `strength × ${strengthFactor.toFixed(2)}`
+            : maxAxialFactor ? 'spiral φ and axial cap' : 'no strength enhancement';
+        const ratio = helix.required > 0
+            ? `ρ ${helix.ratio.toFixed(4)} against ${helix.required.toFixed(4)}`
+            : `ρ ${helix.ratio.toFixed(4)}`;
+        return `${ratio} (${effect}); pitch ${helix.pitchLimits.min.toFixed(0)}-${helix.pitchLimits.max.toFixed(0)} mm, `
+            + `bar ≥ ${helix.minDia.toFixed(0)} mm`;
+    }
+
+    formatColumnSlenderness(slenderness) {
+        const { x, y } = slenderness;
+        const slender = ['x', 'y'].filter(axis => slenderness[axis].slender);
+        const limit = x.limit === Infinity ? 'none' : x.limit.toFixed(1);
+        return `${x.symbol} ${x.ratio.toFixed(1)} about x, ${y.ratio.toFixed(1)} about y (limit ${limit}) - `
+            + (slender.length ? `slender about ${slender.join(' and ')}` : 'short');
+    }
+
+    // === COST OPTIMIZER ===
+
+    setOptimizerModule(module) {
+        this.state.optimizer.module = module;
+        this.optimizerResults = null;
+        this.ui.renderOptimizer();
+    }
+
+    updateOptimizerRange(key, bound, value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed <= 0) {
+            this.ui.showToast('Sizes and steps must be positive', 'error');
+            this.ui.renderOptimizer();
+            return;
+        }
+        const { optimizer } = this.state;
+        optimizer.ranges[optimizer.module][key][bound] = parsed;
+    }
+
+    // Formwork has one rate; concrete and steel have one per grade, and a cleared rate removes it
+    updateOptimizerRate(kind, grade, value) {
+        const { rates } = this.state.optimizer;
+        const parsed = parseFloat(value);
+        if (value === '' && kind !== 'formwork') {
+            delete rates[kind][grade];
+            return;
+        }
+        if (isNaN(parsed) || parsed < 0) {
+            this.ui.showToast('Rates must be zero or positive', 'error');
+            this.ui.renderOptimizer();
+            return;
+        }
+        if (kind === 'formwork') rates.formwork = parsed;
+        else rates[kind][grade] = parsed;
+    }
+
+    toggleOptimizerGrade(kind, grade, isEnabled) {
+        const { grades } = this.state.optimizer;
+        grades[kind] = isEnabled
+            ? [...new Set([...grades[kind], grade])].sort((a, b) => a - b)
+            : grades[kind].filter(value => value !== grade);
+    }
+
+    // Sizes and grades replace those in the module's inputs; everything else is designed as entered.
+    // The inputs are designed once first, so errors in them are reported instead of failing every candidate.
+    // A candidate the design rejects with an Error (a flange deeper than the section, say) fails, and is
+    // counted with the first message; any other exception is a fault in the program and stops the search.
+    getOptimizerProblem(module) {
+        const rejected = { count: 0, message: null };
+        const passing = (compute) => (candidate) => {
+            try {
+                return compute(candidate);
+            } catch (error) {
+                if (error.constructor !== Error) throw error;
+                rejected.count++;
+                rejected.message = rejected.message || error.message;
+                return null;
+            }
+        };
+        
+        if (module === 'beam') {
+            const base = this.convertBeamStateToMetric(this.state.beam);
+            this.computeBeamDesign(base);
+            const apply = ({ b, D, fck, fy }) => ({ ...base, b, D, fck, fy, spans: base.spans.map(span => ({ ...span, b, D })) });
+            return {
+                rejected,
+                gross: (candidate) => this.getBeamQuantities(apply(candidate)),
+                design: passing((candidate) => {
+                    const metric = apply(candidate);
+                    const results = this.computeBeamDesign(metric);
+                    // Steel that cannot be detailed as one layer of 8 bars or fewer is not a practical design
+                    const detailable = results.designs.every(design => [design.Ast_prov, design.Ast_top].every(area => {
+                        const bars = this.selectBars(area);
+                        return bars && this.checkBeamBarSpacing(bars, design.b, metric.cover, design.shear.dia).ok;
+                    }));
+                    if (!results.isSafe || !detailable) return null;
+                    return {
+                        quantities: this.getBeamQuantities(metric, results.designs),
+                        utilization: Math.max(...results.designs.map(design => design.utilization)),
+                        size: `${candidate.b} × ${candidate.D} mm`,
+                        reinforcement: `${results.display.bottomSteel} bottom, ${results.display.topSteel} top`
+                    };
+                })
+            };
+        }
+        
+        if (module === 'column') {
+            const base = this.state.column;
+            if (base.type === 'circular') {
+                throw new Error('The optimizer sizes rectangular columns - switch the column type to search its sizes');
+            }
+            this.computeColumnDesign(base);
+            const apply = ({ width, depth, fck, fy }) => ({ ...base, width, depth, fck, fy });
+            return {
+                rejected,
+                gross: (candidate) => this.getColumnQuantities(apply(candidate)),
+                design: passing((candidate) => {
+                    const params = apply(candidate);
+                    const results = this.computeColumnDesign(params);
+                    if (!results.isSafe) return null;
+                    return {
+                        quantities: this.getColumnQuantities(params, results),
+                        utilization: results.utilization,
+                        size: `${candidate.width} × ${candidate.depth} mm`,
+                        reinforcement: `${results.display.mainSteel}, ties ${results.display.tieSteel}`
+                    };
+                })
+            };
+        }
+        
+        const base = this.state.slab;
+        this.computeSlabDesign(base);
+        const apply = ({ thickness, fck, fy }) => ({ ...base, thickness, fck, fy });
+        return {
+            rejected,
+            gross: (candidate) => this.getSlabQuantities(apply(candidate)),
+            design: passing((candidate) => {
+                const params = apply(candidate);
+                const results = this.computeSlabDesign(params);
+                if (!results.isSafe) return null;
+                return {
+                    quantities: this.getSlabQuantities(params, results),
+                    utilization: results.utilization,
+                    size: `${candidate.thickness} mm thick`,
+                    reinforcement: `${results.display.mainSteelX}, ${params.type === 'two-way' ? results.display.mainSteelY : results.display.distributionSteel}`
+                };
+            })
+        };
+    }
+
+    // Concrete and steel in m³, formwork in m². Flanged beams count the web below the slab only;
+    // the steel is left out until the beam is designed. Laps and anchorages are not included.
+    getBeamQuantities(metric, designs = []) {
+        const flanged = metric.sectionType === 't-beam' || metric.sectionType === 'l-beam';
+        const members = metric.type === 'continuous'
+            ? [
+                { ...metric.spans[0], L: metric.overhangLeft },
+                ...metric.spans,
+                { ...metric.spans[metric.spans.length - 1], L: metric.overhangRight }
+            ]
+            : [{ L: metric.L, b: metric.b, D: metric.D }];
+        const web = (member) => (flanged ? member.D - metric.Df : member.D) / 1000; // m
+        
+        return {
+            concrete: members.reduce((sum, member) => sum + member.L * member.b / 1000 * web(member), 0),
+            formwork: members.reduce((sum, member) => sum + member.L * (member.b / 1000 + 2 * web(member)), 0),
+            steel: designs.reduce((sum, design) => sum + this.getBeamSteelVolume(design, metric), 0)
+        };
+    }
+
+    // Bars as detailed over the full length of the section, and links by shear zone: each pair of
+    // legs is one closed link round the main bars with two 135° hooks
+    getBeamSteelVolume(design, metric) {
+        const { shear } = design;
+        const barArea = (dia) => Math.PI * dia * dia / 4;
+        const detailed = (area) => (this.selectBars(area) || { area }).area;
+        const length = design.L * 1000;
+        const links = shear.zones.reduce((count, zone) => count + Math.ceil((zone.end - zone.start) * 1000 / zone.spacing), 1);
+        const inset = metric.cover - shear.dia / 2; // to the link centreline, round the main bars
+        const linkLength = 2 * (design.b + design.D - 4 * inset) + 20 * shear.dia;
+        const sideFace = shear.sideFace ? 2 * shear.sideFace.bars * barArea(shear.sideFace.dia) : 0;
+        
+        return ((detailed(design.Ast_prov) + detailed(design.Ast_top) + sideFace) * length
+            + links * shear.legs / 2 * linkLength * barArea(shear.dia)) * 1e-9;
+    }
+
+    // Ties as the column design details them, wrapped round the main bars
+    getColumnQuantities(params, results = null) {
+        const { width, depth, height } = params;
+        let steel = 0;
+        if (results) {
+            const { dia, spacing } = results.ties;
+            const inset = params.cover - dia / 2; // to the tie centreline, round the main bars
+            const main = results.astProvided;
+            const ties = Math.floor(height * 1000 / spacing) + 1;
+            const tieLength = 2 * (width + depth - 4 * inset) + 20 * dia;
+            steel = (main * height * 1000 + ties * tieLength * Math.PI * dia * dia / 4) * 1e-9;
+        }
+        
+        return {
+            concrete: width * depth / 1e6 * height,
+            formwork: 2 * (width + depth) / 1000 * height,
+            steel
+        };
+    }
+
+    // Bottom bars as designed, with 8 mm distribution bars @ 200 mm in one-way slabs or the long span
+    // bars of two-way slabs. A continuous slab repeats the panel over each span, with the bottom bars of
+    // its end and interior spans and top bars running 0.3 of the span either side of each interior
+    // support. Top bars at the edges of two-way slabs and corner torsion steel are not included.
+    // Formwork is the soffit.
+    getSlabQuantities(params, results = null) {
+        const spans = params.type === 'continuous' ? params.spanCount : 1;
+        const plan = params.length * params.width * spans; // m²
+        const perMetre = (strip) => Math.PI * strip.barDia * strip.barDia / 4 * 1000 / strip.spacing; // mm²/m
+        const distribution = Math.PI * 8 * 8 / 4 * 1000 / 200;
+        let steel = 0;
+        if (results && results.locations) {
+            const span = Math.min(params.length, params.width);
+            const breadth = Math.max(params.length, params.width);
+            const count = { endSpan: 2, interiorSpan: spans - 2, nearEndSupport: 2, interiorSupport: spans - 3 };
+            const length = { bottom: span, top: 0.6 * span };
+            const main = results.locations.reduce(
+                (sum, location) => sum + perMetre(location) * count[location.key] * length[location.face], 0
+            ) * breadth;
+            steel = (main + distribution * plan) / 1e6;
+        } else if (results) {
+            const { y } = results.steel;
+            const secondary = y ? perMetre(y) : distribution;
+            steel = (perMetre(results.steel.x) + secondary) / 1e6 * plan;
+        }
+        
+        return {
+            concrete: plan * params.thickness / 1000,
+            formwork: plan,
+            steel
+        };
+    }
+
+    async runOptimizer() {
+        const { module, ranges, grades, rates } = this.state.optimizer;
+        const library = window.materialLibrary;
+        
+        try {
+            if (!grades.concrete.length || !grades.steel.length) {
+                throw new Error('Select at least one concrete grade and one steel grade');
+            }
+            const unpriced = [
+                ...grades.concrete.filter(fck => !(rates.concrete[fck] >= 0)).map(fck => library.getConcrete(fck).name),
+                ...grades.steel.filter(fy => !(rates.steel[fy] >= 0)).map(fy => library.getSteel(fy).name)
+            ];
+            if (unpriced.length) {
+                throw new Error(`Enter a rate for ${unpriced.join(', ')}`);
+            }
+            
+            const problem = this.getOptimizerProblem(module);
+            const candidates = window.costOptimizer.getCandidates(ranges[module], grades);
+            const message = `Searching ${candidates.length} ${module} designs...`;
+            this.ui.showLoading(0, message);
+            
+            const results = await window.costOptimizer.optimize({
+                candidates, rates, ...problem,
+                onProgress: (fraction) => {
+                    this.ui.showLoading(Math.round(fraction * 100), message);
+                    return new Promise(res => setTimeout(res, 0));
+                }
+            });
+            this.optimizerResults = { module, ...results, rejected: problem.rejected };
+            this.ui.renderOptimizerResults();
+            
+            if (results.designs.length) {
+                this.ui.showToast(`Cheapest ${module}: ${results.designs[0].size} at ${this.formatCost(results.designs[0].cost.total)}`, 'success');
+            } else if (problem.rejected.count) {
+                this.ui.showToast(`No size in the ranges passes every check; ${problem.rejected.count} could not be designed: ${problem.rejected.message}`, 'warning');
+            } else {
+                this.ui.showToast('No size in the ranges passes every check - widen the ranges or add grades', 'warning');
+            }
+        } catch (error) {
+            console.error('Error in cost optimization:', error);
+            this.ui.showToast(error.message || 'Error in cost optimization', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // Copy a ranked design's sizes and grades into its module and redesign it there
+    applyOptimizedDesign(rank) {
+        const entry = this.optimizerResults && this.optimizerResults.designs[rank];
+        if (!entry) return;
+        const { module } = this.optimizerResults;
+        const { fck, fy } = entry.candidate;
+        
+        if (module === 'beam') {
+            const conv = this.state.units.toMetric;
+            const beam = this.state.beam;
+            Object.assign(beam, { b: entry.candidate.b / conv.b, D: entry.candidate.D / conv.D, fck, fy });
+            beam.spans.forEach(span => Object.assign(span, { b: beam.b, D: beam.D }));
+            this.ui.syncBeamInputs();
+            this.ui.renderBeamMaterialOptions();
+            this.ui.renderBeamSpanTable();
+            this.ui.switchTabWithAnimation('beam-analysis');
+            this.runBeamAnalysis();
+        } else if (module === 'column') {
+            const { width, depth } = entry.candidate;
+            Object.assign(this.state.column, { width, depth, fck, fy });
+            this.ui.switchTabWithAnimation('column-design');
+            setTimeout(() => this.runColumnDesign(), 250);
+        } else {
+            Object.assign(this.state.slab, { thickness: entry.candidate.thickness, fck, fy });
+            this.ui.switchTabWithAnimation('slab-design');
+            setTimeout(() => this.runSlabDesign(), 250);
+        }
+        this.ui.showToast(`${entry.size} applied to ${module} design`, 'success');
+    }
+
+    formatCost(value) {
+        return Math.round(value).toLocaleString();
+    }
+
+    // === PARAMETRIC STUDY ===
+
+    // Inputs that can be swept, labelled in the units they are entered in
+    getStudyParameters(module) {
+        const { units } = this.state;
+        const section = units.system === 'imperial' ? 'in' : 'mm';
+        return {
+            beam: {
+                L: `Span L (${units.length})`,
+                b: `Width b (${section})`,
+                D: `Depth D (${section})`,
+                Df: `Flange thickness Df (${section})`,
+                spacing: `Beam spacing (${section})`,
+                DL: `Dead load (${units['kN/m']})`,
+                LL: `Live load (${units['kN/m']})`,
+                fck: 'fck (N/mm²)',
+                fy: 'fy (N/mm²)',
+                cover: `Cover (${section})`,
+                Tu: `Torsion Tu (${units.moment})`,
+                sustainedFraction: 'Sustained load fraction',
+                loadingAge: 'Age at loading (days)'
+            },
+            column: {
+                width: 'Width (mm)',
+                depth: 'Depth (mm)',
+                diameter: 'Diameter, circular (mm)',
+                helixPitch: 'Helix pitch, circular (mm)',
+                height: 'Height (m)',
+                fck: 'fck (N/mm²)',
+                fy: 'fy (N/mm²)',
+                'loadCases.DL.P': 'Dead load P (kN)',
+                'loadCases.LL.P': 'Live load P (kN)',
+                'loadCases.DL.Mx': 'Dead load Mx (kNm)',
+                'loadCases.LL.Mx': 'Live load Mx (kNm)'
+            },
+            slab: {
+                length: 'Length (m)',
+                width: 'Width (m)',
+                thickness: 'Thickness (mm)',
+                DL: 'Dead load (kN/m²)',
+                LL: 'Live load (kN/m²)',
+                fck: 'fck (N/mm²)',
+                fy: 'fy (N/mm²)',
+                cover: 'Cover (mm)'
+            }
+        }[module];
+    }
+
+    // Results recorded at each point; beams report the worst section
+    getStudyOutputs(module) {
+        const utilization = { label: 'Utilization', unit: '', digits: 3 };
+        return {
+            beam: {
+                utilization,
+                bottomSteel: { label: 'Bottom steel', unit: 'mm²', digits: 0 },
+                topSteel: { label: 'Top steel', unit: 'mm²', digits: 0 },
+                deflection: { label: 'Long-term deflection', unit: 'mm', digits: 2 },
+                deflectionRatio: { label: 'Deflection / limit', unit: '', digits: 3 },
+                shearStress: { label: 'Shear stress τv', unit: 'N/mm²', digits: 3 }
+            },
+            column: {
+                utilization,
+                steelArea: { label: 'Steel area', unit: 'mm²', digits: 0 },
+                steelPercentage: { label: 'Steel percentage', unit: '%', digits: 2 }
+            },
+            slab: {
+                utilization,
+                steelArea: { label: 'Steel area', unit: 'mm²/m', digits: 0 },
+                spacing: { label: 'Bar spacing', unit: 'mm', digits: 0 },
+                deflection: { label: 'Deflection', unit: 'mm', digits: 2 },
+                deflectionRatio: { label: 'Deflection / limit', unit: '', digits: 3 }
+            }
+        }[module];
+    }
+
+    setStudyModule(module) {
+        const [first] = Object.keys(this.getStudyParameters(module));
+        Object.assign(this.state.study, { module, output: 'utilization' });
+        this.state.study.y.key = '';
+        this.setStudyParameter('x', first);
+    }
+
+    // A newly chosen parameter is swept from half to one and a half times its current value
+    setStudyParameter(axis, key) {
+        const { study } = this.state;
+        study[axis].key = key;
+        if (key) {
+            const value = window.parametricStudy.getValue(this.state[study.module], key) || 0;
+            const round = (number) => Math.round(number * 100) / 100;
+            Object.assign(study[axis], { from: round(value * 0.5), to: round(value * 1.5) });
+        }
+        this.studyResults = null;
+        this.ui.renderParametricStudy();
+    }
+
+    updateStudyRange(axis, field, value) {
+        const parsed = field === 'steps' ? parseInt(value, 10) : parseFloat(value);
+        if (isNaN(parsed) || (field === 'steps' && parsed < 1)) {
+            this.ui.showToast(field === 'steps' ? 'Steps must be a whole number of at least 1' : 'Enter a number', 'error');
+            this.ui.renderParametricStudy();
+            return;
+        }
+        this.state.study[axis][field] = parsed;
+    }
+
+    setStudyOutput(output) {
+        this.state.study.output = output;
+        this.ui.renderStudyResults();
+    }
+
+    // The module's design with the swept values in place of its inputs
+    evaluateStudyPoint(module, point) {
+        const study = window.parametricStudy;
+        const { x, y } = this.state.study;
+        let params = study.withValue(this.state[module], x.key, point.x);
+        if (y.key) params = study.withValue(params, y.key, point.y);
+        
+        if (module === 'beam') {
+            // Every span of a continuous beam takes a swept span, width or depth
+            const spanKeys = ['L', 'b', 'D'].filter(key => key === x.key || key === y.key);
+            if (params.type === 'continuous' && spanKeys.length) {
+                params = { ...params, spans: params.spans.map(span => ({ ...span, ...Object.fromEntries(spanKeys.map(key => [key, params[key]])) })) };
+            }
+            const results = this.computeBeamDesign(this.convertBeamStateToMetric(params));
+            const worst = (value) => Math.max(...results.designs.map(value));
+            return {
+                isSafe: results.isSafe,
+                values: {
+                    utilization: worst(design => design.utilization),
+                    bottomSteel: worst(design => design.Ast_prov),
+                    topSteel: worst(design => design.Ast_top),
+                    deflection: worst(design => design.longTerm.total),
+                    deflectionRatio: worst(design => design.longTerm.total / design.longTerm.limitTotal),
+                    shearStress: worst(design => design.shear.tauV)
+                }
+            };
+        }
+        
+        if (module === 'column') {
+            const results = this.computeColumnDesign(params);
+            return {
+                isSafe: results.isSafe,
+                values: {
+                    utilization: results.utilization,
+                    steelArea: results.astProvided,
+                    steelPercentage: results.astProvided / this.getColumnArea(params) * 100
+                }
+            };
+        }
+        
+        const results = this.computeSlabDesign(params);
+        return {
+            isSafe: results.isSafe,
+            values: {
+                utilization: results.utilization,
+                steelArea: results.astProvided,
+                spacing: results.spacing,
+                deflection: results.deflection,
+                deflectionRatio: results.deflection / results.deflectionLimit
+            }
+        };
+    }
+
+    async runStudy() {
+        const { module, x, y } = this.state.study;
+        
+        try {
+            if (y.key && y.key === x.key) {
+                throw new Error('Choose two different parameters to sweep');
+            }
+            const points = window.parametricStudy.getPoints(x, y.key ? y : null);
+            const message = `Running ${points.length} ${module} designs...`;
+            this.ui.showLoading(0, message);
+            
+            const rows = await window.parametricStudy.run({
+                points,
+                evaluate: (point) => this.evaluateStudyPoint(module, point),
+                onProgress: (fraction) => {
+                    this.ui.showLoading(Math.round(fraction * 100), message);
+                    return new Promise(res => setTimeout(res, 0));
+                }
+            });
+            this.studyResults = { module, x: { ...x }, y: y.key ? { ...y } : null, rows };
+            this.ui.renderStudyResults();
+            
+            const failed = rows.filter(row => !row.values).length;
+            this.ui.showToast(failed
+                ? `${rows.length} designs run, ${failed} could not be designed`
+                : `${rows.length} designs run`, failed ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Error in parametric study:', error);
+            this.ui.showToast(error.message || 'Error in parametric study', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // === RELIABILITY ===
+
+    // Defaults from the module's inputs: characteristic strengths raised to their mean by
+    // fk = mean (1 - 1.645 COV), dimensions and cover at their entered values, and loads as
+    // multipliers on the entered load cases
+    getDefaultReliabilityVariables(module) {
+        const inputs = module === 'beam' ? this.convertBeamStateToMetric(this.state.beam) : this.state.column;
+        const section = module === 'beam' && inputs.type === 'continuous' ? inputs.spans[0] : inputs;
+        const round = (value) => Math.round(value * 10) / 10;
+        const strength = (key, label, characteristic, cov) =>
+            ({ key, label, unit: 'N/mm²', distribution: 'lognormal', mean: round(characteristic / (1 - 1.645 * cov)), cov });
+        const dimension = (key, label, value, cov) => ({ key, label, unit: 'mm', distribution: 'normal', mean: round(value), cov });
+        const materials = [
+            strength('fck', 'Concrete strength fck', inputs.fck, 0.15),
+            strength('fy', 'Steel yield strength fy', inputs.fy, 0.05)
+        ];
+        const loads = [
+            { key: 'DL', label: 'Dead load', unit: '× entered', distribution: 'normal', mean: 1.05, cov: 0.1 },
+            { key: 'LL', label: 'Live load', unit: '× entered', distribution: 'gumbel', mean: 1.0, cov: 0.25 }
+        ];
+        
+        return module === 'beam'
+            ? [...materials, dimension('b', 'Width b', section.b, 0.02), dimension('D', 'Depth D', section.D, 0.02),
+                dimension('cover', 'Cover', inputs.cover, 0.15), ...loads]
+            : inputs.type === 'circular'
+                ? [...materials, dimension('diameter', 'Diameter', inputs.diameter, 0.02), ...loads]
+                : [...materials, dimension('width', 'Width', inputs.width, 0.02), dimension('depth', 'Depth', inputs.depth, 0.02), ...loads];
+    }
+
+    getReliabilityVariables(module) {
+        const { variables } = this.state.reliability;
+        if (!variables[module]) variables[module] = this.getDefaultReliabilityVariables(module);
+        return variables[module];
+    }
+
+    setReliabilityModule(module) {
+        this.state.reliability.module = module;
+        this.ui.renderReliability();
+    }
+
+    resetReliabilityVariables() {
+        const { module } = this.state.reliability;
+        this.state.reliability.variables[module] = this.getDefaultReliabilityVariables(module);
+        this.reliabilityResults = null;
+        this.ui.renderReliability();
+    }
+
+    updateReliabilityVariable(index, field, value) {
+        const variable = this.getReliabilityVariables(this.state.reliability.module)[index];
+        if (field === 'distribution') {
+            variable.distribution = value;
+            return;
+        }
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed < 0) {
+            this.ui.showToast('Means and COVs must be zero or positive', 'error');
+            this.ui.renderReliability();
+            return;
+        }
+        variable[field] = parsed;
+    }
+
+    updateReliabilitySetting(key, value) {
+        const parsed = parseInt(value, 10);
+        if (isNaN(parsed) || parsed < 0) {
+            this.ui.showToast('Samples and seed must be whole numbers', 'error');
+            this.ui.renderReliability();
+            return;
+        }
+        this.state.reliability[key] = parsed;
+    }
+
+    // g = 1 - (largest demand / capacity ratio) for sampled values x. The reinforcement is fixed as
+    // detailed for the design at the entered values. Partial factors are taken out of the design
+    // expressions, so the capacity is the nominal strength: fck and fy are scaled up by γc and γs and
+    // φ is left out. Loads are the sampled multiples of the entered gravity load cases; wind and
+    // earthquake are not included. Beams are checked in flexure at every section, columns on their
+    // P-M interaction curves about each axis and the biaxial load contour, with any second-order moments.
+    getReliabilityLimitState(module) {
+        const engine = window.calculationEngine;
+        const code = engine.getCode();
+        const nominal = (x) => ({ fck: x.fck * code.materialFactors.concrete, fy: x.fy * code.materialFactors.steel });
+        const detailed = (area) => (this.selectBars(area) || { area }).area;
+        const gravity = (x) => ({ factors: { DL: x.DL, LL: x.LL, RLL: x.LL } });
+        
+        if (module === 'beam') {
+            const metric = this.convertBeamStateToMetric(this.state.beam);
+            if (metric.frameActions) {
+                throw new Error('Beam actions from the frame cannot be sampled - clear them to assess the beam under its own loads');
+            }
+            const steel = this.computeBeamDesign(metric).designs
+                .map(design => ({ bottom: detailed(design.Ast_prov), top: detailed(design.Ast_top) }));
+            
+            return (x) => {
+                const { fck, fy } = nominal(x);
+                const sampled = { ...metric, b: x.b, D: x.D, cover: x.cover, spans: metric.spans.map(span => ({ ...span, b: x.b, D: x.D })) };
+                const sections = this.getBeamSections(sampled, this.getBeamForces(sampled, gravity(x)));
+                const d = x.D - x.cover - 10;
+                const compression = (Asc) => ({ Asc, dc: x.cover + 10 });
+                const ratios = sections.flatMap((section, i) => {
+                    const sagging = engine.analyzeSectionStrains(steel[i].bottom, fy, fck, x.b, d,
+                        this.getBeamFlange(section, sampled), compression(steel[i].top)).Mn;
+                    const hogging = engine.analyzeSectionStrains(steel[i].top, fy, fck, x.b, d, null, compression(steel[i].bottom)).Mn;
+                    return [Math.max(section.maxSagging, 0) * 1e6 / sagging, Math.max(-section.maxHogging, 0) * 1e6 / hogging];
+                });
+                return 1 - Math.max(...ratios);
+            };
+        }
+        
+        const params = this.state.column;
+        const { barDia, layout } = this.computeColumnDesign(params);
+        const caseValues = (key) => Object.fromEntries(
+            Object.keys(params.loadCases).map(loadCase => [loadCase, params.loadCases[loadCase][key]])
+        );
+        
+        // The designed bars on the nominal interaction curves of the sampled section
+        const circular = params.type === 'circular';
+        return (x) => {
+            const { fck, fy } = nominal(x);
+            const combination = gravity(x);
+            const load = (key) => window.loadCombinations.combine(caseValues(key), combination);
+            const sampled = { ...params, ...layout, fck, fy, ...(circular ? { diameter: x.diameter } : { width: x.width, depth: x.depth }) };
+            const bars = this.getColumnBars(sampled, barDia);
+            const helix = this.getColumnHelix(sampled, barDia);
+            const interaction = engine.getColumnInteraction(fck, fy, this.getColumnSection(sampled), bars,
+                { nominal: true, helix: Boolean(helix && helix.confining) });
+            const section = { fck, fy, Ag: this.getColumnArea(sampled), Asc: bars.reduce((sum, bar) => sum + bar.area, 0), circular };
+            const P = load('P') * 1000;
+            const sustained = window.loadCombinations.combine({ DL: params.loadCases.DL.P }, combination) * 1000;
+            const slenderness = this.getColumnSlenderness(sampled, bars, P,
+                P > 0 ? Math.min(Math.max(sustained / P, 0), 1) : 0);
+            const Mx = slenderness.x.total(Math.abs(load('Mx')) * 1e6);
+            const My = slenderness.y.total(Math.abs(load('My')) * 1e6);
+            return 1 - Math.max(
+                engine.getInteractionUtilization(interaction.x, P, Mx),
+                engine.getInteractionUtilization(interaction.y, P, My),
+                engine.checkBiaxialBending(P, Mx, My, interaction, section).value
+            );
         };
     }
 
+    async runReliability() {
+        const { module, samples, seed } = this.state.reliability;
+        const variables = this.getReliabilityVariables(module);
+        
+        try {
+            const limitState = this.getReliabilityLimitState(module);
+            const message = `Sampling ${samples} ${module} designs...`;
+            this.ui.showLoading(0, message);
+            
+            const results = await window.reliability.run({
+                variables, limitState, samples, seed,
+                onProgress: (fraction) => {
+                    this.ui.showLoading(Math.round(fraction * 100), message);
+                    return new Promise(res => setTimeout(res, 0));
+                }
+            });
+            this.reliabilityResults = { module, ...results };
+            this.ui.renderReliabilityResults();
+            this.ui.showToast(`pf = ${results.pf.toExponential(2)} from ${samples} samples`, 'success');
+        } catch (error) {
+            console.error('Error in reliability analysis:', error);
+            this.ui.showToast(error.message || 'Error in reliability analysis', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
     addToHistory(results) {
         const historyItem = {
             timestamp: new Date().toISOString(),
@@ -3,149 +3,1503 @@ const calculationEngine = {
     calculateBeamForces(metric) {
         const { L, factoredUDL, type } = metric;
         
-        let maxShear, maxMoment, maxDeflection;
-        
         // Improved modulus of elasticity calculation
-        const E = 5000 * Math.sqrt(metric.fck); // As per IS 456:2000
+        const E = window.materialLibrary.getConcrete(metric.fck).Ec;
         
         // Moment of inertia (mm⁴)
         const I = (metric.b * Math.pow(metric.D, 3)) / 12;
         
-        // Convert UDL to N/mm for deflection calculations
-        const w = factoredUDL * 1000; // kN/m to N/m
-        const w_mm = w / 1000; // N/m to N/mm
+        // Flexural rigidity in kN·m² (E in N/mm², I in mm⁴)
+        const EI = E * I * 1e-9;
+        
+        // Full-span UDL from DL/LL plus any user-defined loads
+        const loads = [...(metric.loads || [])];
+        if (factoredUDL) {
+            loads.unshift({ type: 'udl', magnitude: factoredUDL, position: 0, extent: L });
+        }
+        
+        const conditions = this.getBeamSupportConditions(type, L);
+        if (!conditions) {
+            return { maxShear: 0, maxMoment: 0, maxDeflection: 0, diagram: [] };
+        }
+        
+        const span = this.solveBeamSpan(L, EI, this.buildLoadTerms(loads, L), conditions);
+        return this.summarizeBeamSpan(span);
+    },
+
+    // === GENERAL BEAM LOADING (Macaulay superposition) ===
+    // Every load is reduced to singularity terms c·<x - a>^n / n! of the
+    // moment-of-loads function, so shear, moment, slope and deflection all
+    // follow exactly by differentiating or integrating the same terms.
+    // Units: x in m, forces in kN, moments in kNm, EI in kN·m².
+    buildLoadTerms(loads, L) {
+        const terms = [];
+        
+        loads.forEach(load => {
+            const a = Math.min(Math.max(load.position || 0, 0), L);
+            
+            switch(load.type) {
+                case 'point':
+                    terms.push({ a, c: load.magnitude, n: 1 });
+                    break;
+                case 'moment':
+                    // Clockwise applied moment raises the sagging moment to its right
+                    terms.push({ a, c: -load.magnitude, n: 0 });
+                    break;
+                case 'udl':
+                case 'triangular':
+                case 'trapezoidal': {
+                    const extent = load.extent === undefined ? L - a : load.extent;
+                    const b = Math.min(a + extent, L);
+                    if (b <= a) break;
+                    
+                    // Linearly varying intensity w1 at a to w2 at b
+                    const w1 = load.type === 'triangular' ? 0 : load.magnitude;
+                    const w2 = load.type === 'trapezoidal' ? (load.magnitude2 || 0) : load.magnitude;
+                    const k = (w2 - w1) / (b - a);
+                    
+                    terms.push(
+                        { a, c: w1, n: 2 },
+                        { a, c: k, n: 3 },
+                        { a: b, c: -w2, n: 2 },
+                        { a: b, c: -k, n: 3 }
+                    );
+                    break;
+                }
+            }
+        });
         
+        return terms.filter(term => term.c !== 0);
+    },
+
+    // Sum of c·<x - a>^(n + shift) / (n + shift)! over all terms.
+    // rightLimit includes terms starting exactly at x (the value just past x).
+    sumLoadTerms(terms, x, shift, rightLimit = false) {
+        return terms.reduce((sum, { a, c, n }) => {
+            const order = n + shift;
+            if (order < 0 || x < a || (x === a && !rightLimit)) return sum;
+            let factorial = 1;
+            for (let i = 2; i <= order; i++) factorial *= i;
+            return sum + c * Math.pow(x - a, order) / factorial;
+        }, 0);
+    },
+
+    // Boundary conditions for a single span, written as { quantity, x, value }
+    getBeamSupportConditions(type, L) {
         switch(type) {
             case 'simply-supported':
-                maxShear = factoredUDL * L / 2;
-                maxMoment = factoredUDL * L * L / 8;
-                maxDeflection = (5 * w * Math.pow(L, 4)) / (384 * E * I);
-                break;
+                return [
+                    { quantity: 'y', x: 0, value: 0 }, { quantity: 'M', x: 0, value: 0 },
+                    { quantity: 'y', x: L, value: 0 }, { quantity: 'M', x: L, value: 0 }
+                ];
             case 'cantilever':
-                maxShear = factoredUDL * L;
-                maxMoment = factoredUDL * L * L / 2;
-                maxDeflection = (w * Math.pow(L, 4)) / (8 * E * I);
-                break;
+                // Fixed at x = 0, free at x = L
+                return [
+                    { quantity: 'y', x: 0, value: 0 }, { quantity: 'theta', x: 0, value: 0 },
+                    { quantity: 'V', x: L, value: 0 }, { quantity: 'M', x: L, value: 0 }
+                ];
             case 'fixed':
-                maxShear = factoredUDL * L / 2;
-                maxMoment = factoredUDL * L * L / 12;
-                maxDeflection = (w * Math.pow(L, 4)) / (384 * E * I);
-                break;
+                return [
+                    { quantity: 'y', x: 0, value: 0 }, { quantity: 'theta', x: 0, value: 0 },
+                    { quantity: 'y', x: L, value: 0 }, { quantity: 'theta', x: L, value: 0 }
+                ];
             default:
-                maxShear = maxMoment = maxDeflection = 0;
+                return null;
+        }
+    },
+
+    // Coefficients of a response quantity at x in terms of the unknown
+    // start state [V0, M0, theta0, y0], plus the load-only constant part.
+    // Sign convention: sagging moment and downward deflection are positive.
+    getSpanInfluenceRow(quantity, x, EI, terms, rightLimit) {
+        const S = (shift) => this.sumLoadTerms(terms, x, shift, rightLimit);
+        switch(quantity) {
+            case 'V': return { row: [1, 0, 0, 0], constant: -S(-1) };
+            case 'M': return { row: [x, 1, 0, 0], constant: -S(0) };
+            case 'theta': return { row: [-x * x / (2 * EI), -x / EI, 1, 0], constant: S(1) / EI };
+            case 'y': return { row: [-Math.pow(x, 3) / (6 * EI), -x * x / (2 * EI), x, 1], constant: S(2) / EI };
+            default: throw new Error(`Unknown response quantity: ${quantity}`);
         }
+    },
+
+    solveBeamSpan(L, EI, terms, conditions) {
+        const A = [];
+        const rhs = [];
         
-        return { 
-            maxShear: Math.abs(maxShear), 
-            maxMoment: Math.abs(maxMoment), 
-            maxDeflection: Math.abs(maxDeflection * 1000) // Convert to mm
+        conditions.forEach(({ quantity, x, value }) => {
+            const { row, constant } = this.getSpanInfluenceRow(quantity, x, EI, terms, x >= L);
+            A.push(row);
+            rhs.push(value - constant);
+        });
+        
+        const [V0, M0, theta0, y0] = this.solveLinearSystem(A, rhs);
+        return { L, EI, terms, start: { V0, M0, theta0, y0 } };
+    },
+
+    // Shear (kN), moment (kNm), slope (rad) and deflection (m) at x
+    getSpanResponse(span, x, rightLimit = false) {
+        const { EI, terms } = span;
+        const state = [span.start.V0, span.start.M0, span.start.theta0, span.start.y0];
+        const evaluate = (quantity) => {
+            const { row, constant } = this.getSpanInfluenceRow(quantity, x, EI, terms, rightLimit);
+            return row.reduce((sum, coef, i) => sum + coef * state[i], constant);
         };
+        
+        return { x, V: evaluate('V'), M: evaluate('M'), theta: evaluate('theta'), y: evaluate('y') };
     },
 
-    calculateSteelArea(moment, fck, fy, b, d) {
-        const momentNmm = moment;
+    // Sample positions along a span, with both sides of every point load or
+    // applied moment so the diagrams show the jumps.
+    getSpanStationPoints(span, divisions = 40) {
+        const { L, terms } = span;
+        const points = [];
+        for (let i = 0; i <= divisions; i++) {
+            points.push({ x: (i / divisions) * L, rightLimit: false });
+        }
         
-        // As per IS 456:2000 - Limit State Method
-        const fck_num = fck;
-        const fy_num = fy;
+        terms.forEach(({ a, n }) => {
+            if (a <= 0 || a >= L) return;
+            points.push({ x: a, rightLimit: false });
+            if (n <= 1) points.push({ x: a, rightLimit: true });
+        });
         
-        // Calculate limiting moment capacity
-        const mu_lim = 0.138 * fck_num * b * d * d;
+        points.sort((p, q) => p.x - q.x || p.rightLimit - q.rightLimit);
+        const unique = points.filter((p, i) => 
+            i === 0 || Math.abs(p.x - points[i - 1].x) > 1e-9 || p.rightLimit !== points[i - 1].rightLimit
+        );
         
-        if (momentNmm > mu_lim) {
-            // Doubly reinforced section needed
-            return this.calculateDoublyReinforcedSteel(momentNmm, fck_num, fy_num, b, d);
+        // x = 0 is taken just past the support, x = L just before it
+        return unique.map(p => ({ x: p.x, rightLimit: p.rightLimit || p.x === 0 }));
+    },
+
+    getSpanStations(span, divisions = 40) {
+        return this.getSpanStationPoints(span, divisions).map(p => this.getSpanResponse(span, p.x, p.rightLimit));
+    },
+
+    // Refine an extreme of a continuous quantity between two stations by
+    // bisecting on the sign change of its derivative.
+    findSpanExtreme(span, x1, x2, derivative, quantity) {
+        let lo = x1, hi = x2;
+        let fLo = this.getSpanResponse(span, lo, true)[derivative];
+        for (let i = 0; i < 50; i++) {
+            const mid = (lo + hi) / 2;
+            const fMid = this.getSpanResponse(span, mid)[derivative];
+            if (Math.sign(fMid) === Math.sign(fLo)) {
+                lo = mid; fLo = fMid;
+            } else {
+                hi = mid;
+            }
         }
+        return this.getSpanResponse(span, (lo + hi) / 2)[quantity];
+    },
+
+    summarizeBeamSpan(span, divisions = 40) {
+        const diagram = this.getSpanStations(span, divisions);
+        let maxShear = 0, maxSagging = 0, maxHogging = 0, maxDeflection = 0;
+        
+        const track = (M, y) => {
+            maxSagging = Math.max(maxSagging, M);
+            maxHogging = Math.min(maxHogging, M);
+            maxDeflection = Math.max(maxDeflection, Math.abs(y));
+        };
+        
+        diagram.forEach((station, i) => {
+            maxShear = Math.max(maxShear, Math.abs(station.V));
+            track(station.M, station.y);
+            
+            const prev = diagram[i - 1];
+            if (!prev || prev.x === station.x) return;
+            if (prev.V * station.V < 0) {
+                track(this.findSpanExtreme(span, prev.x, station.x, 'V', 'M'), 0);
+            }
+            if (prev.theta * station.theta < 0) {
+                track(0, this.findSpanExtreme(span, prev.x, station.x, 'theta', 'y'));
+            }
+        });
         
-        // Singly reinforced section
-        const R = momentNmm / (b * d * d);
-        const pt = (50 * fck_num / fy_num) * (1 - Math.sqrt(1 - (4.6 * R) / fck_num));
-        const Ast = (pt * b * d) / 100;
+        const start = this.getSpanResponse(span, 0);
+        const end = this.getSpanResponse(span, span.L, true);
         
-        // Check minimum and maximum steel requirements
-        const Ast_min = Math.max(0.0012 * b * d, 0.85 * b * d / fy_num);
-        const Ast_max = 0.04 * b * d;
+        return {
+            maxShear,
+            maxMoment: Math.max(maxSagging, -maxHogging),
+            maxSagging,
+            maxHogging,
+            maxDeflection: maxDeflection * 1000, // Convert to mm
+            reactions: {
+                left: { force: start.V, moment: start.M },
+                right: { force: -end.V, moment: end.M }
+            },
+            diagram
+        };
+    },
+
+    // === INFLUENCE LINES AND MOVING LOADS (single spans) ===
+    getSingleSpanSetup(metric) {
+        const E = window.materialLibrary.getConcrete(metric.fck).Ec;
+        const EI = E * (metric.b * Math.pow(metric.D, 3)) / 12 * 1e-9; // kN·m²
+        const conditions = this.getBeamSupportConditions(metric.type, metric.L);
+        if (!conditions) {
+            throw new Error('Influence lines are available for single-span beams only');
+        }
+        return { L: metric.L, EI, conditions };
+    },
+
+    // Effect of point loads [{ magnitude, position }] on a reaction, or on the shear
+    // or moment at a section. A load exactly at the section counts as just left of
+    // it when loadLeftOfSection is set, so shear influence lines show their jump.
+    getPointLoadEffect(setup, pointLoads, quantity, section, loadLeftOfSection = false) {
+        const { L, EI, conditions } = setup;
+        const terms = this.buildLoadTerms(pointLoads.map(load => ({ type: 'point', ...load })), L);
+        const span = this.solveBeamSpan(L, EI, terms, conditions);
         
-        return Math.min(Math.max(Ast, Ast_min), Ast_max);
+        switch(quantity) {
+            case 'reactionLeft': return this.getSpanResponse(span, 0).V;
+            case 'reactionRight': return -this.getSpanResponse(span, L, true).V;
+            case 'shear': return this.getSpanResponse(span, section, loadLeftOfSection).V;
+            case 'moment': return this.getSpanResponse(span, section).M;
+            default: throw new Error(`Unknown influence quantity: ${quantity}`);
+        }
     },
 
-    calculateDoublyReinforcedSteel(moment, fck, fy, b, d) {
-        const mu_lim = 0.138 * fck * b * d * d;
-        const Ast1 = mu_lim / (0.87 * fy * (d - 0.416 * 0.48 * d));
-        const mu2 = moment - mu_lim;
-        const Ast2 = mu2 / (0.87 * fy * (d - 25)); // Assuming 25mm cover for compression steel
+    // Ordinates [{ x, value }] of the influence line for a unit load travelling across the span;
+    // shear lines get two ordinates at the section
+    calculateInfluenceLine(metric, quantity, section, divisions = 80) {
+        const setup = this.getSingleSpanSetup(metric);
+        const points = [];
+        for (let i = 0; i <= divisions; i++) {
+            points.push({ x: (i / divisions) * setup.L, leftOfSection: false });
+        }
+        if (quantity === 'shear') {
+            points.push({ x: section, leftOfSection: true }, { x: section, leftOfSection: false });
+        }
+        points.sort((p, q) => p.x - q.x || q.leftOfSection - p.leftOfSection);
+        const unique = points.filter((p, i) =>
+            i === 0 || Math.abs(p.x - points[i - 1].x) > 1e-9 || p.leftOfSection !== points[i - 1].leftOfSection
+        );
         
-        return Ast1 + Ast2;
+        return unique.map(({ x, leftOfSection }) => ({
+            x,
+            value: this.getPointLoadEffect(setup, [{ magnitude: 1, position: x }], quantity, section, leftOfSection)
+        }));
     },
 
-    calculateMomentCapacity(Ast, fy, fck, b, d) {
-        const xu = (0.87 * fy * Ast) / (0.36 * fck * b);
-        const xu_max = 0.48 * d; // For Fe500
+    // Drive an axle train [{ load, offset }] (offset behind the lead axle, m)
+    // across the span in both directions. Besides a fine sweep, the train is
+    // placed where each axle and the resultant straddle midspan (absolute
+    // maximum moment) and with each axle just inside either support (maximum shear).
+    analyzeMovingLoad(metric, axles, steps = 400) {
+        const setup = this.getSingleSpanSetup(metric);
+        const { L, EI, conditions } = setup;
+        const trainLength = Math.max(...axles.map(axle => axle.offset));
+        const totalLoad = axles.reduce((sum, axle) => sum + axle.load, 0);
+        const gridX = Array.from({ length: 41 }, (_, i) => (i / 40) * L);
+        const envelope = gridX.map(x => ({ x, Mmax: 0, Mmin: 0, Vmax: 0, Vmin: 0 }));
+        const extreme = (value) => ({ value, x: 0, leadPosition: 0, direction: 'forward' });
+        const results = {
+            maxSagging: extreme(0), maxHogging: extreme(0), maxShear: extreme(0),
+            maxReactionLeft: extreme(0), maxReactionRight: extreme(0)
+        };
+        const track = (key, value, x, leadPosition, direction, isLarger) => {
+            if (isLarger(value, results[key].value)) {
+                results[key] = { value, x, leadPosition, direction };
+            }
+        };
+        const larger = (a, b) => a > b;
+        const smaller = (a, b) => a < b;
+        const largerMagnitude = (a, b) => Math.abs(a) > Math.abs(b);
+        
+        const trains = {
+            forward: axles,
+            reverse: axles.map(axle => ({ load: axle.load, offset: trainLength - axle.offset }))
+        };
+        
+        Object.keys(trains).forEach(direction => {
+            const train = trains[direction];
+            const resultantOffset = totalLoad ? train.reduce((sum, axle) => sum + axle.load * axle.offset, 0) / totalLoad : 0;
+            const positions = [];
+            for (let i = 0; i <= steps; i++) {
+                positions.push((i / steps) * (L + trainLength));
+            }
+            train.forEach(axle => {
+                positions.push((L + axle.offset + resultantOffset) / 2);
+                positions.push(axle.offset + 1e-9 * L, axle.offset + L - 1e-9 * L);
+            });
+            
+            positions.forEach(lead => {
+                const pointLoads = train
+                    .map(axle => ({ magnitude: axle.load, position: lead - axle.offset }))
+                    .filter(load => load.position >= 0 && load.position <= L);
+                if (pointLoads.length === 0) return;
+                
+                const span = this.solveBeamSpan(L, EI, this.buildLoadTerms(pointLoads.map(load => ({ type: 'point', ...load })), L), conditions);
+                const summary = this.summarizeBeamSpan(span, 20);
+                const at = (value, key) => summary.diagram.find(station => station[key] === value)?.x || 0;
+                
+                track('maxSagging', summary.maxSagging, at(summary.maxSagging, 'M'), lead, direction, larger);
+                track('maxHogging', summary.maxHogging, at(summary.maxHogging, 'M'), lead, direction, smaller);
+                const shearStation = summary.diagram.reduce((max, station) => Math.abs(station.V) > Math.abs(max.V) ? station : max);
+                track('maxShear', shearStation.V, shearStation.x, lead, direction, largerMagnitude);
+                track('maxReactionLeft', summary.reactions.left.force, 0, lead, direction, larger);
+                track('maxReactionRight', summary.reactions.right.force, L, lead, direction, larger);
+                
+                envelope.forEach(station => {
+                    const { M, V } = this.getSpanResponse(span, station.x, station.x === 0);
+                    station.Mmax = Math.max(station.Mmax, M);
+                    station.Mmin = Math.min(station.Mmin, M);
+                    station.Vmax = Math.max(station.Vmax, V);
+                    station.Vmin = Math.min(station.Vmin, V);
+                });
+            });
+        });
+        
+        return { ...results, trainLength, totalLoad, envelope };
+    },
+
+    // === CONTINUOUS BEAMS (direct stiffness method) ===
+    // members: [{ L, EI }] from left to right (m, kN·m²)
+    // supports: one entry per node { restrained, settlement } - settlement in m, downward
+    // loads: global load list, positions measured from the left end
+    analyzeContinuousBeam(members, supports, loads) {
+        const nodeX = [0];
+        members.forEach((member, i) => nodeX.push(nodeX[i] + member.L));
+        const nDof = 2 * nodeX.length;
+        
+        const restrainedCount = supports.filter(support => support.restrained).length;
+        if (restrainedCount < 2 && !supports.some(support => support.fixed)) {
+            throw new Error('Continuous beam needs at least two supports');
+        }
+        
+        const K = Array.from({ length: nDof }, () => new Array(nDof).fill(0));
+        const F = new Array(nDof).fill(0); // Assembled fixed-end forces
+        
+        const elements = members.map((member, i) => {
+            const { L, EI } = member;
+            const terms = this.buildLoadTerms(this.getMemberLoads(loads, nodeX[i], L, i === members.length - 1), L);
+            const fixedSpan = this.solveBeamSpan(L, EI, terms, this.getBeamSupportConditions('fixed', L));
+            const start = this.getSpanResponse(fixedSpan, 0);
+            const end = this.getSpanResponse(fixedSpan, L, true);
+            
+            // Fixed-end forces [F1, M1, F2, M2]: upward forces, counter-clockwise moments
+            const fef = [start.V, -start.M, -end.V, end.M];
+            const k = this.getBeamElementStiffness(L, EI);
+            const dofs = [2 * i, 2 * i + 1, 2 * i + 2, 2 * i + 3];
+            
+            dofs.forEach((p, r) => {
+                F[p] += fef[r];
+                dofs.forEach((q, c) => { K[p][q] += k[r][c]; });
+            });
+            
+            return { L, EI, terms, fef, k, dofs };
+        });
         
-        if (xu > xu_max) {
-            // Over-reinforced section
-            return 0.138 * fck * b * d * d;
+        // Vertical DOFs at supports are prescribed (upward positive, so a
+        // downward settlement is negative); rotations are free unless fixed
+        const prescribed = new Map();
+        supports.forEach((support, node) => {
+            if (support.restrained) prescribed.set(2 * node, -(support.settlement || 0));
+            if (support.fixed) prescribed.set(2 * node + 1, 0);
+        });
+        const free = [...Array(nDof).keys()].filter(dof => !prescribed.has(dof));
+        
+        const A = free.map(p => free.map(q => K[p][q]));
+        const b = free.map(p => -F[p] - [...prescribed].reduce((sum, [q, value]) => sum + K[p][q] * value, 0));
+        const solution = free.length ? this.solveLinearSystem(A, b) : [];
+        
+        const displacements = new Array(nDof).fill(0);
+        prescribed.forEach((value, dof) => { displacements[dof] = value; });
+        free.forEach((dof, i) => { displacements[dof] = solution[i]; });
+        
+        const reactions = new Array(nDof).fill(0);
+        const spans = elements.map((element, i) => {
+            const d = element.dofs.map(dof => displacements[dof]);
+            const endForces = element.k.map((row, r) => 
+                row.reduce((sum, kij, c) => sum + kij * d[c], element.fef[r])
+            );
+            element.dofs.forEach((dof, r) => { reactions[dof] += endForces[r]; });
+            
+            // Convert to the span sign convention (sagging, downward deflection positive)
+            const span = {
+                L: element.L,
+                EI: element.EI,
+                terms: element.terms,
+                start: { V0: endForces[0], M0: -endForces[1], theta0: -d[1], y0: -d[0] }
+            };
+            return { ...this.summarizeBeamSpan(span, 20), x0: nodeX[i], span };
+        });
+        
+        const diagram = spans.flatMap(({ diagram, x0 }) => diagram.map(station => ({ ...station, x: station.x + x0 })));
+        
+        return {
+            nodeX,
+            spans,
+            diagram,
+            supportMoments: nodeX.map((x, node) => 
+                node < spans.length ? spans[node].reactions.left.moment : spans[node - 1].reactions.right.moment
+            ),
+            reactions: supports.map((support, node) => ({
+                x: nodeX[node],
+                force: support.restrained ? reactions[2 * node] : 0,
+                moment: support.fixed ? reactions[2 * node + 1] : 0
+            })),
+            maxShear: Math.max(...spans.map(span => span.maxShear)),
+            maxSagging: Math.max(...spans.map(span => span.maxSagging)),
+            maxHogging: Math.min(...spans.map(span => span.maxHogging)),
+            maxMoment: Math.max(...spans.map(span => span.maxMoment)),
+            maxDeflection: Math.max(...spans.map(span => span.maxDeflection))
+        };
+    },
+
+    // === LIVE LOAD PATTERNS (IS 456 cl 22.4.1) ===
+    // Design dead load on all spans with full design live load on (1) alternate
+    // spans and (2) two adjacent spans; all spans loaded is kept as well.
+    getLiveLoadPatterns(members) {
+        const all = members.map((member, i) => i);
+        const name = (i) => members[i].label || `Span ${i + 1}`;
+        const candidates = [{ label: 'LL on all spans', loaded: all }];
+        
+        if (members.length > 1) {
+            candidates.push(
+                { label: 'LL on alternate spans (odd)', loaded: all.filter(i => i % 2 === 0) },
+                { label: 'LL on alternate spans (even)', loaded: all.filter(i => i % 2 === 1) }
+            );
+        }
+        for (let i = 0; i + 1 < members.length; i++) {
+            candidates.push({ label: `LL on ${name(i)} + ${name(i + 1)}`, loaded: [i, i + 1] });
+        }
+        
+        const seen = new Set();
+        return candidates.filter(pattern => {
+            const key = pattern.loaded.join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    },
+
+    // Max/min envelope of all live load patterns. deadLoads and liveLoads use
+    // global positions; live loads are clipped to the loaded members.
+    analyzeContinuousBeamEnvelope(members, supports, deadLoads, liveLoads) {
+        const nodeX = [0];
+        members.forEach((member, i) => nodeX.push(nodeX[i] + member.L));
+        const last = members.length - 1;
+        
+        const cases = this.getLiveLoadPatterns(members).map(pattern => {
+            const live = pattern.loaded.flatMap(i => 
+                this.getMemberLoads(liveLoads, nodeX[i], members[i].L, i === last)
+                    .map(load => ({ ...load, position: load.position + nodeX[i] }))
+            );
+            return { ...pattern, result: this.analyzeContinuousBeam(members, supports, [...deadLoads, ...live]) };
+        });
+        
+        // Pick the case giving the extreme of a quantity, with its label
+        const extreme = (value, sign) => cases.reduce((best, c) => {
+            const v = value(c.result);
+            return sign * v > sign * best.value ? { value: v, pattern: c.label } : best;
+        }, { value: -sign * Infinity, pattern: '' });
+        
+        // The all-spans case carries every breakpoint, so its stations suit all cases
+        const diagram = cases[0].result.spans.flatMap((spanResult, j) => 
+            this.getSpanStationPoints(spanResult.span, 20).map(p => {
+                const values = cases.map(c => this.getSpanResponse(c.result.spans[j].span, p.x, p.rightLimit));
+                const V = values.map(v => v.V);
+                const M = values.map(v => v.M);
+                return {
+                    x: p.x + nodeX[j],
+                    span: j,
+                    V: Math.max(...V), Vmin: Math.min(...V),
+                    M: Math.max(...M), Mmin: Math.min(...M)
+                };
+            })
+        );
+        
+        const spans = members.map((member, j) => {
+            const sagging = extreme(r => r.spans[j].maxSagging, 1);
+            const hogging = extreme(r => r.spans[j].maxHogging, -1);
+            const left = extreme(r => r.spans[j].reactions.left.moment, -1);
+            const right = extreme(r => r.spans[j].reactions.right.moment, -1);
+            return {
+                maxSagging: sagging.value,
+                saggingPattern: sagging.pattern,
+                maxHogging: hogging.value,
+                hoggingPattern: hogging.pattern,
+                maxShear: extreme(r => r.spans[j].maxShear, 1).value,
+                maxDeflection: extreme(r => r.spans[j].maxDeflection, 1).value,
+                maxMoment: Math.max(sagging.value, -hogging.value),
+                reactions: { left: { moment: left.value }, right: { moment: right.value } }
+            };
+        });
+        
+        return {
+            nodeX,
+            spans,
+            diagram,
+            envelope: true,
+            patterns: cases.map(c => c.label),
+            supportMoments: nodeX.map((x, node) => extreme(r => r.supportMoments[node], -1).value),
+            reactions: supports.map((support, node) => ({
+                x: nodeX[node],
+                force: extreme(r => r.reactions[node].force, 1).value,
+                moment: extreme(r => Math.abs(r.reactions[node].moment), 1).value
+            })),
+            maxShear: Math.max(...spans.map(span => span.maxShear)),
+            maxSagging: Math.max(...spans.map(span => span.maxSagging)),
+            maxHogging: Math.min(...spans.map(span => span.maxHogging)),
+            maxMoment: Math.max(...spans.map(span => span.maxMoment)),
+            maxDeflection: Math.max(...spans.map(span => span.maxDeflection))
+        };
+    },
+
+    // Loads that act on the member starting at x0, in member coordinates.
+    // Loads sitting exactly on a node go to the member on its right.
+    getMemberLoads(loads, x0, L, isLast) {
+        const x1 = x0 + L;
+        const inMember = (x) => x >= x0 && (x < x1 || (isLast && x <= x1));
+        
+        return loads.flatMap(load => {
+            if (load.type === 'point' || load.type === 'moment') {
+                return inMember(load.position) ? [{ ...load, position: load.position - x0 }] : [];
+            }
+            
+            const a = load.position;
+            const b = a + (load.extent === undefined ? Infinity : load.extent);
+            const start = Math.max(a, x0);
+            const end = Math.min(b, x1);
+            if (end <= start) return [];
+            
+            const w1 = load.type === 'triangular' ? 0 : load.magnitude;
+            const w2 = load.type === 'trapezoidal' ? (load.magnitude2 || 0) : load.magnitude;
+            const intensity = (x) => isFinite(b) ? w1 + (w2 - w1) * (x - a) / (b - a) : w1;
+            
+            return [{
+                ...load,
+                type: 'trapezoidal',
+                magnitude: intensity(start),
+                magnitude2: intensity(end),
+                position: start - x0,
+                extent: end - start
+            }];
+        });
+    },
+
+    // Euler-Bernoulli beam element, DOFs [v1, θ1, v2, θ2]
+    getBeamElementStiffness(L, EI) {
+        const k = EI / Math.pow(L, 3);
+        return [
+            [12 * k, 6 * L * k, -12 * k, 6 * L * k],
+            [6 * L * k, 4 * L * L * k, -6 * L * k, 2 * L * L * k],
+            [-12 * k, -6 * L * k, 12 * k, -6 * L * k],
+            [6 * L * k, 2 * L * L * k, -6 * L * k, 4 * L * L * k]
+        ];
+    },
+
+    // Gaussian elimination with partial pivoting
+    solveLinearSystem(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+        const tolerance = 1e-12 * Math.max(...A.map(row => Math.max(...row.map(Math.abs))));
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) <= tolerance) {
+                throw new Error('Singular system - structure is unstable');
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+            }
+        }
+        
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+            x[row] = sum / M[row][row];
+        }
+        return x;
+    },
+
+    // Rules of the design code selected for the project (designCodes.js)
+    getCode() {
+        return window.designCodes.getActive();
+    },
+
+    // dc is the depth of the compression steel centre; d'/d = 0.1 when the bar layout is not known
+    calculateSteelArea(moment, fck, fy, b, d, flange = null, dc = 0.1 * d) {
+        if (moment > this.getLimitingMoment(fck, fy, b, d, flange).M) {
+            // Doubly reinforced section needed
+            return this.calculateDoublyReinforcedSteel(moment, fck, fy, b, d, dc, flange).Ast;
+        }
+        
+        // Flanged sections (flange = { bf, Df }) use the code's flange rules (IS 456 Annex G)
+        const section = flange && flange.bf > b ? { bw: b, ...flange } : { bw: b, bf: b, Df: 0 };
+        return this.calculateFlangedSteelArea(moment, fck, fy, section, d);
+    },
+
+    // Balanced section at xu,max carries Mu,lim; the excess is taken by a couple of compression steel
+    // at dc and extra tension steel, with fsc read off the stress-strain curve (SP-16 Table F)
+    calculateDoublyReinforcedSteel(moment, fck, fy, b, d, dc, flange = null) {
+        const { flexure } = this.getCode();
+        const limit = this.getLimitingMoment(fck, fy, b, d, flange);
+        const fsc = this.getSteelStress(this.getUltimateStrain(fck) * (limit.xu - dc) / limit.xu, fy);
+        const net = fsc - flexure.compressionStress(fck) * fck; // less the concrete the bars displace
+        if (net <= 0) {
+            throw new Error('Compression steel is too deep to be effective - increase the section depth');
+        }
+        
+        const Asc = (moment / flexure.phi - limit.Mn) / (net * (d - dc));
+        const Ast = (limit.C + Asc * net) / flexure.designYield(fy);
+        return { Ast, Asc, fsc, xu: limit.xu, Mulim: limit.M };
+    },
+
+    calculateMomentCapacity(Ast, fy, fck, b, d, flange = null, compression = null) {
+        return this.analyzeSectionStrains(Ast, fy, fck, b, d, flange, compression).M;
+    },
+
+    // === STRAIN COMPATIBILITY (IS 456 cl 38.1) ===
+    // Concrete strain at failure
+    getUltimateStrain(fck) {
+        return this.getCode().flexure.ultimateStrain(window.materialLibrary.getConcrete(fck));
+    },
+    
+    // Design steel stress (N/mm²) at a strain, keeping its sign; mild steel has a sharp yield
+    getSteelStress(strain, fy) {
+        return this.getSteelCurve(fy)(strain);
+    },
+    
+    // The stress-strain curve behind getSteelStress, for callers that read it many times
+    getSteelCurve(fy) {
+        const { flexure } = this.getCode();
+        const steel = window.materialLibrary.getSteel(fy);
+        const { Es } = steel;
+        const fyd = flexure.designYield(fy);
+        if (flexure.steelCurve(steel) !== 'cold-worked') return (strain) => Math.sign(strain) * Math.min(Es * Math.abs(strain), fyd);
+        
+        const { stress, inelastic } = window.materialLibrary.coldWorkedCurve;
+        const points = [[0, 0], ...stress.map((f, i) => [f * fyd / Es + inelastic[i], f * fyd])];
+        return (strain) => Math.sign(strain) * this.interpolate(points, Math.abs(strain));
+    },
+    
+    // Limiting moment Mu,lim with the concrete force C (N) and xu,max, for a rectangular or flanged section.
+    // Mn is the nominal moment, M the design moment after any strength reduction
+    getLimitingMoment(fck, fy, b, d, flange = null) {
+        const section = flange && flange.bf > b ? { bw: b, ...flange } : { bw: b, bf: b, Df: 0 };
+        const xu = this.getLimitingDepthRatio(fy, fck) * d;
+        const { C, M } = this.getFlangedCompression(xu, fck, section, d);
+        return { xu, C, Mn: M, M: this.getCode().flexure.phi * M };
+    },
+    
+    // Neutral axis where concrete, tension steel and compression steel { Asc, dc } balance, with
+    // both steel stresses from the strain at their level. Over-reinforced sections are not capped:
+    // their tension steel simply stops yielding, and the beam design fails them on xu,max. Returns the design moment of resistance about the
+    // tension steel M, reduced by the code's strength reduction for the tension steel strain, and Mn before it.
+    analyzeSectionStrains(Ast, fy, fck, b, d, flange = null, compression = null) {
+        const { flexure } = this.getCode();
+        const section = flange && flange.bf > b ? { bw: b, ...flange } : { bw: b, bf: b, Df: 0 };
+        const { Asc = 0, dc = 0 } = compression || {};
+        const epsilonCu = this.getUltimateStrain(fck);
+        const steel = window.materialLibrary.getSteel(fy);
+        const displaced = flexure.compressionStress(fck) * fck;
+        const state = (xu) => {
+            const concrete = this.getFlangedCompression(xu, fck, section, d);
+            const epsilonT = epsilonCu * (d - xu) / xu;
+            const fst = this.getSteelStress(epsilonT, fy);
+            const fsc = this.getSteelStress(epsilonCu * (xu - dc) / xu, fy);
+            const compressionForce = Asc * (fsc - (xu > dc ? displaced : 0));
+            const Mn = concrete.M + compressionForce * (d - dc);
+            return {
+                xu, fst, fsc, Mn,
+                balance: concrete.C + compressionForce - Ast * fst,
+                M: flexure.strengthReduction(epsilonT, steel) * Mn
+            };
+        };
+        
+        let lo = 1e-6 * d, hi = d;
+        if (state(hi).balance < 0) return state(hi);
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (state(mid).balance < 0) lo = mid;
+            else hi = mid;
+        }
+        return state(hi);
+    },
+
+    // === FLANGED BEAMS (IS 456 cl 23.1.2 and Annex G) ===
+    // Widths and depths in mm, moments in Nmm.
+    
+    // Limiting neutral axis depth ratio xu,max/d: for IS 456 (cl 38.1) the concrete reaches εcu as the
+    // steel strain reaches 0.87fy/Es + 0.002
+    getLimitingDepthRatio(fy, fck) {
+        return this.getCode().flexure.limitingDepthRatio(window.materialLibrary.getConcrete(fck), window.materialLibrary.getSteel(fy));
+    },
+    
+    // l0 is the distance between points of zero moment; the result never exceeds the available width
+    getEffectiveFlangeWidth(sectionType, l0, bw, Df, available = 0) {
+        const bf = sectionType === 'l-beam' ? l0 / 12 + bw + 3 * Df : l0 / 6 + bw + 6 * Df;
+        return available > 0 ? Math.min(bf, available) : bf;
+    },
+    
+    // Concrete compression C (N) and its moment about the tension steel (Nmm) for a neutral axis at xu,
+    // from the stress block of the design code
+    getFlangedCompression(xu, fck, section, d) {
+        return this.getCode().flexure.compression(xu, fck, section, d);
+    },
+    
+    // Smallest xu in [0, xuMax] at which the given quantity of the compression block reaches target
+    solveFlangedNeutralAxis(target, quantity, fck, section, d, xuMax) {
+        let lo = 0, hi = xuMax;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.getFlangedCompression(mid, fck, section, d)[quantity] < target) lo = mid;
+            else hi = mid;
         }
+        return hi;
+    },
+    
+    calculateNeutralAxisDepth(Ast, fy, fck, b, d, flange = null, compression = null) {
+        return this.analyzeSectionStrains(Ast, fy, fck, b, d, flange, compression).xu;
+    },
+    
+    // Singly reinforced section (bf = bw for a rectangle); moments above Mu,lim go through
+    // calculateDoublyReinforcedSteel
+    calculateFlangedSteelArea(moment, fck, fy, section, d) {
+        const { flexure } = this.getCode();
+        const xuMax = this.getLimitingDepthRatio(fy, fck) * d;
+        const xu = this.solveFlangedNeutralAxis(moment / flexure.phi, 'M', fck, section, d, xuMax);
         
-        const mur = 0.36 * fck * b * xu * (d - 0.416 * xu);
-        return mur;
+        // The steel the moment needs; the minimum and maximum are applied where the section is designed
+        return this.getFlangedCompression(xu, fck, section, d).C / flexure.designYield(fy);
     },
 
+    // === SHEAR (IS 456 cl 40) ===
+    // Linear interpolation in a table of [x, y] pairs, clamped at both ends
+    interpolate(points, x) {
+        if (x <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i - 1];
+            const [x2, y2] = points[i];
+            if (x <= x2) return y1 + (y2 - y1) * (x - x1) / (x2 - x1);
+        }
+        return points[points.length - 1][1];
+    },
+    
+    // Design shear strength of concrete τc (N/mm²) against pt = 100As/bd; EC2 also depends on d
+    getDesignShearStrength(fck, pt, d) {
+        return this.getCode().shear.concreteStress(fck, pt, d);
+    },
+    
+    getMaxShearStress(fck) {
+        return this.getCode().shear.maxStress(fck);
+    },
+    
+    // Concrete shear resistance τc·b·d (N)
     calculateShearCapacity(fck, b, d, Ast = 0) {
-        // As per IS 456:2000 - Table 19
-        const pt = (Ast * 100) / (b * d); // Percentage of steel
-        let tau_c = 0;
+        const pt = (Ast * 100) / (b * d);
+        return this.getDesignShearStrength(fck, pt, d) * b * d;
+    },
+    
+    // Vertical stirrup spacing (mm) for a link of leg area Asv carrying a shear Vu (N), rounded down
+    // to 25 mm: the least of the design spacing (IS 456 cl 40.4a), the minimum steel spacing (cl 26.5.1.6)
+    // and the maximum spacing (cl 26.5.1.5), each as the design code sets them.
+    // With torsion = { Tu (Nmm), b1, d1 (corner bar centres, mm) } the closed links also carry
+    // Tu (cl 41.4.3) and the torsion spacing limits of cl 26.5.1.7 apply.
+    getStirrupSpacing(Asv, Vu, fck, fy, b, d, tauC, torsion = null) {
+        const { shear } = this.getCode();
+        const fyv = shear.linkStress(fy);
+        const Vus = shear.steelShear(Vu, tauC * b * d);
+        const limits = [Asv / (shear.minLinkRatio(fck, fy) * b), shear.maxSpacing(d, Vus, b, fck)];
+        
+        if (torsion) {
+            const { Tu, b1, d1 } = torsion;
+            const tauVe = (Vu + 1.6 * Tu / b) / (b * d);
+            limits.push(fyv * Asv / (Tu / (b1 * d1) + Vu / (2.5 * d1)), b1, (b1 + d1) / 4);
+            if (tauVe > tauC) limits.push(fyv * Asv / ((tauVe - tauC) * b));
+        } else if (Vus > 0) {
+            limits.push(fyv * Asv * shear.leverArm * d / Vus);
+        }
         
-        // Simplified shear stress values (N/mm²)
-        if (pt <= 0.15) tau_c = 0.28;
-        else if (pt <= 0.25) tau_c = 0.36;
-        else if (pt <= 0.50) tau_c = 0.48;
-        else if (pt <= 0.75) tau_c = 0.56;
-        else if (pt <= 1.00) tau_c = 0.62;
-        else tau_c = 0.67;
+        return Math.floor(Math.min(...limits) / 25) * 25;
+    },
+    
+    // Stirrups for a factored shear Vu (N), or the equivalent shear Ve = Vu + 1.6Tu/b (cl 41.3.1)
+    // when torsion is given. The lightest 2 or 4 legged T8/T10/T12 link that can be placed at
+    // 100 mm or more is chosen; legs = 2 or 4 fixes the leg count. Torsion needs closed 2-legged links.
+    designShearReinforcement(Vu, fck, fy, b, d, Ast, legs = 'auto', torsion = null) {
+        const { shear } = this.getCode();
+        const Ve = torsion ? Vu + 1.6 * torsion.Tu / b : Vu;
+        const tauV = Ve / (b * d);
+        const tauC = this.getDesignShearStrength(fck, (Ast * 100) / (b * d), d);
+        const tauCMax = this.getMaxShearStress(fck);
+        const spacingFor = (Asv, V) => this.getStirrupSpacing(Asv, V, fck, fy, b, d, tauC, torsion);
         
-        // Apply concrete grade modification
-        tau_c *= Math.sqrt(fck / 25);
+        const legOptions = torsion ? [2] : (legs === 'auto' ? [2, 4] : [Number(legs)]);
+        const candidates = legOptions
+            .flatMap(n => [8, 10, 12].map(dia => ({ legs: n, dia, Asv: n * Math.PI * dia * dia / 4 })))
+            .sort((a, b) => a.Asv - b.Asv);
+        const link = candidates.find(c => spacingFor(c.Asv, Vu) >= 100) || candidates[candidates.length - 1];
+        const spacing = spacingFor(link.Asv, Vu);
+        const Vs = shear.linkStress(fy) * link.Asv * shear.leverArm * d / spacing;
         
-        return tau_c * b * d;
+        return {
+            Ve, tauV, tauC, tauCMax,
+            Vus: shear.steelShear(Ve, tauC * b * d),
+            ...link,
+            closed: !!torsion,
+            spacing,
+            // Spacing where the links only need to meet the minimum and torsion requirements
+            nominalSpacing: spacingFor(link.Asv, 0),
+            capacity: Math.min(shear.resistance(tauC * b * d, Vs), tauCMax * b * d),
+            ok: tauV <= tauCMax && spacing >= 50
+        };
+    },
+    
+    // IS 456 cl 41.4.2 equivalent moment for torsion Tu on a web of width b and depth D (same units)
+    getTorsionMoment(Tu, b, D) {
+        return Tu * (1 + D / b) / 1.7;
+    },
+    
+    // Side-face bars for torsion in beams deeper than 450 mm (cl 26.5.1.7b): 0.1% of the web area
+    // split equally between the faces, at no more than 300 mm or the web width. d1 is the bar-free height.
+    calculateSideFaceSteel(b, D, d1) {
+        const areaPerFace = 0.001 * b * D / 2;
+        const bars = Math.max(Math.ceil(d1 / Math.min(300, b)) - 1, 1);
+        const dia = [10, 12, 16, 20].find(size => bars * Math.PI * size * size / 4 >= areaPerFace) || 20;
+        return { areaPerFace, bars, dia, spacing: d1 / (bars + 1) };
     },
 
-    // New: Calculate development length
-    calculateDevelopmentLength(fy, fck, barDia) {
-        const bondStress = 1.2 * Math.sqrt(fck); // For deformed bars
-        return (fy * barDia) / (4 * bondStress);
+    // === DEFLECTION (IS 456 Annex C) ===
+    // Sections in mm, moments in Nmm, deflections in mm.
+    
+    // Creep coefficient θ against age at loading (cl 6.2.5.1), interpolated on log(age)
+    getCreepCoefficient(ageDays) {
+        const points = [[7, 2.2], [28, 1.6], [365, 1.1]].map(([age, theta]) => [Math.log(age), theta]);
+        return this.interpolate(points, Math.log(Math.max(ageDays, 1)));
+    },
+    
+    // Cracked transformed section with modular ratio m; compression steel Asc at depth dc counts as (m - 1)Asc
+    getCrackedSection(b, d, Ast, m, Asc = 0, dc = 0) {
+        const A = b / 2;
+        const B = m * Ast + (m - 1) * Asc;
+        const C = -(m * Ast * d + (m - 1) * Asc * dc);
+        const x = (-B + Math.sqrt(B * B - 4 * A * C)) / (2 * A);
+        const Icr = b * Math.pow(x, 3) / 3 + (m - 1) * Asc * Math.pow(x - dc, 2) + m * Ast * Math.pow(d - x, 2);
+        return { x, Icr };
+    },
+    
+    // Annex C-2: Ieff = Icr / (1.2 - (Mr/M)(z/d)(1 - x/d)(bw/b)), between Icr and Igr (rectangular, bw = b)
+    getEffectiveInertia(b, D, d, Ast, Asc, dc, m, M, fck) {
+        const Igr = b * Math.pow(D, 3) / 12;
+        const Mr = window.materialLibrary.getConcrete(fck).fcr * Igr / (D / 2); // cracking moment
+        if (M <= Mr) return Igr;
+        
+        const { x, Icr } = this.getCrackedSection(b, d, Ast, m, Asc, dc);
+        const z = d - x / 3;
+        const Ieff = Icr / (1.2 - (Mr / M) * (z / d) * (1 - x / d));
+        return Math.min(Math.max(Ieff, Icr), Igr);
+    },
+    
+    // Short-term, creep and shrinkage deflection of a member whose elastic deflection under the
+    // service load, with the gross section and short-term Ec, is given. The section is taken as
+    // rectangular b x D; a flange only stiffens it further. k3 is the Annex C-3.1 support coefficient.
+    calculateLongTermDeflection({ deflection, M, b, D, d, Ast, Asc = 0, dc = 0, fck, fy, L, k3, sustained, age }) {
+        const { Es } = window.materialLibrary.getSteel(fy);
+        const { Ec } = window.materialLibrary.getConcrete(fck);
+        const theta = this.getCreepCoefficient(age);
+        const Ece = Ec / (1 + theta); // C-4.1 effective modulus for creep
+        const Igr = b * Math.pow(D, 3) / 12;
+        const ieff = (E, moment) => this.getEffectiveInertia(b, D, d, Ast, Asc, dc, Es / E, moment, fck);
+        
+        // Elastic deflection scales with Igr / Ieff; the permanent share also with Ec / Ece
+        const Ieff = ieff(Ec, M);
+        const short = deflection * Igr / Ieff;
+        const permanent = sustained * deflection * Igr / ieff(Ec, sustained * M);
+        const permanentCreep = sustained * deflection * (1 + theta) * Igr / ieff(Ece, sustained * M);
+        const creep = permanentCreep - permanent;
+        
+        // C-3: ψcs = k4·εcs/D with εcs = 0.0003 (cl 6.2.4.1)
+        const pt = 100 * Ast / (b * d);
+        const pc = 100 * Asc / (b * d);
+        const k4 = pt > pc ? Math.min((pt - pc >= 1 ? 0.65 : 0.72) * (pt - pc) / Math.sqrt(pt), 1) : 0;
+        const shrinkage = k3 * (k4 * 0.0003 / D) * Math.pow(L * 1000, 2);
+        
+        return {
+            Igr, Ieff, theta,
+            short, creep, shrinkage,
+            total: short + creep + shrinkage,
+            // Partitions go up once the permanent load has acted, so the rest of the service load,
+            // creep and shrinkage deflect them (cl 23.2b)
+            afterPartitions: short - permanent + creep + shrinkage,
+            ...this.getDeflectionLimits(L)
+        };
+    },
+    
+    // Allowable deflections (mm) of a span L (m): the total, and what follows the partitions going up
+    getDeflectionLimits(L) {
+        const { total, partitions } = this.getCode().serviceability.deflectionLimits(L * 1000);
+        return { limitTotal: total, limitPartitions: partitions };
     },
 
-    // Column capacity calculation
-    calculateColumnCapacity(axialLoad, momentX, momentY, fck, fy, width, depth, ast) {
-        // Simplified column capacity calculation as per IS 456:2000
-        const area = width * depth;
-        const concreteCapacity = 0.4 * fck * area;
-        const steelCapacity = 0.67 * fy * ast;
-        const totalCapacity = (concreteCapacity + steelCapacity) / 1000; // Convert to kN
+    // === SPAN / EFFECTIVE DEPTH (IS 456 cl 23.2.1) ===
+    // member: 'beam' or 'slab'; support: 'cantilever', 'simply-supported' or 'continuous'; span in m,
+    // sections in mm. The code decides whether the ratio is taken on d or on the overall depth D.
+    checkSpanDepthRatio(params) {
+        const check = this.getCode().serviceability.spanDepth({ member: 'beam', ...params });
+        return { ...check, ok: !check.applicable || check.actual <= check.allowable };
+    },
+
+    // === CRACK WIDTH (IS 456 Annex F) ===
+    // Crack control of the design code: a computed width or, for ACI 318, the bar spacing, as
+    // { label, value, limit } with any detail of the calculation. exposure keys the width limit.
+    checkBeamCracking(params) {
+        const check = this.getCode().serviceability.beamCracking(params);
+        return { ...check, ok: check.value <= check.limit };
+    },
+    
+    checkSlabCracking(params) {
+        const check = this.getCode().serviceability.slabCracking(params);
+        return { ...check, ok: check.value <= check.limit };
+    },
+    
+    // Service moment M (Nmm) on a section of width b and depth h with one layer of bars { num, dia }
+    // at clear cover c. bc is the compression face width (bf for a flange in compression).
+    // Points are located by u from the left face and a from the compression face (mm).
+    calculateBeamCrackWidth({ M, b, bc = b, h, cover, bars, Asc = 0, fck, fy }) {
+        const { Es } = window.materialLibrary.getSteel(fy);
+        const m = Es / window.materialLibrary.getConcrete(fck).Ec;
+        const As = bars.num * Math.PI * bars.dia * bars.dia / 4;
+        const edge = cover + bars.dia / 2; // bar centre from the tension and side faces
+        const d = h - edge;
+        const { x, Icr } = this.getCrackedSection(bc, d, As, m, Asc, edge);
+        const fs = m * M * (d - x) / Icr;
+        const pitch = bars.num > 1 ? (b - 2 * edge) / (bars.num - 1) : 0;
+        
+        // F-2: εm includes tension stiffening, w = 3·acr·εm / (1 + 2(acr - Cmin)/(h - x))
+        const width = (a, acr) => {
+            const epsilon1 = fs / Es * (a - x) / (d - x);
+            const epsilonM = epsilon1 - b * (h - x) * (a - x) / (3 * Es * As * (d - x));
+            return Math.max(3 * acr * epsilonM / (1 + 2 * (acr - cover) / (h - x)), 0);
+        };
+        const point = (location, u, a, acr) => ({ location, u, a, acr, width: width(a, acr) });
+        
+        // Bottom corner, soffit midway between bars, and the side face between the bars and the neutral axis
+        const points = [point('corner', 0, h, Math.hypot(edge, edge) - bars.dia / 2)];
+        if (pitch > 0) {
+            points.push(point('soffit between bars', edge + pitch / 2, h, Math.hypot(pitch / 2, edge) - bars.dia / 2));
+        }
+        for (let i = 1; i < 10; i++) {
+            const a = x + (d - x) * i / 10;
+            points.push(point('side face', 0, a, Math.hypot(edge, d - a) - bars.dia / 2));
+        }
+        const governing = points.reduce((worst, p) => p.width > worst.width ? p : worst);
+        
+        return { fs, x, d, points, governing, width: governing.width };
+    },
+    
+    // Service moment M (Nmm) on a metre strip of slab h deep with bars of barDia at spacing and clear
+    // cover c: the F-2 width at the soffit midway between bars, on the cracked section as for beams
+    calculateSlabCrackWidth({ M, h, cover, spacing, barDia, fck, fy }) {
+        const { Es } = window.materialLibrary.getSteel(fy);
+        const m = Es / window.materialLibrary.getConcrete(fck).Ec;
+        const As = Math.PI * barDia * barDia / 4 * 1000 / spacing;
+        const edge = cover + barDia / 2;
+        const d = h - edge;
+        const { x, Icr } = this.getCrackedSection(1000, d, As, m);
+        const fs = m * M * (d - x) / Icr;
         
+        const acr = Math.hypot(spacing / 2, edge) - barDia / 2;
+        const epsilon1 = fs / Es * (h - x) / (d - x);
+        const epsilonM = epsilon1 - 1000 * (h - x) * (h - x) / (3 * Es * As * (d - x));
+        const width = Math.max(3 * acr * epsilonM / (1 + 2 * (acr - cover) / (h - x)), 0);
+        return { fs, x, d, acr, width };
+    },
+
+    // Development length (mm) of a bar in tension or compression: φσs/(4τbd) with the code's design
+    // stress and bond stress, and no less than the code's minimum
+    calculateDevelopmentLength(fy, fck, barDia, compression = false) {
+        const { stress, bond, min } = this.getCode().detailing.anchorage(fy, fck, barDia, compression);
+        const basic = stress * barDia / (4 * bond);
+        return Math.max(basic, min(basic));
+    },
+
+    // Lap length (mm) of a bar in tension or compression, from its development length
+    calculateLapLength(fy, fck, barDia, compression = false) {
+        const Ld = this.calculateDevelopmentLength(fy, fck, barDia, compression);
+        return this.getCode().detailing.lapLength(Ld, barDia, compression, fy);
+    },
+
+    // Short column axial capacity (N) of gross area Ag with longitudinal steel Asc, per the design code
+    getColumnAxialCapacity(fck, fy, Ag, Asc) {
+        return this.getCode().column.axialCapacity(fck, fy, Ag, Asc);
+    },
+    
+    // Steel area (mm²) at which the axial capacity reaches Pu (N); every code's capacity is linear in Asc
+    getColumnSteelRequired(Pu, fck, fy, Ag) {
+        const concrete = this.getColumnAxialCapacity(fck, fy, Ag, 0);
+        const perUnitSteel = this.getColumnAxialCapacity(fck, fy, Ag, 1) - concrete;
+        return (Pu - concrete) / perUnitSteel;
+    },
+
+    // === COLUMN INTERACTION (strain compatibility) ===
+    // Sections in mm, forces in N, moments in Nmm; compression and compressive strain are positive.
+
+    // Bar centres { x, y, dia, area } of a rectangular column, x across the width and y across the depth.
+    // nWidth bars run along each face of the width and nDepth along each face of the depth, corners
+    // counted in both; cover is clear to the bars.
+    getColumnBars(width, depth, cover, dia, nWidth, nDepth) {
+        if (!Number.isInteger(nWidth) || !Number.isInteger(nDepth) || nWidth < 2 || nDepth < 2) {
+            throw new Error('Use a whole number of bars, at least two, on each column face');
+        }
+        const inset = cover + dia / 2;
+        if (!(cover > 0) || 2 * inset >= Math.min(width, depth)) {
+            throw new Error('The cover and bar size leave no room inside the column');
+        }
+        const spread = (count, length) => Array.from({ length: count }, (_, i) => inset + (length - 2 * inset) * i / (count - 1));
+        const xs = spread(nWidth, width);
+        const ys = spread(nDepth, depth);
+        const area = Math.PI * dia * dia / 4;
+        return [
+            ...xs.flatMap(x => [{ x, y: ys[0] }, { x, y: ys[nDepth - 1] }]),
+            ...ys.slice(1, -1).flatMap(y => [{ x: xs[0], y }, { x: xs[nWidth - 1], y }])
+        ].map(bar => ({ ...bar, dia, area }));
+    },
+
+    // Bar centres of a circular column: count bars evenly round a circle, the first at the top (y = 0 side)
+    getCircularColumnBars(diameter, cover, dia, count) {
+        if (!Number.isInteger(count) || count < 4) {
+            throw new Error('Use a whole number of bars, at least four, round a circular column');
+        }
+        const radius = diameter / 2 - cover - dia / 2;
+        if (!(cover > 0) || !(radius > 0)) {
+            throw new Error('The cover and bar size leave no room inside the column');
+        }
+        const area = Math.PI * dia * dia / 4;
+        return Array.from({ length: count }, (_, i) => {
+            const angle = 2 * Math.PI * i / count;
+            return { x: diameter / 2 + radius * Math.sin(angle), y: diameter / 2 - radius * Math.cos(angle), dia, area };
+        });
+    },
+
+    // Width across the section at depth y, and the depth, for bending about each axis of a column
+    // section { width, depth } or { diameter }: x bends across the depth and y across the width
+    getColumnAxes(section) {
+        if (section.diameter) {
+            const r = section.diameter / 2;
+            const width = (y) => 2 * Math.sqrt(Math.max(r * r - (y - r) * (y - r), 0));
+            return { x: { b: width, h: section.diameter }, y: { b: width, h: section.diameter } };
+        }
+        return { x: { b: section.width, h: section.depth }, y: { b: section.depth, h: section.width } };
+    },
+
+    // Axial force and moment about mid-depth for a strain profile strain(y), y from the compression face.
+    // Concrete is integrated in strips; each bar is less the concrete it displaces. b is the width, or
+    // the width at depth y for a section that is not rectangular.
+    getSectionForces(strain, fck, fy, b, h, bars, strips = 100) {
+        const { column } = this.getCode();
+        const epsilonCu = this.getUltimateStrain(fck);
+        const steelStress = this.getSteelCurve(fy);
+        const width = typeof b === 'function' ? b : () => b;
+        const dy = h / strips;
+        let P = 0, M = 0;
+        for (let i = 0; i < strips; i++) {
+            const y = (i + 0.5) * dy;
+            const force = column.concreteStress(strain(y), fck, epsilonCu) * width(y) * dy;
+            P += force;
+            M += force * (h / 2 - y);
+        }
+        bars.forEach(bar => {
+            const e = strain(bar.y);
+            const force = bar.area * (steelStress(e) - column.concreteStress(e, fck, epsilonCu));
+            P += force;
+            M += force * (h / 2 - bar.y);
+        });
+        return { P, M };
+    },
+
+    // P-M interaction curve for bending that compresses the face at y = 0, with bars { y, area }.
+    // The neutral axis moves from pure tension to pure compression, so the points { P, M } rise in P.
+    // Design values take the code's strength reduction for the strain in the extreme tension bar and its
+    // cap on the axial load; nominal values keep the cap but not the reduction. A helix meeting the code's
+    // volume ratio brings its strength factor, reduction and cap in place of those for ties.
+    getInteractionCurve(fck, fy, b, h, bars, { nominal = false, helix = false } = {}) {
+        const { flexure, column } = this.getCode();
+        const confined = helix ? column.helix : {};
+        const strengthReduction = confined.strengthReduction || flexure.strengthReduction;
+        const maxAxialFactor = confined.maxAxialFactor || column.maxAxialFactor;
+        const factor = confined.strengthFactor || 1;
+        const epsilonCu = this.getUltimateStrain(fck);
+        const pivot = column.pivotStrain(fck);
+        const steel = window.materialLibrary.getSteel(fy);
+        const deepest = Math.max(...bars.map(bar => bar.y));
+        const point = (strain) => {
+            const { P, M } = this.getSectionForces(strain, fck, fy, b, h, bars);
+            const phi = factor * (nominal ? 1 : strengthReduction(-strain(deepest), steel));
+            return { P: phi * P, M: phi * M };
+        };
+        // Once the neutral axis leaves the section the strain pivots about the point held at the pivot
+        // strain (3h/7 from the face in IS 456), where the code has one
+        const profile = (xu) => pivot && xu > h
+            ? (y) => pivot * (xu - y) / (xu - h * (1 - pivot / epsilonCu))
+            : (y) => epsilonCu * (xu - y) / xu;
+        const depths = [0.01, 0.02, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6,
+            0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 1, 1.1, 1.25, 1.5, 2, 3, 5, 10];
+        const points = [
+            point(() => -0.01), // every bar yielded in tension
+            ...depths.map(ratio => point(profile(ratio * h))),
+            point(() => pivot || epsilonCu)
+        ];
+        if (maxAxialFactor === 1) return points;
+
+        // Cut off flat at the capped axial load
+        const maxP = maxAxialFactor * points[points.length - 1].P;
+        const index = points.findIndex(p => p.P >= maxP);
+        const [a, c] = [points[index - 1], points[index]];
+        return [...points.slice(0, index), { P: maxP, M: a.M + (c.M - a.M) * (maxP - a.P) / (c.P - a.P) }, { P: maxP, M: 0 }];
+    },
+
+    // Interaction curves of a column section (getColumnAxes) about its x and y axes, with the options
+    // of getInteractionCurve
+    getColumnInteraction(fck, fy, section, bars, options = {}) {
+        const axes = this.getColumnAxes(section);
+        return {
+            x: this.getInteractionCurve(fck, fy, axes.x.b, axes.x.h, bars, options),
+            y: this.getInteractionCurve(fck, fy, axes.y.b, axes.y.h, bars.map(bar => ({ ...bar, y: bar.x })), options)
+        };
+    },
+
+    // Axial loads at the balanced strains (εcu in the concrete, epsilonT in the outer tension bars) for
+    // bending about each axis, as getColumnInteraction
+    getColumnBalancedLoads(fck, fy, section, bars, epsilonT) {
+        const epsilonCu = this.getUltimateStrain(fck);
+        const axes = this.getColumnAxes(section);
+        const balanced = ({ b, h }, layers) => {
+            const d = Math.max(...layers.map(bar => bar.y));
+            const xu = epsilonCu * d / (epsilonCu + epsilonT);
+            return this.getSectionForces(y => epsilonCu * (xu - y) / xu, fck, fy, b, h, layers).P;
+        };
+        return {
+            x: balanced(axes.x, bars),
+            y: balanced(axes.y, bars.map(bar => ({ ...bar, y: bar.x })))
+        };
+    },
+
+    // Helical reinforcement of a circular column against the code's rules: the volume of helix over the
+    // volume of core (measured to the outside of the helix), the pitch limits and the least bar size.
+    // The cover is clear to the main bars, which the helix wraps.
+    checkHelix({ diameter, cover, mainDia, dia, pitch, fck, fy }) {
+        const { helix } = this.getCode().column;
+        if (!(dia > 0) || !(pitch > 0) || dia >= cover) {
+            throw new Error('The helix needs a bar size and pitch, and must fit within the cover');
+        }
+        const core = diameter - 2 * (cover - dia);
+        const Ag = Math.PI * diameter * diameter / 4;
+        const Ak = Math.PI * core * core / 4;
+        const ratio = (Math.PI * dia * dia / 4) * Math.PI * (core - dia) / (Ak * pitch);
+        const required = helix.minRatio(Ag, Ak, fck, fy);
+        const limits = helix.pitch({ core, dia, mainDia, D: diameter });
+        const minDia = helix.minDia(mainDia);
         return {
-            axialCapacity: totalCapacity,
-            momentCapacityX: 0.138 * fck * width * depth * depth / 1e6, // kNm
-            momentCapacityY: 0.138 * fck * depth * width * width / 1e6  // kNm
+            core, ratio, required, pitchLimits: limits, minDia,
+            confining: ratio >= required,
+            pitchOk: pitch >= limits.min && pitch <= limits.max,
+            diaOk: dia >= minDia
         };
     },
 
-    // Slab reinforcement calculation
+    // Effective length (mm) of a column of unsupported length l (mm) about one axis, from the restraint
+    // { method, sway, x, y }: an IS 456 Table 28 end condition, or the code's chart for the restraint
+    // factors β = ΣKc / (ΣKc + ΣKb) at the top and bottom
+    getEffectiveLength(l, restraint, axis) {
+        const { condition, top, bottom } = restraint[axis];
+        const factor = restraint.method === 'conditions'
+            ? window.designCodes.endConditions.find(end => end.id === condition).factor
+            : this.getCode().column.effectiveLengthFactor(top, bottom, restraint.sway);
+        return factor * l;
+    },
+
+    // The code's slenderness check about one axis at the axial load Pu (N) with the section context of
+    // secondOrderMoment; total(M) is the design moment (Nmm) for a first-order moment M
+    getSlenderness(context) {
+        const { column } = this.getCode();
+        const check = column.slenderness(context);
+        const slender = context.Pu > 0 && check.slender;
+        return {
+            ...check,
+            slender,
+            factor: slender ? column.secondOrderMoment(0, context).factor : null,
+            total: (M) => slender ? column.secondOrderMoment(M, context).moment : M
+        };
+    },
+
+    // Radial utilization of the demand (P, M): its distance from the origin over the distance along the
+    // same ray to the curve, so 1 is on the curve. Infinity when the ray never reaches the curve.
+    getInteractionUtilization(curve, P, M) {
+        const m = Math.abs(M);
+        if (P === 0 && m === 0) return 0;
+        let reach = Infinity;
+        for (let i = 1; i < curve.length; i++) {
+            const a = curve[i - 1];
+            const dP = curve[i].P - a.P;
+            const dM = curve[i].M - a.M;
+            const det = dP * m - P * dM;
+            if (det === 0) continue;
+            const t = (dP * a.M - dM * a.P) / det;
+            const s = (P * a.M - m * a.P) / det;
+            if (t > 0 && s >= 0 && s <= 1) reach = Math.min(reach, t);
+        }
+        return 1 / reach;
+    },
+
+    // Moment capacity on the curve at the axial load P, zero outside the curve
+    getInteractionMoment(curve, P) {
+        let M = 0;
+        for (let i = 1; i < curve.length; i++) {
+            const [a, c] = [curve[i - 1], curve[i]];
+            if (a.P !== c.P && P >= Math.min(a.P, c.P) && P <= Math.max(a.P, c.P)) {
+                M = Math.max(M, a.M + (c.M - a.M) * (P - a.P) / (c.P - a.P));
+            }
+        }
+        return M;
+    },
+
+    // Load contour (Bresler) check for biaxial bending at the axial load Pu (N): (Mux/Mux1)^αn +
+    // (Muy/Muy1)^αn, which fails above 1. Mux1 and Muy1 are the uniaxial capacities at Pu on the
+    // interaction curves, and αn rises with Pu over the code's crushing load Puz. A circular section is
+    // as strong in every direction, so its contour is a circle (αn = 2) on the resultant moment.
+    checkBiaxialBending(Pu, Mux, Muy, interaction, { fck, fy, Ag, Asc, circular = false }) {
+        const { column } = this.getCode();
+        const Puz = column.crushingLoad(fck, fy, Ag, Asc);
+        const exponent = circular ? 2 : column.biaxialExponent(Pu / Puz);
+        const Mux1 = this.getInteractionMoment(interaction.x, Pu);
+        const Muy1 = this.getInteractionMoment(interaction.y, Pu);
+        const term = (M, M1) => M === 0 ? 0 : M1 > 0 ? Math.pow(Math.abs(M) / M1, exponent) : Infinity;
+        return { Puz, exponent, Mux1, Muy1, value: term(Mux, Mux1) + term(Muy, Muy1) };
+    },
+
+    // Column capacities from its interaction curves (getColumnInteraction) at the axial load Pu (N):
+    // the axial capacity and the moment capacity about each axis at Pu
+    calculateColumnCapacity(axialLoad, interaction) {
+        return {
+            axialCapacity: Math.max(...interaction.x.map(p => p.P)) / 1000, // Convert to kN
+            momentCapacityX: this.getInteractionMoment(interaction.x, axialLoad) / 1e6, // kNm
+            momentCapacityY: this.getInteractionMoment(interaction.y, axialLoad) / 1e6  // kNm
+        };
+    },
+
+    // === COLUMN DETAILING ===
+
+    // Least clear gap and largest centre-to-centre gap between neighbouring bars. The bars run round
+    // the perimeter, so each one's nearest bars are its neighbours round the section.
+    getColumnBarSpacing(bars) {
+        const cx = bars.reduce((sum, bar) => sum + bar.x, 0) / bars.length;
+        const cy = bars.reduce((sum, bar) => sum + bar.y, 0) / bars.length;
+        const ring = bars
+            .map(bar => ({ bar, angle: Math.atan2(bar.y - cy, bar.x - cx) }))
+            .sort((a, b) => a.angle - b.angle)
+            .map(({ bar }) => bar);
+        const gaps = ring.map((a, i) => {
+            const b = ring[(i + 1) % ring.length];
+            return { centre: Math.hypot(a.x - b.x, a.y - b.y), clear: Math.hypot(a.x - b.x, a.y - b.y) - (a.dia + b.dia) / 2 };
+        });
+        return { clear: Math.min(...gaps.map(gap => gap.clear)), centre: Math.max(...gaps.map(gap => gap.centre)) };
+    },
+
+    // Bar layouts of a column section ({ width, depth } or { diameter }) in each bar size that keep to the
+    // code's clear and centre spacing, least steel first: { dia, barsWidth, barsDepth } on a rectangle or
+    // { dia, barCount } round a circle (at least minCount bars), each with its bar count and area. The
+    // bars are evenly spread, so the gaps follow from the counts without placing them.
+    getColumnBarLayouts(section, cover, sizes, minCount = 4) {
+        const { detailing } = this.getCode();
+        const layouts = sizes.flatMap(dia => {
+            const { minClear, maxCentre } = detailing.columnBarSpacing(dia);
+            const inset = cover + dia / 2;
+            const area = Math.PI * dia * dia / 4;
+            const fits = (centre) => centre - dia >= minClear && centre <= maxCentre;
+            const upTo = (most) => Array.from({ length: Math.max(most, 0) }, (_, i) => i + 1);
+            if (section.diameter) {
+                const radius = section.diameter / 2 - inset;
+                if (!(radius > 0)) return [];
+                return upTo(Math.floor(2 * Math.PI * radius / (minClear + dia)))
+                    .filter(count => count >= minCount && fits(2 * radius * Math.sin(Math.PI / count)))
+                    .map(barCount => ({ dia, barCount, count: barCount, area: barCount * area }));
+            }
+            const counts = (length) => {
+                const span = length - 2 * inset;
+                return span > 0 ? upTo(Math.floor(span / (minClear + dia)) + 1).filter(n => n >= 2 && fits(span / (n - 1))) : [];
+            };
+            return counts(section.width).flatMap(barsWidth => counts(section.depth).map(barsDepth => {
+                const count = 2 * (barsWidth + barsDepth) - 4;
+                return { dia, barsWidth, barsDepth, count, area: count * area };
+            }));
+        });
+        return layouts.sort((a, b) => a.area - b.area || a.count - b.count);
+    },
+
+    // Lateral ties round the main bars { dia } of a column whose least lateral dimension is least: the
+    // smallest tie size the code allows for the largest bar (8 mm at least), at the greatest spacing the
+    // smallest bar allows, in steps of 25 mm
+    detailColumnTies(bars, least) {
+        const { detailing } = this.getCode();
+        const sizes = bars.map(bar => bar.dia);
+        const minDia = detailing.columnTieDia(Math.max(...sizes));
+        const dia = [8, 10, 12, 16].find(size => size >= minDia) || 16;
+        const maxSpacing = detailing.columnTieSpacing(Math.min(...sizes), dia, least);
+        return { dia, minDia, maxSpacing, spacing: Math.floor(maxSpacing / 25) * 25 };
+    },
+
+    // Slab reinforcement calculation, before the code's minimum steel which depends on the thickness
     calculateSlabReinforcement(moment, fck, fy, width, effectiveDepth) {
-        // Calculate required reinforcement for slab as per IS 456:2000
-        const R = moment / (width * effectiveDepth * effectiveDepth);
-        const pt = (50 * fck / fy) * (1 - Math.sqrt(1 - (4.6 * R) / fck));
+        const { flexure } = this.getCode();
+        const section = { bw: width, bf: width, Df: 0 };
+        const xuMax = this.getLimitingDepthRatio(fy, fck) * effectiveDepth;
+        const xu = this.solveFlangedNeutralAxis(moment / flexure.phi, 'M', fck, section, effectiveDepth, xuMax);
+        return this.getFlangedCompression(xu, fck, section, effectiveDepth).C / flexure.designYield(fy);
+    },
+
+    // === TWO-WAY SLABS (IS 456 Annex D) ===
+    // Table 26 coefficients of a panel at ly/lx from 1 to 2, interpolated between the tabulated ratios
+    getSlabPanelCoefficients(panelId, ratio) {
+        const { ratios, cases } = window.designCodes.slabPanels;
+        const panel = cases.find(entry => entry.id === panelId);
+        if (!panel) throw new Error(`Unknown slab panel: ${panelId}`);
+        if (ratio < 1 || ratio > 2) throw new Error('Table 26 covers ly/lx from 1 to 2');
         
-        // Ensure minimum reinforcement
-        const astRequired = (pt * width * effectiveDepth) / 100;
-        const astMin = 0.0012 * width * effectiveDepth; // Minimum steel for slabs
+        const i = Math.max(ratios.findIndex(value => value >= ratio), 1);
+        const interpolate = (values) => values[i - 1] + (values[i] - values[i - 1]) * (ratio - ratios[i - 1]) / (ratios[i] - ratios[i - 1]);
+        return {
+            x: { negative: panel.negativeX && interpolate(panel.negativeX), positive: interpolate(panel.positiveX) },
+            y: { negative: panel.negativeY, positive: panel.positiveY }
+        };
+    },
+    
+    // Corners needing torsion steel (D-1.8 to D-1.10): each corner joins a short and a long edge and
+    // takes 3/4 of the midspan steel where both are discontinuous, 3/8 where one is, and none where
+    // both are continuous. The mesh runs lx/5 each way from the corner, top and bottom.
+    getSlabCornerTorsion(panelId) {
+        const panel = window.designCodes.slabPanels.cases.find(entry => entry.id === panelId);
+        if (!panel) throw new Error(`Unknown slab panel: ${panelId}`);
+        const { short, long } = panel.discontinuous;
+        return {
+            full: { corners: short * long, fraction: 0.75 },
+            half: { corners: short * (2 - long) + long * (2 - short), fraction: 0.375 }
+        };
+    },
+
+    // === CONTINUOUS BEAMS AND ONE-WAY SLABS (IS 456 cl 22.5) ===
+    // Moments (kNm) and shears (kN) at each location of spanCount equal spans of span (m) under the
+    // factored dead and imposed loads (kN/m, or kN/m² for a metre of slab). The other interior
+    // supports only exist from four spans up.
+    getContinuousForces(spanCount, span, dead, imposed) {
+        if (!Number.isInteger(spanCount) || spanCount < 3) {
+            throw new Error('The Table 12 and 13 coefficients need three or more spans');
+        }
+        const { moment, shear } = window.designCodes.continuousCoefficients;
+        const interior = spanCount > 3;
+        const value = (coefficients, length) => (coefficients.dead * dead + coefficients.imposed * imposed) * length;
+        const locations = [
+            { key: 'endSpan', label: 'Middle of end span', face: 'bottom' },
+            { key: 'nearEndSupport', label: 'Support next to the end support', face: 'top' },
+            { key: 'interiorSpan', label: 'Middle of interior spans', face: 'bottom' },
+            ...(interior ? [{ key: 'interiorSupport', label: 'Other interior supports', face: 'top' }] : [])
+        ].map(location => ({ ...location, moment: value(moment[location.key], span * span) }));
+        const shears = [
+            { key: 'endSupport', label: 'End support' },
+            { key: 'nearEndOuter', label: 'Support next to the end support, outer side' },
+            { key: 'nearEndInner', label: 'Support next to the end support, inner side' },
+            ...(interior ? [{ key: 'interiorSupport', label: 'Other interior supports' }] : [])
+        ].map(location => ({ ...location, shear: value(shear[location.key], span) }));
         
-        return Math.max(astRequired, astMin);
+        return {
+            spanCount, span, locations, shears,
+            maxMoment: Math.max(...locations.map(location => Math.abs(location.moment))),
+            maxShear: Math.max(...shears.map(location => location.shear))
+        };
+    },
+
+    // Continuous beam of uniform section by the same coefficients, in the shape of
+    // analyzeContinuousBeamEnvelope. Spans may differ by up to 15% of the longest (cl 22.5.1): support
+    // moments take the mean of the two spans beside them, midspan moments and shears each span's own.
+    // The moment runs as a parabola through the support and midspan values, the shear straight between
+    // its support values; deflection is 5L²/48EI·(Mmid + 0.1(Ma + Mb)) in mm.
+    getContinuousBeamForces(members, dead, imposed) {
+        const longest = Math.max(...members.map(member => member.L));
+        if (members.some(member => member.L < 0.85 * longest)) {
+            throw new Error('The Table 12 and 13 coefficients need spans within 15% of the longest');
+        }
+        const last = members.length - 1;
+        const nodeX = [0];
+        members.forEach((member, i) => nodeX.push(nodeX[i] + member.L));
+        const at = (span, key) => this.getContinuousForces(members.length, span, dead, imposed).locations
+            .find(location => location.key === key);
+        const shearAt = (span, key) => this.getContinuousForces(members.length, span, dead, imposed).shears
+            .find(location => location.key === key).shear;
+
+        const supportMoments = nodeX.map((x, node) => node === 0 || node === members.length ? 0
+            : at((members[node - 1].L + members[node].L) / 2,
+                node === 1 || node === last ? 'nearEndSupport' : 'interiorSupport').moment);
+        const shearKey = (j, node) => node === 0 || node === members.length ? 'endSupport'
+            : node === 1 || node === last ? (j === 0 || j === last ? 'nearEndOuter' : 'nearEndInner')
+            : 'interiorSupport';
+
+        const points = 20;
+        const diagram = [];
+        const spans = members.map((member, j) => {
+            const { L, EI } = member;
+            const left = supportMoments[j];
+            const right = supportMoments[j + 1];
+            const middle = at(L, j === 0 || j === last ? 'endSpan' : 'interiorSpan');
+            const Vl = shearAt(L, shearKey(j, j));
+            const Vr = shearAt(L, shearKey(j, j + 1));
+            for (let i = 0; i <= points; i++) {
+                const t = i / points;
+                const M = left * (1 - t) * (1 - 2 * t) + 4 * middle.moment * t * (1 - t) + right * t * (2 * t - 1);
+                const V = Vl - (Vl + Vr) * t;
+                diagram.push({ x: nodeX[j] + t * L, span: j, V, Vmin: V, M, Mmin: M });
+            }
+            const hogging = Math.min(left, right);
+            const hoggingNode = left < right ? j : j + 1;
+            return {
+                maxSagging: middle.moment,
+                saggingPattern: middle.label,
+                maxHogging: hogging,
+                hoggingPattern: at(L, hoggingNode === 1 || hoggingNode === last ? 'nearEndSupport' : 'interiorSupport').label,
+                maxShear: Math.max(Vl, Vr),
+                maxDeflection: Math.max(5 * L * L / (48 * EI) * (middle.moment + 0.1 * (left + right)), 0) * 1000,
+                maxMoment: Math.max(middle.moment, -hogging),
+                reactions: { left: { moment: left, force: Vl }, right: { moment: right, force: Vr } }
+            };
+        });
+
+        return {
+            nodeX,
+            spans,
+            diagram,
+            envelope: false,
+            coefficients: true,
+            patterns: ['Moments from Table 12 and shears from Table 13, with the dead and imposed loads on every span'],
+            supportMoments,
+            reactions: nodeX.map((x, node) => ({
+                x,
+                force: (node > 0 ? spans[node - 1].reactions.right.force : 0) + (node <= last ? spans[node].reactions.left.force : 0),
+                moment: 0
+            })),
+            maxShear: Math.max(...spans.map(span => span.maxShear)),
+            maxSagging: Math.max(...spans.map(span => span.maxSagging)),
+            maxHogging: Math.min(...spans.map(span => span.maxHogging)),
+            maxMoment: Math.max(...spans.map(span => span.maxMoment)),
+            maxDeflection: Math.max(...spans.map(span => span.maxDeflection))
+        };
     },
 
     // === ENHANCED SLAB CALCULATION FUNCTIONS ===
-    calculateSlabMoments: function(slabType, length, width, factoredLoad) {
+    // Two-way slabs also return the moments of each direction, Mx on the short span lx and My on the
+    // long span, at the continuous edges (negative) and midspan (positive). Beyond ly/lx = 2 the slab
+    // spans one way across lx, simply supported.
+    calculateSlabMoments: function(slabType, length, width, factoredLoad, panelId = 'four-edges') {
         let maxMoment, maxShear;
         
         switch(slabType) {
@@ -154,19 +1508,22 @@ const calculationEngine = {
                 maxMoment = factoredLoad * span * span / 8;
                 maxShear = factoredLoad * span / 2;
                 break;
-            case 'two-way':
+            case 'two-way': {
                 const ly = Math.max(length, width);
                 const lx = Math.min(length, width);
                 const ratio = ly / lx;
-                
-                if (ratio <= 2) {
-                    const alpha_x = ratio <= 1 ? 0.062 : 0.062 + (0.055 - 0.062) * (ratio - 1);
-                    maxMoment = alpha_x * factoredLoad * lx * lx;
-                } else {
-                    maxMoment = factoredLoad * lx * lx / 8;
-                }
+                const coefficients = ratio <= 2
+                    ? this.getSlabPanelCoefficients(panelId, ratio)
+                    : { x: { negative: null, positive: 1 / 8 }, y: { negative: null, positive: 0 } };
+                const moment = (alpha) => (alpha || 0) * factoredLoad * lx * lx;
+                const moments = {
+                    x: { negative: moment(coefficients.x.negative), positive: moment(coefficients.x.positive) },
+                    y: { negative: moment(coefficients.y.negative), positive: moment(coefficients.y.positive) }
+                };
+                maxMoment = Math.max(moments.x.negative, moments.x.positive, moments.y.negative, moments.y.positive);
                 maxShear = factoredLoad * lx / 3;
-                break;
+                return { maxMoment, maxShear, lx, ly, ratio, twoWay: ratio <= 2, coefficients, moments };
+            }
             case 'cantilever':
                 maxMoment = factoredLoad * length * length / 2;
                 maxShear = factoredLoad * length;
@@ -178,22 +1535,20 @@ const calculationEngine = {
         return { maxMoment, maxShear };
     },
 
+    // Deflection (mm) from the maximum moment (kNm) with E in N/mm², I in mm⁴ and span in m.
+    // A two-way slab is taken as a simply supported strip carrying its own (smaller) moment, and a
+    // continuous slab as its end span with the midspan moment less a tenth of the support moment.
     calculateSlabDeflection: function(moment, E, I, span, slabType) {
         let deflectionCoefficient = 0;
         
         switch(slabType) {
-            case 'one-way': deflectionCoefficient = 5/384; break;
-            case 'two-way': deflectionCoefficient = 1/250; break;
-            case 'cantilever': deflectionCoefficient = 1/8; break;
+            case 'one-way': deflectionCoefficient = 5/48; break;
+            case 'continuous': deflectionCoefficient = 5/48; break;
+            case 'two-way': deflectionCoefficient = 5/48; break;
+            case 'cantilever': deflectionCoefficient = 1/4; break;
         }
         
-        return (deflectionCoefficient * moment * span * span) / (E * I);
-    },
-
-    calculateCrackWidth: function(stress, cover, barSpacing, barDia) {
-        const acr = Math.sqrt(Math.pow(cover + barDia/2, 2) + Math.pow(barSpacing/2, 2));
-        const epsilon = stress / (2 * Math.pow(10, 5));
-        return (3 * acr * epsilon) / (1 + 2 * (acr - cover) / (0.85 * 150));
+        return (deflectionCoefficient * moment * 1e6 * Math.pow(span * 1000, 2)) / (E * I);
     }
     // === END OF ENHANCED FUNCTIONS ===
 };
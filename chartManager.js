@@ -2,6 +2,7 @@ class ChartManager {
     constructor() {
         this.sfdChart = null;
         this.bmdChart = null;
+        this.diagramCharts = {};
         this.init();
     }
 
@@ -32,7 +33,7 @@ class ChartManager {
             data: {
                 labels: chartData.labels,
                 datasets: [{
-                    label: 'Shear Force',
+                    label: chartData.sfdMin ? 'Max Shear' : 'Shear Force',
                     data: chartData.sfd,
                     borderColor: '#ef4444',
                     backgroundColor: 'rgba(239, 68, 68, 0.1)',
@@ -44,21 +45,21 @@ class ChartManager {
                     pointBorderWidth: 2,
                     pointRadius: 4,
                     pointHoverRadius: 6
-                }]
+                }, ...this.getEnvelopeDatasets(chartData.sfdMin, 'Min Shear', '#f97316')]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        display: false
+                        display: !!chartData.sfdMin
                     },
                     tooltip: {
                         mode: 'index',
                         intersect: false,
                         callbacks: {
                             label: function(context) {
-                                return `Shear: ${context.parsed.y.toFixed(2)} kN`;
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)} kN`;
                             }
                         }
                     },
@@ -71,7 +72,8 @@ class ChartManager {
                                 borderColor: textColor,
                                 borderWidth: 2,
                                 borderDash: [5, 5]
-                            }
+                            },
+                            ...this.getShearZoneAnnotations(chartData, textColor)
                         }
                     }
                 },
@@ -106,6 +108,28 @@ class ChartManager {
         });
     }
 
+    // Stirrup zones as shaded boxes; the x axis is categorical, so zone ends snap to the nearest station
+    getShearZoneAnnotations(chartData, textColor) {
+        const stations = chartData.labels.map(Number);
+        const nearest = (x) => stations.reduce((best, value, i) =>
+            Math.abs(value - x) < Math.abs(stations[best] - x) ? i : best, 0);
+        
+        return Object.fromEntries((chartData.shearZones || []).map((zone, i) => [`shearZone${i}`, {
+            type: 'box',
+            xMin: nearest(zone.xMin),
+            xMax: nearest(zone.xMax),
+            backgroundColor: zone.dense ? 'rgba(59, 130, 246, 0.12)' : 'rgba(16, 185, 129, 0.08)',
+            borderWidth: 0,
+            label: {
+                display: true,
+                content: zone.label,
+                position: { x: 'center', y: 'start' },
+                color: textColor,
+                font: { size: 10 }
+            }
+        }]));
+    }
+
     renderBMDChart(chartData) {
         const ctx = document.getElementById('bmd-chart');
         if (!ctx) return;
@@ -121,7 +145,7 @@ class ChartManager {
             data: {
                 labels: chartData.labels,
                 datasets: [{
-                    label: 'Bending Moment',
+                    label: chartData.bmdMin ? 'Max Moment' : 'Bending Moment',
                     data: chartData.bmd,
                     borderColor: '#3b82f6',
                     backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -133,19 +157,19 @@ class ChartManager {
                     pointBorderWidth: 2,
                     pointRadius: 4,
                     pointHoverRadius: 6
-                }]
+                }, ...this.getEnvelopeDatasets(chartData.bmdMin, 'Min Moment', '#8b5cf6')]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
-                    legend: { display: false },
+                    legend: { display: !!chartData.bmdMin },
                     tooltip: {
                         mode: 'index',
                         intersect: false,
                         callbacks: {
                             label: function(context) {
-                                return `Moment: ${context.parsed.y.toFixed(2)} kNm`;
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)} kNm`;
                             }
                         }
                     }
@@ -175,6 +199,308 @@ class ChartManager {
         });
     }
 
+    renderFrameMemberCharts(chartData) {
+        const xLabel = 'Distance from node i (m)';
+        const { labels } = chartData;
+        this.renderDiagramChart('frame-axial-chart', { labels, data: chartData.axial, label: 'Axial Force', unit: 'kN', color: '#10b981', xLabel });
+        this.renderDiagramChart('frame-shear-chart', { labels, data: chartData.shear, label: 'Shear Force', unit: 'kN', color: '#ef4444', xLabel });
+        this.renderDiagramChart('frame-moment-chart', { labels, data: chartData.moment, label: 'Bending Moment', unit: 'kNm', color: '#3b82f6', xLabel });
+    }
+
+    renderInfluenceCharts(chartData) {
+        const { ild, envelope, lengthUnit } = chartData;
+        this.renderDiagramChart('ild-chart', {
+            labels: ild.labels, data: ild.values, label: 'Ordinate', unit: ild.unit, color: '#10b981',
+            xLabel: `Unit load position (${lengthUnit})`
+        });
+        this.renderDiagramChart('moving-load-chart', {
+            labels: envelope.labels, data: envelope.max, label: 'Max Moment', unit: envelope.unit, color: '#3b82f6',
+            xLabel: `Distance along beam (${lengthUnit})`, extraDatasets: this.getEnvelopeDatasets(envelope.min, 'Min Moment', '#8b5cf6')
+        });
+    }
+
+    // Compact filled line chart of one quantity along a member, optionally with more curves
+    renderDiagramChart(canvasId, { labels, data, label, unit, color, xLabel, extraDatasets = [] }) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.diagramCharts[canvasId]) this.diagramCharts[canvasId].destroy();
+
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDarkMode ? '#f1f5f9' : '#1e293b';
+
+        this.diagramCharts[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label,
+                    data,
+                    borderColor: color,
+                    backgroundColor: `${color}1a`,
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                }, ...extraDatasets]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: extraDatasets.length > 0 },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)} ${unit}`.trim();
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: xLabel,
+                            color: textColor,
+                            font: { weight: 'bold', size: 12 }
+                        },
+                        grid: { color: gridColor }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: unit ? `${label} (${unit})` : label,
+                            color: textColor,
+                            font: { weight: 'bold', size: 12 }
+                        },
+                        grid: { color: gridColor }
+                    }
+                },
+                interaction: { intersect: false, mode: 'nearest' }
+            }
+        });
+    }
+
+    // Results over a grid of two parameters, each cell coloured from the smallest value (green) to
+    // the largest (red); cells without a value are grey
+    renderHeatMapChart(canvasId, { cells, xValues, yValues, label, unit, digits = 2, xLabel, yLabel }) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.diagramCharts[canvasId]) this.diagramCharts[canvasId].destroy();
+
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDarkMode ? '#f1f5f9' : '#1e293b';
+        
+        const values = cells.map(cell => cell.value).filter(value => value !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const color = (value) => {
+            if (value === null) return 'rgba(148, 163, 184, 0.5)';
+            const t = max > min ? (value - min) / (max - min) : 0;
+            return `hsl(${Math.round(120 * (1 - t))}, 70%, 50%)`;
+        };
+        // Axes run half a cell past the outer values; a rect point of radius r is r√2 wide
+        const axis = (list, title) => {
+            const half = list.length > 1 ? Math.abs(list[1] - list[0]) / 2 : 1;
+            return {
+                type: 'linear',
+                min: Math.min(...list) - half,
+                max: Math.max(...list) + half,
+                title: { display: true, text: title, color: textColor, font: { weight: 'bold', size: 12 } },
+                grid: { color: gridColor }
+            };
+        };
+        const cellRadius = (context) => {
+            const area = context.chart.chartArea;
+            if (!area) return 8;
+            return Math.min(area.width / xValues.length, area.height / yValues.length) / Math.SQRT2;
+        };
+
+        this.diagramCharts[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label,
+                    data: cells,
+                    pointStyle: 'rect',
+                    backgroundColor: cells.map(cell => color(cell.value)),
+                    borderWidth: 0,
+                    pointRadius: cellRadius,
+                    pointHoverRadius: cellRadius
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const { x, y, value } = context.raw;
+                                const result = value === null ? 'not designed' : `${value.toFixed(digits)} ${unit}`.trim();
+                                return `${xLabel} ${x}, ${yLabel} ${y}: ${label} ${result}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: axis(xValues, xLabel),
+                    y: axis(yValues, yLabel)
+                }
+            }
+        });
+    }
+
+    // P-M interaction curves (points { x: M, y: P }) drawn as lines, with the applied actions of each
+    // combination as points; curves and demands are [{ label, data, color }]
+    renderInteractionChart(canvasId, { curves, demands }) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.diagramCharts[canvasId]) this.diagramCharts[canvasId].destroy();
+
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDarkMode ? '#f1f5f9' : '#1e293b';
+        const axis = (title) => ({
+            type: 'linear',
+            title: { display: true, text: title, color: textColor, font: { weight: 'bold', size: 12 } },
+            grid: { color: gridColor }
+        });
+
+        this.diagramCharts[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    ...curves.map(({ label, data, color }) => ({
+                        label,
+                        data,
+                        showLine: true,
+                        borderColor: color,
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4
+                    })),
+                    ...demands.map(({ label, data, color }) => ({
+                        label,
+                        data,
+                        borderColor: color,
+                        backgroundColor: color,
+                        pointRadius: 5,
+                        pointHoverRadius: 7
+                    }))
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: textColor } },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const { x, y, combination } = context.raw;
+                                const point = `Mu ${x.toFixed(1)} kNm, Pu ${y.toFixed(0)} kN`;
+                                return `${context.dataset.label}: ${point}${combination ? ` (${combination})` : ''}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: { ...axis('Moment Mu (kNm)'), min: 0 },
+                    y: axis('Axial load Pu (kN)')
+                }
+            }
+        });
+    }
+
+    // Biaxial load contour at the axial load Pu: the Mux-Muy capacity curve (points { x, y }) with the demand
+    renderLoadContourChart(canvasId, { Pu, points, demand }) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.diagramCharts[canvasId]) this.diagramCharts[canvasId].destroy();
+
+        const isDarkMode = document.body.classList.contains('dark-mode');
+        const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        const textColor = isDarkMode ? '#f1f5f9' : '#1e293b';
+        const axis = (title) => ({
+            type: 'linear',
+            min: 0,
+            title: { display: true, text: title, color: textColor, font: { weight: 'bold', size: 12 } },
+            grid: { color: gridColor }
+        });
+
+        this.diagramCharts[canvasId] = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: `Load contour at Pu = ${Pu.toFixed(0)} kN`,
+                    data: points,
+                    showLine: true,
+                    borderColor: '#4f46e5',
+                    backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                    fill: 'origin',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                }, {
+                    label: '(Mux, Muy)',
+                    data: [demand],
+                    borderColor: '#ef4444',
+                    backgroundColor: '#ef4444',
+                    pointRadius: 6,
+                    pointHoverRadius: 8
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { labels: { color: textColor } },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const { x, y } = context.raw;
+                                return `${context.dataset.label}: Mux ${x.toFixed(1)} kNm, Muy ${y.toFixed(1)} kNm`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: axis('Mux (kNm)'),
+                    y: axis('Muy (kNm)')
+                }
+            }
+        });
+    }
+
+    // Lower bounding curve of a load-pattern envelope, if there is one
+    getEnvelopeDatasets(data, label, color) {
+        if (!data) return [];
+        return [{
+            label,
+            data,
+            borderColor: color,
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false,
+            tension: 0.1,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        }];
+    }
+
     // New: Export charts as image
     exportChartAsPNG(chartId, filename) {
         const chart = chartId === 'sfd' ? this.sfdChart : this.bmdChart;
@@ -0,0 +1,97 @@
+// Cost optimizer - searches practical member sizes and material grades for the cheapest designs that
+// pass every strength and serviceability check. Costs come from unit rates: concrete per m³ and
+// reinforcement per kg for each grade, and formwork per m² of contact area.
+const costOptimizer = {
+    steelDensity: 7850, // kg/m³
+
+    // Typical site rates, for the user to replace with their own
+    defaultRates: {
+        concrete: { 15: 4800, 20: 5200, 25: 5600, 30: 6000, 35: 6400, 40: 6800, 45: 7200, 50: 7600 },
+        steel: { 250: 62, 415: 66, 500: 70, 550: 73, 600: 76 },
+        formwork: 550
+    },
+
+    // Searched ranges in mm per module; sizes step in multiples of 25 or 50 mm
+    defaultRanges: {
+        beam: {
+            b: { min: 200, max: 400, step: 25 },
+            D: { min: 300, max: 900, step: 50 }
+        },
+        column: {
+            width: { min: 250, max: 600, step: 50 },
+            depth: { min: 250, max: 750, step: 50 }
+        },
+        slab: {
+            thickness: { min: 100, max: 250, step: 25 }
+        }
+    },
+
+    // Fresh settings for the project state: module searched, size ranges, grades tried and unit rates
+    getDefaultSettings() {
+        const copy = (value) => JSON.parse(JSON.stringify(value));
+        return {
+            module: 'beam',
+            ranges: copy(this.defaultRanges),
+            grades: { concrete: [20, 25, 30], steel: [415, 500] },
+            rates: copy(this.defaultRates)
+        };
+    },
+
+    getRange({ min, max, step }) {
+        if (!(min > 0) || !(step > 0) || !(max >= min)) {
+            throw new Error('Each size range needs a positive minimum and step, and a maximum no less than the minimum');
+        }
+        const count = Math.floor((max - min) / step + 1e-9) + 1;
+        return Array.from({ length: count }, (_, i) => min + i * step);
+    },
+
+    // Every combination of the sizes and grades, e.g. { b: 230, D: 450, fck: 25, fy: 500 }
+    getCandidates(ranges, grades) {
+        const sizes = Object.keys(ranges).reduce((candidates, key) => candidates.flatMap(candidate =>
+            this.getRange(ranges[key]).map(value => ({ ...candidate, [key]: value }))
+        ), [{}]);
+        return sizes.flatMap(size => grades.concrete.flatMap(fck =>
+            grades.steel.map(fy => ({ ...size, fck, fy }))
+        ));
+    },
+
+    // Quantities are concrete and steel volumes in m³ and formwork area in m²
+    price(quantities, rates, { fck, fy }) {
+        const steelWeight = quantities.steel * this.steelDensity;
+        const concrete = quantities.concrete * rates.concrete[fck];
+        const steel = steelWeight * rates.steel[fy];
+        const formwork = quantities.formwork * rates.formwork;
+        return { concrete, steel, formwork, total: concrete + steel + formwork, steelWeight };
+    },
+
+    // Designs the candidates and keeps the cheapest feasible ones, cheapest first. design(candidate)
+    // returns { quantities, utilization, ... } or null when the candidate fails a check; gross(candidate)
+    // gives the concrete and formwork, which do not depend on the steel. Candidates are tried in order
+    // of that cost, so once it alone reaches the last kept design no later candidate can rank.
+    async optimize({ candidates, rates, gross, design, keep = 10, onProgress = null }) {
+        const ordered = candidates
+            .map(candidate => ({ candidate, bound: this.price({ ...gross(candidate), steel: 0 }, rates, candidate).total }))
+            .sort((a, b) => a.bound - b.bound);
+        const designs = [];
+        let checked = 0;
+        let feasible = 0;
+
+        for (const { candidate, bound } of ordered) {
+            if (designs.length === keep && bound >= designs[keep - 1].cost.total) break;
+            if (onProgress && checked % 10 === 0) await onProgress(checked / ordered.length);
+            checked++;
+
+            const result = design(candidate);
+            if (!result) continue;
+            feasible++;
+            const entry = { ...result, candidate, cost: this.price(result.quantities, rates, candidate) };
+            const index = designs.findIndex(kept => entry.cost.total < kept.cost.total);
+            designs.splice(index === -1 ? designs.length : index, 0, entry);
+            if (designs.length > keep) designs.pop();
+        }
+
+        return { designs, searched: candidates.length, checked, feasible };
+    }
+};
+
+window.costOptimizer = costOptimizer;
@@ -0,0 +1,785 @@
+// Design codes - each code supplies the rules the engine and the modules design with:
+//   combinations     load factor rows (dead, imposed and lateral factors) for loadCombinations
+//   flexure          stress block, design strengths, limiting neutral axis and strength reduction
+//   shear            concrete shear stress, the ceiling on shear stress and the link rules
+//   detailing        minimum steel and the maximum beam steel, beam and column bar spacing, ties, anchorage and laps, and the slab bar spacing
+//   column           axial capacity, interaction stress block, biaxial bending, slenderness and helical reinforcement
+//   serviceability   span/depth, deflection limits and crack control
+//   clauses          references quoted in results
+// Concrete grades are cube strengths (M25 = 25 N/mm²). ACI 318 and EC2 work on the cylinder
+// strength, taken as 0.8fck. Stresses in N/mm², dimensions in mm, forces in N.
+const designCodes = {
+    codes: {
+        IS456: {
+            id: 'IS456',
+            name: 'IS 456:2000',
+            clauses: {
+                combinations: 'Table 18', flexure: 'cl 38.1', shear: 'cl 40', torsion: 'cl 41',
+                deflection: 'cl 23.2, Annex C', spanDepth: 'cl 23.2.1', cracking: 'Annex F',
+                column: 'cl 39.3', slab: 'cl 26.5.2'
+            },
+            combinationNote: 'Enter characteristic loads (IS 875) in each module. Partial safety factors follow IS 456:2000 Table 18; WL and EL are taken in both directions and never together.',
+            // Table 18 rows: factors on dead, imposed and lateral loads
+            combinations: [
+                { limitState: 'ULS', dead: 1.5, imposed: 1.5 },
+                { limitState: 'ULS', dead: 1.5, lateral: 1.5 },
+                { limitState: 'ULS', dead: 0.9, lateral: 1.5 }, // Dead load resisting uplift or overturning
+                { limitState: 'ULS', dead: 1.2, imposed: 1.2, lateral: 1.2 },
+                { limitState: 'SLS', dead: 1.0, imposed: 1.0 },
+                { limitState: 'SLS', dead: 1.0, lateral: 1.0 },
+                { limitState: 'SLS', dead: 1.0, imposed: 0.8, lateral: 0.8 }
+            ],
+            materialFactors: { concrete: 1.5, steel: 1.15 },
+            torsion: true,
+
+            flexure: {
+                phi: 1,
+                // 0.67fck/1.5, the stress in the concrete that compression bars displace
+                compressionStress: () => 0.446,
+                designYield: (fy) => 0.87 * fy,
+                ultimateStrain: (concrete) => concrete.epsilonCu,
+                steelCurve: (steel) => steel.curve,
+                // Steel strain reaches 0.87fy/Es + 0.002 as the concrete reaches εcu
+                limitingDepthRatio(concrete, steel) {
+                    return concrete.epsilonCu / (concrete.epsilonCu + 0.002 + 0.87 * steel.fy / steel.Es);
+                },
+                strengthReduction: () => 1,
+
+                // Parabolic-rectangular block, C = 0.36fck·b·xu acting 0.416xu below the compression face.
+                // Annex G: flange outstands at 0.45fck over yf, yf = 0.15xu + 0.65Df when Df/d > 0.2
+                compression(xu, fck, { bw, bf, Df }, d) {
+                    if (xu <= Df) {
+                        const C = 0.36 * fck * bf * xu;
+                        return { C, M: C * (d - 0.416 * xu) };
+                    }
+                    const yf = Df / d > 0.2 ? Math.min(0.15 * xu + 0.65 * Df, Df) : Df;
+                    const web = 0.36 * fck * bw * xu;
+                    const outstands = 0.45 * fck * (bf - bw) * yf;
+                    return { C: web + outstands, M: web * (d - 0.416 * xu) + outstands * (d - yf / 2) };
+                }
+            },
+
+            shear: {
+                // Table 19 design shear strength of concrete τc against pt = 100As/bd
+                strengthTable: {
+                    pt: [0.15, 0.25, 0.50, 0.75, 1.00, 1.25, 1.50, 1.75, 2.00, 2.25, 2.50, 2.75, 3.00],
+                    grades: {
+                        15: [0.28, 0.35, 0.46, 0.54, 0.60, 0.64, 0.68, 0.71, 0.71, 0.71, 0.71, 0.71, 0.71],
+                        20: [0.28, 0.36, 0.48, 0.56, 0.62, 0.67, 0.72, 0.75, 0.79, 0.81, 0.82, 0.82, 0.82],
+                        25: [0.29, 0.36, 0.49, 0.57, 0.64, 0.70, 0.74, 0.78, 0.82, 0.85, 0.88, 0.90, 0.92],
+                        30: [0.29, 0.37, 0.50, 0.59, 0.66, 0.71, 0.76, 0.80, 0.84, 0.88, 0.91, 0.94, 0.96],
+                        35: [0.29, 0.37, 0.50, 0.59, 0.67, 0.73, 0.78, 0.82, 0.86, 0.90, 0.93, 0.96, 0.99],
+                        40: [0.30, 0.38, 0.51, 0.60, 0.68, 0.74, 0.79, 0.84, 0.88, 0.92, 0.95, 0.98, 1.01]
+                    }
+                },
+                // Table 20 maximum shear stress τc,max, M40 and above take the M40 value
+                maxStressTable: { 15: 2.5, 20: 2.8, 25: 3.1, 30: 3.5, 35: 3.7, 40: 4.0 },
+
+                concreteStress(fck, pt) {
+                    const engine = window.calculationEngine;
+                    const { pt: rows, grades } = this.strengthTable;
+                    const byGrade = Object.keys(grades).map(grade =>
+                        [Number(grade), engine.interpolate(rows.map((p, i) => [p, grades[grade][i]]), pt)]);
+                    return engine.interpolate(byGrade, fck);
+                },
+                maxStress(fck) {
+                    const table = this.maxStressTable;
+                    return window.calculationEngine.interpolate(Object.keys(table).map(grade => [Number(grade), table[grade]]), fck);
+                },
+                linkStress: (fy) => 0.87 * Math.min(fy, 415), // cl 40.4: fy not taken above 415
+                leverArm: 1, // links act over d
+                steelShear: (Vu, Vc) => Math.max(Vu - Vc, 0),
+                resistance: (Vc, Vs) => Vc + Vs,
+                minLinkRatio: (fck, fy) => 0.4 / (0.87 * Math.min(fy, 415)), // cl 26.5.1.6
+                maxSpacing: (d) => Math.min(0.75 * d, 300) // cl 26.5.1.5
+            },
+
+            detailing: {
+                beamMinSteel: (b, d, fck, fy) => Math.max(0.0012 * b * d, 0.85 * b * d / fy), // cl 26.5.1.1
+                beamMaxSteel: (b, D) => 0.04 * b * D, // cl 26.5.1.1(b) and 26.5.1.2: tension and compression steel each
+                beamBarSpacing: (dia) => Math.max(dia, 25), // cl 26.3.2: clear gap of the bar size and 5 mm over the aggregate
+                columnSteelLimits: (Ag) => ({ min: 0.008 * Ag, max: 0.04 * Ag }), // cl 26.5.3.1
+                // cl 26.3.2: clear gaps of the bar size and 5 mm over the (20 mm) aggregate; cl 26.5.3.1(g): bars
+                // round a column at most 300 mm apart
+                columnBarSpacing: (dia) => ({ minClear: Math.max(dia, 25), maxCentre: 300 }),
+                // cl 26.5.3.2(c): ties of a quarter of the largest bar and at least 6 mm, at most the least
+                // lateral dimension, 16 diameters of the smallest bar and 300 mm apart
+                columnTieDia: (largestDia) => Math.max(largestDia / 4, 6),
+                columnTieSpacing: (smallestDia, tieDia, least) => Math.min(least, 16 * smallestDia, 300),
+                // cl 26.2.1: Ld = φσs/(4τbd) with σs = 0.87fy; τbd by grade for plain bars (cl 26.2.1.1), 60% more
+                // for deformed bars and a further 25% in compression
+                anchorage(fy, fck, dia, compression) {
+                    const grades = [[40, 1.9], [35, 1.7], [30, 1.5], [25, 1.4], [20, 1.2], [15, 1.0]];
+                    const [, plain] = grades.find(([grade]) => fck >= grade) || grades[grades.length - 1];
+                    return { stress: 0.87 * fy, bond: plain * (fy > 250 ? 1.6 : 1) * (compression ? 1.25 : 1), min: () => 0 };
+                },
+                // cl 26.2.5.1(c), (d): laps of Ld, at least 30φ in tension and 24φ in compression
+                lapLength: (Ld, dia, compression) => Math.max(Ld, (compression ? 24 : 30) * dia),
+                slabMinSteel: (b, h, d, fck, fy) => (fy <= 250 ? 0.0015 : 0.0012) * b * h, // cl 26.5.2.1
+                slabMaxSpacing: (d, h) => Math.min(3 * d, 300) // cl 26.3.3b
+            },
+
+            // cl 39.3 short axially loaded column (with the minimum eccentricity allowance)
+            column: {
+                axialCapacity: (fck, fy, Ag, Asc) => 0.4 * fck * Ag + 0.67 * fy * Asc,
+                // cl 38.1 parabola to 0.446fck at a strain of 0.002, then constant; compression positive
+                concreteStress: (strain, fck) => strain <= 0 ? 0 : 0.446 * fck * Math.min(strain / 0.002 * (2 - strain / 0.002), 1),
+                // cl 39.1: 0.002 across the section under pure compression, pivoting at 3D/7 from the face
+                pivotStrain: () => 0.002,
+                maxAxialFactor: 1,
+                // cl 25.4: L/500 + D/30, at least 20 mm
+                minEccentricity: (L, D) => Math.max(L / 500 + D / 30, 20),
+                // cl 39.6: Puz = 0.45fck·Ac + 0.75fy·Asc, and αn from 1 at Pu/Puz ≤ 0.2 to 2 at 0.8 and above
+                crushingLoad: (fck, fy, Ag, Asc) => 0.45 * fck * (Ag - Asc) + 0.75 * fy * Asc,
+                biaxialExponent: (ratio) => Math.min(Math.max(1 + (ratio - 0.2) / 0.6, 1), 2),
+                // Annex E: the Fig 26 (non-sway) and Fig 27 (sway) charts of le/l against β at each end
+                effectiveLengthFactor(top, bottom, sway) {
+                    const sum = top + bottom;
+                    const product = top * bottom;
+                    return sway
+                        ? Math.sqrt((1 - 0.2 * sum - 0.12 * product) / (1 - 0.8 * sum + 0.6 * product))
+                        : (1 + 0.145 * sum - 0.265 * product) / (2 - 0.364 * sum - 0.247 * product);
+                },
+                // cl 25.1.2: short while le/D and le/b are both below 12
+                slenderness: ({ le, h }) => ({ ratio: le / h, limit: 12, slender: le / h >= 12, symbol: 'le/D', factorSymbol: 'k' }),
+                // cl 39.7.1: Ma = Pu·D/2000·(le/D)² on top of the moment, reduced by k = (Puz - Pu)/(Puz - Pb) ≤ 1
+                // (cl 39.7.1.1), Pb being the load at 0.0035 in the concrete and 0.002 in the outer tension bars
+                balancedStrain: 0.002,
+                secondOrderMoment(M, { Pu, le, h, Puz, Pb }) {
+                    const k = Math.min(Math.max((Puz - Pu) / (Puz - Pb), 0), 1);
+                    return { moment: M + k * Pu * h / 2000 * Math.pow(le / h, 2), factor: k };
+                },
+                // cl 26.5.3.1(c): six bars at least in a circular column
+                minCircularBars: () => 6,
+                // cl 39.4: 1.05 times the strength with ties where the helix volume is at least
+                // 0.36(Ag/Ak - 1)fck/fy of the core (cl 39.4.1). cl 26.5.3.2(d): pitch from 25 mm and three helix
+                // bar diameters up to 75 mm and a sixth of the core; cl 26.5.3.2(c): bars at least 6 mm and a
+                // quarter of the main bars.
+                helix: {
+                    strengthFactor: 1.05,
+                    minRatio: (Ag, Ak, fck, fy) => 0.36 * (Ag / Ak - 1) * fck / fy,
+                    pitch: ({ core, dia }) => ({ min: Math.max(25, 3 * dia), max: Math.min(75, core / 6) }),
+                    minDia: (mainDia) => Math.max(6, mainDia / 4)
+                }
+            },
+
+            serviceability: {
+                // cl 23.2a, b: L/250 overall, L/350 or 20 mm after partitions go up
+                deflectionLimits: (L) => ({ total: L / 250, partitions: Math.min(L / 350, 20) }),
+                // cl 35.3.2: general, weather/moisture/soil, aggressive environments
+                crackWidthLimits: { moderate: 0.3, severe: 0.2, extreme: 0.1 },
+
+                // Fig. 4 tension steel factor kt, from the service steel stress fs and pt provided. Below its
+                // lowest curve (fs = 120) the fit turns over, where the figure reads the 2.0 cap
+                tensionSteelFactor(fs, pt) {
+                    const denominator = 0.225 + 0.00322 * Math.max(fs, 120) - 0.625 * Math.log10(1 / Math.max(pt, 0.1));
+                    return denominator > 0 ? Math.min(1 / denominator, 2.0) : 2.0;
+                },
+                // Fig. 5 compression steel factor kc
+                compressionSteelFactor(pc) {
+                    return Math.min(1 + pc / (3 + pc), 1.5);
+                },
+                // Fig. 6 reduction for flanged sections, 0.8 at bw/bf = 0.3 rising to 1.0 for a rectangle
+                flangeFactor(bw, bf) {
+                    const ratio = bw / bf;
+                    return ratio < 0.3 ? 0.8 : 0.8 + 0.2 * (ratio - 0.3) / 0.7;
+                },
+
+                // Steel percentages use bf·d for flanged sections (cl 23.2.1e)
+                spanDepth({ support, span, b, bf = b, d, Ast_req, Ast_prov, Asc = 0, fy }) {
+                    const basic = { cantilever: 7, 'simply-supported': 20, continuous: 26 }[support];
+                    // Beyond 10 m the basic value scales by 10/span; long cantilevers need a deflection calculation
+                    const spanFactor = span > 10 && support !== 'cantilever' ? 10 / span : 1;
+                    const fs = 0.58 * fy * Ast_req / Ast_prov;
+                    const pt = 100 * Ast_prov / (bf * d);
+                    const kt = this.tensionSteelFactor(fs, pt);
+                    const kc = this.compressionSteelFactor(100 * Asc / (bf * d));
+                    const kf = bf > b ? this.flangeFactor(b, bf) : 1;
+                    const applicable = !(support === 'cantilever' && span > 10);
+                    return {
+                        ratio: 'L/d',
+                        actual: span * 1000 / d,
+                        allowable: basic * spanFactor * kt * kc * kf,
+                        factors: `${basic}${spanFactor < 1 ? ` × ${spanFactor.toFixed(2)}` : ''} × kt ${kt.toFixed(2)}`
+                            + ` × kc ${kc.toFixed(2)}${kf < 1 ? ` × kf ${kf.toFixed(2)}` : ''}`,
+                        applicable,
+                        note: 'cantilever over 10 m, calculated deflection governs'
+                    };
+                },
+
+                // Annex F width at the worst of the corner, soffit and side face points
+                beamCracking(params) {
+                    const crack = window.calculationEngine.calculateBeamCrackWidth(params);
+                    return { ...crack, kind: 'width', label: 'w', value: crack.width, limit: this.crackWidthLimits[params.exposure] || 0.3 };
+                },
+                // Annex F width of a metre strip at the service stress of the service moment
+                slabCracking({ spacing, barDia, cover, thickness, moment, fck, fy, exposure }) {
+                    const crack = window.calculationEngine.calculateSlabCrackWidth({ M: moment, h: thickness, cover, spacing, barDia, fck, fy });
+                    return { ...crack, kind: 'width', label: 'w', value: crack.width, limit: this.crackWidthLimits[exposure] || 0.3 };
+                }
+            }
+        },
+
+        ACI318: {
+            id: 'ACI318',
+            name: 'ACI 318-19',
+            clauses: {
+                combinations: 'cl 5.3.1', flexure: 'cl 22.2', shear: 'cl 22.5', torsion: 'cl 22.7',
+                deflection: 'Table 24.2.2', spanDepth: 'Tables 7.3.1.1, 9.3.1.1', cracking: 'cl 24.3.2',
+                column: 'cl 22.4.2', slab: 'cl 7.6.1, 7.7.2'
+            },
+            combinationNote: 'Enter service-level loads in each module. Load factors follow ACI 318-19 Table 5.3.1 with roof live load as Lr; serviceability uses unfactored loads and the ASCE 7 allowable stress wind and seismic factors.',
+            combinations: [
+                { limitState: 'ULS', dead: 1.4 },
+                { limitState: 'ULS', dead: 1.2, imposed: { LL: 1.6, RLL: 0.5 } },
+                { limitState: 'ULS', dead: 1.2, imposed: { LL: 1.0, RLL: 1.6 } },
+                { limitState: 'ULS', dead: 1.2, imposed: { RLL: 1.6 }, lateral: 0.5, lateralCases: ['WL'] },
+                { limitState: 'ULS', dead: 1.2, imposed: { LL: 1.0, RLL: 0.5 }, lateral: 1.0, lateralCases: ['WL'] },
+                { limitState: 'ULS', dead: 1.2, imposed: { LL: 1.0 }, lateral: 1.0, lateralCases: ['EL'] },
+                { limitState: 'ULS', dead: 0.9, lateral: 1.0 },
+                { limitState: 'SLS', dead: 1.0, imposed: 1.0 },
+                { limitState: 'SLS', dead: 1.0, lateral: 0.6, lateralCases: ['WL'] },
+                { limitState: 'SLS', dead: 1.0, lateral: 0.7, lateralCases: ['EL'] },
+                { limitState: 'SLS', dead: 1.0, imposed: 0.75, lateral: 0.45, lateralCases: ['WL'] }
+            ],
+            // Strength reduction replaces material factors (Table 21.2.1): tension-controlled flexure,
+            // shear, and tied compression members
+            materialFactors: { concrete: 1, steel: 1 },
+            phi: { flexure: 0.9, shear: 0.75, axial: 0.65 },
+            torsion: false,
+
+            flexure: {
+                phi: 0.9,
+                // Whitney block 0.85f'c over a = β1·c (cl 22.2.2.4)
+                block(fck) {
+                    const beta1 = designCodes.getBeta1(0.8 * fck);
+                    return { k1: 0.85 * 0.8 * beta1, k2: beta1 / 2 };
+                },
+                compressionStress: () => 0.85 * 0.8,
+                designYield: (fy) => fy,
+                ultimateStrain: () => 0.003,
+                steelCurve: () => 'elastic-plastic',
+                // Tension-controlled: εt at least εty + 0.003 (Table 21.2.2)
+                limitingDepthRatio(concrete, steel) {
+                    return 0.003 / (0.003 + steel.fy / steel.Es + 0.003);
+                },
+                strengthReduction(epsilonT, steel) {
+                    const epsilonY = steel.fy / steel.Es;
+                    return Math.min(Math.max(0.65 + 0.25 * (epsilonT - epsilonY) / 0.003, 0.65), 0.9);
+                },
+                compression(xu, fck, section, d) {
+                    return designCodes.getBlockCompression(this.block(fck), xu, fck, section, d);
+                }
+            },
+
+            shear: {
+                // φVc = 0.75 × 0.17λ√f'c bw d for members with at least Av,min (Table 22.5.5.1a), √f'c ≤ 8.3
+                concreteStress: (fck) => 0.75 * 0.17 * Math.min(Math.sqrt(0.8 * fck), 8.3),
+                // Vs is limited to 0.66√f'c bw d (cl 22.5.1.2)
+                maxStress: (fck) => 0.75 * (0.17 + 0.66) * Math.min(Math.sqrt(0.8 * fck), 8.3),
+                linkStress: (fy) => 0.75 * Math.min(fy, 420), // cl 20.2.2.4
+                leverArm: 1,
+                steelShear: (Vu, Vc) => Math.max(Vu - Vc, 0),
+                resistance: (Vc, Vs) => Vc + Vs,
+                minLinkRatio: (fck, fy) => Math.max(0.062 * Math.sqrt(0.8 * fck), 0.35) / Math.min(fy, 420), // cl 9.6.3.4
+                // cl 9.7.6.2.2: d/2 or 600 mm, halved where Vs exceeds 0.33√f'c bw d
+                maxSpacing(d, Vus, b, fck) {
+                    const heavy = Vus / 0.75 > 0.33 * Math.sqrt(0.8 * fck) * b * d;
+                    return heavy ? Math.min(d / 4, 300) : Math.min(d / 2, 600);
+                }
+            },
+
+            detailing: {
+                beamMinSteel: (b, d, fck, fy) => Math.max(0.25 * Math.sqrt(0.8 * fck), 1.4) * b * d / fy, // cl 9.6.1.2
+                // No area limit: cl 9.3.3.1 bounds the tension steel by its strain, checked through c/dt
+                beamMaxSteel: () => Infinity,
+                beamBarSpacing: (dia) => Math.max(dia, 25), // cl 25.2.1: clear gap of the bar size and 25 mm
+                columnSteelLimits: (Ag) => ({ min: 0.01 * Ag, max: 0.08 * Ag }), // cl 10.6.1.1
+                // cl 25.2.3: clear gaps of 1.5 bar diameters and 40 mm; no limit on the bar spacing itself
+                columnBarSpacing: (dia) => ({ minClear: Math.max(1.5 * dia, 40), maxCentre: Infinity }),
+                // cl 25.7.2.2: 10 mm ties round bars to 32 mm, 13 mm above; cl 25.7.2.1: at most 16 diameters
+                // of the smallest bar, 48 tie diameters and the least dimension apart
+                columnTieDia: (largestDia) => largestDia <= 32 ? 10 : 13,
+                columnTieSpacing: (smallestDia, tieDia, least) => Math.min(16 * smallestDia, 48 * tieDia, least),
+                // cl 25.4.2.3: ld = fy·ψg·db/(2.1λ√f'c) for bars to 20 mm and /(1.7λ√f'c) above, at least 300 mm,
+                // with ψg 1.15 for grade 550 and 1.3 above; cl 25.4.9.2: ldc the greater of 0.24fy/√f'c and 0.043fy
+                // bar diameters, at least 200 mm. Both as the equivalent bond stress fy·db/(4ld), √f'c ≤ 8.3.
+                anchorage(fy, fck, dia, compression) {
+                    const root = Math.min(Math.sqrt(0.8 * fck), 8.3);
+                    if (compression) return { stress: fy, bond: Math.min(root / 0.24, 1 / 0.043) / 4, min: () => 200 };
+                    const psiG = fy <= 420 ? 1 : fy <= 550 ? 1.15 : 1.3;
+                    return { stress: fy, bond: (dia <= 20 ? 2.1 : 1.7) * root / (4 * psiG), min: () => 300 };
+                },
+                // cl 25.5.2.1: Class B tension laps of 1.3ld; cl 25.5.5.1: compression laps of 0.071fy·db up to
+                // 420 N/mm² and (0.13fy - 24)db above; both at least 300 mm
+                lapLength(Ld, dia, compression, fy) {
+                    if (!compression) return Math.max(1.3 * Ld, 300);
+                    return Math.max((fy <= 420 ? 0.071 * fy : 0.13 * fy - 24) * dia, 300);
+                },
+                slabMinSteel: (b, h, d, fck, fy) => (fy < 420 ? 0.002 : Math.max(0.0018 * 420 / fy, 0.0014)) * b * h, // cl 24.4.3.2
+                slabMaxSpacing: (d, h) => Math.min(3 * h, 450) // cl 7.7.2.3
+            },
+
+            // φPn,max = 0.65 × 0.80[0.85f'c(Ag - Ast) + fy·Ast] for tied columns (cl 22.4.2.1)
+            column: {
+                axialCapacity: (fck, fy, Ag, Asc) => 0.65 * 0.8 * (0.85 * 0.8 * fck * (Ag - Asc) + Math.min(fy, 550) * Asc),
+                // Whitney block: 0.85f'c down to β1·c, i.e. wherever the strain exceeds εcu(1 - β1)
+                concreteStress(strain, fck, epsilonCu) {
+                    return strain > epsilonCu * (1 - designCodes.getBeta1(0.8 * fck)) ? 0.85 * 0.8 * fck : 0;
+                },
+                pivotStrain: () => null,
+                // Pn,max = 0.80P0 for tied columns, which stands in for a minimum eccentricity
+                maxAxialFactor: 0.8,
+                minEccentricity: () => 0,
+                // The code sets no biaxial method (R22.4 points to Bresler); this is the PCA load contour
+                // with β = 0.65, an exponent of log 0.5 / log β, against φP0
+                crushingLoad: (fck, fy, Ag, Asc) => 0.65 * (0.85 * 0.8 * fck * (Ag - Asc) + Math.min(fy, 550) * Asc),
+                biaxialExponent: () => Math.log(0.5) / Math.log(0.65),
+                // Commentary approximations to the alignment charts, with ψ = ΣKc/ΣKb = β/(1 - β)
+                effectiveLengthFactor(top, bottom, sway) {
+                    const [psiA, psiB] = [top, bottom].map(beta => beta / (1 - beta));
+                    if (!sway) return Math.min(0.7 + 0.05 * (psiA + psiB), 0.85 + 0.05 * Math.min(psiA, psiB), 1);
+                    const psiM = (psiA + psiB) / 2;
+                    return psiM < 2 ? (20 - psiM) / 20 * Math.sqrt(1 + psiM) : 0.9 * Math.sqrt(1 + psiM);
+                },
+                // cl 6.2.5.1: neglected while klu/r ≤ 22 with r = 0.3h. Braced columns may go to 34 + 12M1/M2,
+                // but without the end moments single curvature (M1/M2 = -1) is assumed.
+                // r = 0.25D for circular sections
+                slenderness({ le, h, circular }) {
+                    const ratio = le / ((circular ? 0.25 : 0.3) * h);
+                    return { ratio, limit: 22, slender: ratio > 22, symbol: 'klu/r', factorSymbol: 'δ' };
+                },
+                // cl 6.6.4.5: Mc = δ·M2, δ = Cm/(1 - Pu/0.75Pc) ≥ 1, Pc = π²(EI)eff/(klu)² with (EI)eff = 0.4EcIg/(1 + βdns),
+                // and M2 at least Pu(15 + 0.03h). Cm = 1 as the end moments are not known.
+                balancedStrain: null,
+                secondOrderMoment(M, { Pu, le, h, b, fck, sustainedRatio, sway, circular }) {
+                    const { Ec } = window.materialLibrary.getConcrete(fck);
+                    const Ig = circular ? Math.PI * Math.pow(h, 4) / 64 : b * Math.pow(h, 3) / 12;
+                    const EI = 0.4 * Ec * Ig / (1 + (sway ? 0 : sustainedRatio));
+                    const Pc = Math.PI * Math.PI * EI / (le * le);
+                    const delta = Pu < 0.75 * Pc ? Math.max(1 / (1 - Pu / (0.75 * Pc)), 1) : Infinity;
+                    return { moment: delta * Math.max(M, Pu * (15 + 0.03 * h)), factor: delta };
+                },
+                // cl 10.7.3.1: four bars within circular ties, six within a spiral
+                minCircularBars: (helix) => helix ? 6 : 4,
+                // Spirals: φ from 0.75 for compression-controlled sections (Table 21.2.2), Pn,max = 0.85P0
+                // (cl 22.4.2.1) and ρs ≥ 0.45(Ag/Ach - 1)f'c/fyt (cl 25.7.3.3), with 25 to 75 mm clear
+                // between turns (cl 25.7.3.1) and bars at least 10 mm (cl 25.7.3.2)
+                helix: {
+                    strengthFactor: 1,
+                    maxAxialFactor: 0.85,
+                    strengthReduction(epsilonT, steel) {
+                        const epsilonY = steel.fy / steel.Es;
+                        return Math.min(Math.max(0.75 + 0.15 * (epsilonT - epsilonY) / 0.003, 0.75), 0.9);
+                    },
+                    minRatio: (Ag, Ak, fck, fy) => 0.45 * (Ag / Ak - 1) * 0.8 * fck / Math.min(fy, 700),
+                    pitch: ({ dia }) => ({ min: 25 + dia, max: 75 + dia }),
+                    minDia: () => 10
+                }
+            },
+
+            serviceability: {
+                // Table 24.2.2: L/240 for the total, L/480 after attachment of partitions likely to be damaged
+                deflectionLimits: (L) => ({ total: L / 240, partitions: L / 480 }),
+
+                // Minimum thickness of non-prestressed beams (Table 9.3.1.1) and one-way slabs (Table 7.3.1.1),
+                // scaled by 0.4 + fy/700 for fy other than 420
+                spanDepth({ member = 'beam', support, span, D, fy }) {
+                    const basic = {
+                        beam: { cantilever: 8, 'simply-supported': 16, continuous: 21 },
+                        slab: { cantilever: 10, 'simply-supported': 20, continuous: 28 }
+                    }[member][support];
+                    const fyFactor = fy === 420 ? 1 : 0.4 + fy / 700;
+                    return {
+                        ratio: 'L/h',
+                        actual: span * 1000 / D,
+                        allowable: basic / fyFactor,
+                        factors: `${basic}${fyFactor !== 1 ? ` ÷ ${fyFactor.toFixed(2)}` : ''}`,
+                        applicable: true
+                    };
+                },
+
+                // No crack width is computed: the bar spacing nearest the tension face is limited to
+                // 380(280/fs) - 2.5cc and 300(280/fs), with fs = 2/3 fy (cl 24.3.2)
+                barSpacingLimit(fy, cover) {
+                    const fs = 2 / 3 * fy;
+                    return Math.min(380 * 280 / fs - 2.5 * cover, 300 * 280 / fs);
+                },
+                beamCracking({ b, h, cover, bars, fy }) {
+                    const edge = cover + bars.dia / 2;
+                    const pitch = bars.num > 1 ? (b - 2 * edge) / (bars.num - 1) : b - 2 * edge;
+                    return {
+                        fs: 2 / 3 * fy,
+                        governing: { location: 'soffit between bars', u: edge + pitch / 2, a: h },
+                        kind: 'spacing', label: 's',
+                        value: pitch,
+                        limit: this.barSpacingLimit(fy, cover)
+                    };
+                },
+                slabCracking({ spacing, cover, fy }) {
+                    return { kind: 'spacing', label: 's', value: spacing, limit: this.barSpacingLimit(fy, cover) };
+                }
+            }
+        },
+
+        EC2: {
+            id: 'EC2',
+            name: 'EN 1992-1-1 (EC2)',
+            clauses: {
+                combinations: 'EN 1990 6.4.3, 6.5.3', flexure: 'cl 3.1.7, 6.1', shear: 'cl 6.2', torsion: 'cl 6.3',
+                deflection: 'cl 7.4.1', spanDepth: 'cl 7.4.2', cracking: 'cl 7.3.4', column: 'cl 6.1', slab: 'cl 9.3.1'
+            },
+            combinationNote: 'Enter characteristic actions in each module. Persistent combinations follow EN 1990 eq 6.10 with ψ0 = 0.7 for imposed and 0.6 for wind, the seismic combination eq 6.12b with ψ2 = 0.3.',
+            combinations: [
+                { limitState: 'ULS', dead: 1.35, imposed: 1.5 },
+                { limitState: 'ULS', dead: 1.35, imposed: { LL: 1.5 }, lateral: 0.9, lateralCases: ['WL'] },
+                { limitState: 'ULS', dead: 1.35, imposed: { LL: 1.05 }, lateral: 1.5, lateralCases: ['WL'] },
+                { limitState: 'ULS', dead: 1.0, lateral: 1.5, lateralCases: ['WL'] }, // Favourable permanent action
+                { limitState: 'ULS', dead: 1.0, imposed: { LL: 0.3 }, lateral: 1.0, lateralCases: ['EL'] },
+                { limitState: 'SLS', dead: 1.0, imposed: 1.0 }, // Characteristic
+                { limitState: 'SLS', dead: 1.0, imposed: { LL: 0.7 }, lateral: 1.0, lateralCases: ['WL'] },
+                { limitState: 'SLS', dead: 1.0, imposed: { LL: 0.3 } } // Quasi-permanent
+            ],
+            // Recommended values: γc = 1.5, γs = 1.15, αcc = 1.0 (cl 2.4.2.4, 3.1.6)
+            materialFactors: { concrete: 1.5, steel: 1.15 },
+            torsion: false,
+
+            flexure: {
+                phi: 1,
+                // ηfcd over λx (cl 3.1.7(3)), both reduced above C50/60
+                block(fck) {
+                    const { lambda, eta } = designCodes.getEC2Block(0.8 * fck);
+                    return { k1: lambda * eta * 0.8 / 1.5, k2: lambda / 2 };
+                },
+                compressionStress: (fck) => designCodes.getEC2Block(0.8 * fck).eta * 0.8 / 1.5,
+                designYield: (fy) => fy / 1.15,
+                ultimateStrain: (concrete) => concrete.epsilonCu,
+                steelCurve: () => 'elastic-plastic',
+                // x/d ≤ 0.45 up to C50/60 and 0.35 above, without redistribution (cl 5.6.3(2))
+                limitingDepthRatio: (concrete) => 0.8 * concrete.fck <= 50 ? 0.45 : 0.35,
+                strengthReduction: () => 1,
+                compression(xu, fck, section, d) {
+                    return designCodes.getBlockCompression(this.block(fck), xu, fck, section, d);
+                }
+            },
+
+            shear: {
+                // VRd,c = 0.12k(100ρl·fck)^1/3 bw d, not less than 0.035k^1.5√fck (cl 6.2.2(1))
+                concreteStress(fck, pt, d) {
+                    const fc = 0.8 * fck;
+                    const k = Math.min(1 + Math.sqrt(200 / d), 2);
+                    const rho = Math.min(pt / 100, 0.02);
+                    return Math.max(0.12 * k * Math.cbrt(100 * rho * fc), 0.035 * Math.pow(k, 1.5) * Math.sqrt(fc));
+                },
+                // VRd,max with θ = 45° and z = 0.9d: 0.45ν1·fcd (cl 6.2.3(3))
+                maxStress(fck) {
+                    const fc = 0.8 * fck;
+                    return 0.45 * 0.6 * (1 - fc / 250) * fc / 1.5;
+                },
+                linkStress: (fy) => fy / 1.15,
+                leverArm: 0.9, // z = 0.9d, cot θ = 1
+                // Once links are needed they carry the whole shear (cl 6.2.3(1))
+                steelShear: (Vu, Vc) => Vu > Vc ? Vu : 0,
+                resistance: (Vc, Vs) => Math.max(Vc, Vs),
+                minLinkRatio: (fck, fy) => 0.08 * Math.sqrt(0.8 * fck) / fy, // cl 9.2.2(5)
+                maxSpacing: (d) => 0.75 * d // cl 9.2.2(6)
+            },
+
+            detailing: {
+                // cl 9.2.1.1: 0.26fctm/fyk, at least 0.0013, with fctm = 0.3fck^2/3
+                beamMinSteel: (b, d, fck, fy) => Math.max(0.26 * designCodes.getEC2Fctm(fck) / fy, 0.0013) * b * d,
+                beamMaxSteel: (b, D) => 0.04 * b * D, // cl 9.2.1.1(3): tension and compression steel each
+                beamBarSpacing: (dia) => Math.max(dia, 25), // cl 8.2(2): clear gap of the bar size and 5 mm over the aggregate
+                // cl 9.5.2(2), (3): at least 0.1NEd/fyd and 0.002Ac
+                columnSteelLimits: (Ag, Pu, fy) => ({ min: Math.max(0.1 * Pu / (fy / 1.15), 0.002 * Ag), max: 0.04 * Ag }),
+                // cl 8.2(2): clear gaps of the bar size and 5 mm over the (20 mm) aggregate; no limit on the spacing itself
+                columnBarSpacing: (dia) => ({ minClear: Math.max(dia, 25), maxCentre: Infinity }),
+                // cl 9.5.3: links of a quarter of the largest bar and at least 6 mm, at most 20 diameters of the
+                // smallest bar, the least dimension and 400 mm apart
+                columnTieDia: (largestDia) => Math.max(largestDia / 4, 6),
+                columnTieSpacing: (smallestDia, tieDia, least) => Math.min(20 * smallestDia, least, 400),
+                // cl 8.4.2, 8.4.3: lb,rqd = (φ/4)(σsd/fbd) with σsd = fyd and fbd = 2.25fctd in good bond,
+                // fctd = 0.7fctm/1.5; cl 8.4.4: at least 0.3lb,rqd in tension, 0.6lb,rqd in compression, 10φ and 100 mm
+                anchorage(fy, fck, dia, compression) {
+                    const bond = 2.25 * 0.7 * designCodes.getEC2Fctm(fck) / 1.5;
+                    return { stress: fy / 1.15, bond, min: (basic) => Math.max((compression ? 0.6 : 0.3) * basic, 10 * dia, 100) };
+                },
+                // cl 8.7.3: l0 = α6·lbd with α6 = 1.5 for every bar lapped at one section, at least 15φ and 200 mm
+                lapLength: (Ld, dia) => Math.max(1.5 * Ld, 15 * dia, 200),
+                slabMinSteel: (b, h, d, fck, fy) => Math.max(0.26 * designCodes.getEC2Fctm(fck) / fy, 0.0013) * b * d, // cl 9.3.1.1(1)
+                slabMaxSpacing: (d, h) => Math.min(3 * h, 400) // cl 9.3.1.1(3)
+            },
+
+            // Concentric capacity with the concrete strain held at εc2 = 0.002, so the bars reach at most 400 N/mm²
+            column: {
+                axialCapacity: (fck, fy, Ag, Asc) => 0.8 * fck / 1.5 * (Ag - Asc) + Math.min(fy / 1.15, 400) * Asc,
+                // Parabola-rectangle to fcd at εc2 (cl 3.1.7(1))
+                concreteStress(strain, fck) {
+                    const { epsilonC2, n } = designCodes.getEC2Parabola(0.8 * fck);
+                    return strain <= 0 ? 0 : 0.8 * fck / 1.5 * (1 - Math.pow(1 - Math.min(strain / epsilonC2, 1), n));
+                },
+                // cl 6.1(5): εc2 across the section under pure compression, pivoting as in Fig 6.1
+                pivotStrain: (fck) => designCodes.getEC2Parabola(0.8 * fck).epsilonC2,
+                maxAxialFactor: 1,
+                // cl 6.1(4): e0 = h/30, at least 20 mm
+                minEccentricity: (L, h) => Math.max(h / 30, 20),
+                // cl 5.8.9(4): NRd = Ac·fcd + As·fyd, and a = 1.0, 1.5 and 2.0 at NEd/NRd = 0.1, 0.7 and 1.0
+                crushingLoad: (fck, fy, Ag, Asc) => 0.8 * fck / 1.5 * (Ag - Asc) + fy / 1.15 * Asc,
+                biaxialExponent: (ratio) => Math.min(Math.max(ratio <= 0.7 ? 1 + (ratio - 0.1) / 1.2 : 1.5 + (ratio - 0.7) / 0.6, 1), 2),
+                // cl 5.8.3.2 eq 5.15 and 5.16 with the relative flexibilities k = β/(1 - β), at least 0.1 (cl 5.8.3.2(3))
+                effectiveLengthFactor(top, bottom, sway) {
+                    const [b1, b2] = [top, bottom].map(beta => Math.max(beta, 1 / 11));
+                    if (!sway) return 0.5 * Math.sqrt((1 + b1 / (0.45 + 0.55 * b1)) * (1 + b2 / (0.45 + 0.55 * b2)));
+                    const sum = b1 + b2 - 2 * b1 * b2;
+                    return Math.max(Math.sqrt(1 + (sum > 0 ? 10 * b1 * b2 / sum : Infinity)), (1 + b1) * (1 + b2));
+                },
+                // cl 5.8.3.1: λ = l0/i against λlim = 20·A·B·C/√n, with the default A = 0.7, B = 1.1 and C = 0.7
+                // i = D/4 for circular sections
+                slenderness({ le, h, Pu, fck, Ag, circular }) {
+                    const n = Pu / (Ag * 0.8 * fck / 1.5);
+                    const ratio = le / (circular ? h / 4 : h / Math.sqrt(12));
+                    const limit = n > 0 ? 20 * 0.7 * 1.1 * 0.7 / Math.sqrt(n) : Infinity;
+                    return { ratio, limit, slender: ratio >= limit, symbol: 'λ', factorSymbol: 'Kr' };
+                },
+                // cl 5.8.8 nominal curvature: M2 = NEd·e2, e2 = (1/r)·l0²/10 and 1/r = Kr·Kφ·εyd/(0.45d), with
+                // Kr = (nu - n)/(nu - 0.4) ≤ 1 and Kφ = 1 + β·φef, φef being the creep coefficient over the
+                // sustained share of the load
+                balancedStrain: null,
+                secondOrderMoment(M, { Pu, le, h, d, Ag, Asc, fck, fy, creep, sustainedRatio, circular }) {
+                    const fcd = 0.8 * fck / 1.5;
+                    const fyd = fy / 1.15;
+                    const n = Pu / (Ag * fcd);
+                    const nu = 1 + Asc * fyd / (Ag * fcd);
+                    const Kr = Math.min(Math.max((nu - n) / (nu - 0.4), 0), 1);
+                    const lambda = le / (circular ? h / 4 : h / Math.sqrt(12));
+                    const Kphi = Math.max(1 + (0.35 + 0.8 * fck / 200 - lambda / 150) * creep * sustainedRatio, 1);
+                    const curvature = Kr * Kphi * fyd / window.materialLibrary.getSteel(fy).Es / (0.45 * d);
+                    return { moment: M + Pu * curvature * le * le / 10, factor: Kr };
+                },
+                // cl 9.5.2(4): four bars at least in a circular column
+                minCircularBars: () => 4,
+                // No enhancement for a helix, which is detailed as links (cl 9.5.3): spacing up to the least of
+                // 20 main bar diameters, the column size and 400 mm, bars at least 6 mm and a quarter of the main bars
+                helix: {
+                    strengthFactor: 1,
+                    minRatio: () => 0,
+                    pitch: ({ mainDia, D }) => ({ min: 0, max: Math.min(20 * mainDia, D, 400) }),
+                    minDia: (mainDia) => Math.max(6, mainDia / 4)
+                }
+            },
+
+            serviceability: {
+                // cl 7.4.1(4), (5): L/250 under quasi-permanent loads, L/500 after construction
+                deflectionLimits: (L) => ({ total: L / 250, partitions: L / 500 }),
+                // Table 7.1N: XC1, XC2-XC4, XD/XS
+                crackWidthLimits: { moderate: 0.4, severe: 0.3, extreme: 0.3 },
+
+                // Eq 7.16 with K for the support case, 310/σs = 500/(fyk·As,req/As,prov) ≤ 1.5,
+                // 0.8 for flanges wider than 3bw and 7/L beyond 7 m
+                spanDepth({ support, span, b, bf = b, d, Ast_req, Ast_prov, Asc = 0, fck, fy }) {
+                    const K = { cantilever: 0.4, 'simply-supported': 1.0, continuous: 1.3 }[support];
+                    const fc = Math.sqrt(0.8 * fck);
+                    const rho0 = fc * 1e-3;
+                    const rho = Ast_req / (b * d);
+                    const rhoC = Asc / (b * d);
+                    const basic = rho <= rho0
+                        ? 11 + 1.5 * fc * rho0 / rho + 3.2 * fc * Math.pow(Math.max(rho0 / rho - 1, 0), 1.5)
+                        : 11 + 1.5 * fc * rho0 / (rho - rhoC) + fc * Math.sqrt(rhoC / rho0) / 12;
+                    const stressFactor = Math.min(500 / (fy * Ast_req / Ast_prov), 1.5);
+                    const flangeFactor = bf > 3 * b ? 0.8 : 1;
+                    const spanFactor = span > 7 && support !== 'cantilever' ? 7 / span : 1;
+                    return {
+                        ratio: 'L/d',
+                        actual: span * 1000 / d,
+                        allowable: K * basic * stressFactor * flangeFactor * spanFactor,
+                        factors: `K ${K} × ${basic.toFixed(1)} × ${stressFactor.toFixed(2)}`
+                            + `${flangeFactor < 1 ? ' × 0.8' : ''}${spanFactor < 1 ? ` × ${spanFactor.toFixed(2)}` : ''}`,
+                        applicable: true
+                    };
+                },
+
+                // wk = sr,max(εsm - εcm) at the soffit, long-term kt = 0.4 (cl 7.3.4)
+                crackWidth({ M, b, bc = b, h, cover, bars, Asc = 0, fck, fy }) {
+                    const { Es } = window.materialLibrary.getSteel(fy);
+                    const alphaE = Es / window.materialLibrary.getConcrete(fck).Ec;
+                    const As = bars.num * Math.PI * bars.dia * bars.dia / 4;
+                    const edge = cover + bars.dia / 2;
+                    const d = h - edge;
+                    const { x, Icr } = window.calculationEngine.getCrackedSection(bc, d, As, alphaE, Asc, edge);
+                    const fs = alphaE * M * (d - x) / Icr;
+                    const hEff = Math.min(2.5 * (h - d), (h - x) / 3, h / 2);
+                    const rhoEff = As / (b * hEff);
+                    const fctm = designCodes.getEC2Fctm(fck);
+                    const strain = Math.max((fs - 0.4 * fctm / rhoEff * (1 + alphaE * rhoEff)) / Es, 0.6 * fs / Es);
+                    const pitch = bars.num > 1 ? (b - 2 * edge) / (bars.num - 1) : b;
+                    // Bars further apart than 5(c + φ/2) crack as if unreinforced (eq 7.14)
+                    const srMax = pitch > 5 * (cover + bars.dia / 2)
+                        ? 1.3 * (h - x)
+                        : 3.4 * cover + 0.425 * 0.8 * 0.5 * bars.dia / rhoEff;
+                    return { fs, x, d, width: srMax * strain, srMax };
+                },
+                beamCracking(params) {
+                    const crack = this.crackWidth(params);
+                    return {
+                        ...crack,
+                        governing: { location: 'soffit', u: params.b / 2, a: params.h },
+                        kind: 'width', label: 'wk',
+                        value: crack.width,
+                        limit: this.crackWidthLimits[params.exposure] || 0.3
+                    };
+                },
+                slabCracking({ spacing, barDia, cover, thickness, moment, fck, fy, exposure }) {
+                    const bars = { num: Math.max(Math.round(1000 / spacing), 1), dia: barDia };
+                    const crack = this.crackWidth({ M: moment, b: 1000, h: thickness, cover, bars, fck, fy });
+                    return { kind: 'width', label: 'wk', value: crack.width, limit: this.crackWidthLimits[exposure] || 0.3 };
+                }
+            }
+        }
+    },
+
+    // IS 456 Table 28 end conditions with the recommended effective length factors, used for every code
+    endConditions: [
+        { id: 'a', label: 'Both ends held and restrained in rotation', factor: 0.65 },
+        { id: 'b', label: 'Both ends held, one restrained in rotation', factor: 0.8 },
+        { id: 'c', label: 'Both ends held, free to rotate', factor: 1.0 },
+        { id: 'd', label: 'One end fixed, the other restrained in rotation but free to sway', factor: 1.2 },
+        { id: 'e', label: 'One end fixed, the other partially restrained and free to sway', factor: 1.5 },
+        { id: 'f', label: 'One end held but free to rotate, the other restrained in rotation but free to sway', factor: 2.0 },
+        { id: 'g', label: 'One end fixed, the other free', factor: 2.0 }
+    ],
+
+    // IS 456 Table 26 bending moment coefficients of two-way panels with torsion steel at the corners,
+    // used for every code. αx on the short span is tabulated against ly/lx; αy on the long span holds
+    // at every ratio. Negative moments act at the continuous edges, so they are null where every edge
+    // they act on is discontinuous. short and long count the discontinuous edges of each length.
+    slabPanels: {
+        ratios: [1.0, 1.1, 1.2, 1.3, 1.4, 1.5, 1.75, 2.0],
+        cases: [
+            {
+                id: 'interior', label: 'Interior panel', discontinuous: { short: 0, long: 0 },
+                negativeX: [0.032, 0.037, 0.043, 0.047, 0.051, 0.053, 0.060, 0.065], negativeY: 0.032,
+                positiveX: [0.024, 0.028, 0.032, 0.036, 0.039, 0.041, 0.045, 0.049], positiveY: 0.024
+            },
+            {
+                id: 'one-short', label: 'One short edge discontinuous', discontinuous: { short: 1, long: 0 },
+                negativeX: [0.037, 0.043, 0.048, 0.051, 0.055, 0.057, 0.064, 0.068], negativeY: 0.037,
+                positiveX: [0.028, 0.032, 0.036, 0.039, 0.041, 0.044, 0.048, 0.052], positiveY: 0.028
+            },
+            {
+                id: 'one-long', label: 'One long edge discontinuous', discontinuous: { short: 0, long: 1 },
+                negativeX: [0.037, 0.044, 0.052, 0.057, 0.063, 0.067, 0.077, 0.085], negativeY: 0.037,
+                positiveX: [0.028, 0.033, 0.039, 0.044, 0.047, 0.051, 0.059, 0.065], positiveY: 0.028
+            },
+            {
+                id: 'two-adjacent', label: 'Two adjacent edges discontinuous (corner)', discontinuous: { short: 1, long: 1 },
+                negativeX: [0.047, 0.053, 0.060, 0.065, 0.071, 0.075, 0.084, 0.091], negativeY: 0.047,
+                positiveX: [0.035, 0.040, 0.045, 0.049, 0.053, 0.056, 0.063, 0.069], positiveY: 0.035
+            },
+            {
+                id: 'two-short', label: 'Two short edges discontinuous', discontinuous: { short: 2, long: 0 },
+                negativeX: [0.045, 0.049, 0.052, 0.056, 0.059, 0.060, 0.065, 0.069], negativeY: null,
+                positiveX: [0.035, 0.037, 0.040, 0.043, 0.044, 0.045, 0.049, 0.052], positiveY: 0.035
+            },
+            {
+                id: 'two-long', label: 'Two long edges discontinuous', discontinuous: { short: 0, long: 2 },
+                negativeX: null, negativeY: 0.045,
+                positiveX: [0.035, 0.043, 0.051, 0.057, 0.063, 0.068, 0.080, 0.088], positiveY: 0.035
+            },
+            {
+                id: 'three-long-continuous', label: 'Three edges discontinuous (one long edge continuous)', discontinuous: { short: 2, long: 1 },
+                negativeX: [0.057, 0.064, 0.071, 0.076, 0.080, 0.084, 0.091, 0.097], negativeY: null,
+                positiveX: [0.043, 0.048, 0.053, 0.057, 0.060, 0.064, 0.069, 0.073], positiveY: 0.043
+            },
+            {
+                id: 'three-short-continuous', label: 'Three edges discontinuous (one short edge continuous)', discontinuous: { short: 1, long: 2 },
+                negativeX: null, negativeY: 0.057,
+                positiveX: [0.043, 0.051, 0.059, 0.065, 0.071, 0.076, 0.087, 0.096], positiveY: 0.043
+            },
+            {
+                id: 'four-edges', label: 'Four edges discontinuous', discontinuous: { short: 2, long: 2 },
+                negativeX: null, negativeY: null,
+                positiveX: [0.056, 0.064, 0.072, 0.079, 0.085, 0.089, 0.100, 0.107], positiveY: 0.056
+            }
+        ]
+    },
+
+    // IS 456 Tables 12 and 13 for continuous beams and one-way slabs over three or more roughly equal
+    // spans under uniform load, used for every code. Moments are α·w·l² (hogging negative) and shears
+    // β·w·l, with the imposed load taken as not fixed.
+    continuousCoefficients: {
+        moment: {
+            endSpan: { dead: 1 / 12, imposed: 1 / 10 },
+            nearEndSupport: { dead: -1 / 10, imposed: -1 / 9 },
+            interiorSpan: { dead: 1 / 16, imposed: 1 / 12 },
+            interiorSupport: { dead: -1 / 12, imposed: -1 / 9 }
+        },
+        shear: {
+            endSupport: { dead: 0.4, imposed: 0.45 },
+            nearEndOuter: { dead: 0.6, imposed: 0.6 },
+            nearEndInner: { dead: 0.55, imposed: 0.6 },
+            interiorSupport: { dead: 0.5, imposed: 0.6 }
+        }
+    },
+
+    activeId: 'IS456',
+
+    getActive() {
+        return this.codes[this.activeId];
+    },
+
+    setActive(id) {
+        if (!this.codes[id]) throw new Error(`Unknown design code: ${id}`);
+        this.activeId = id;
+        return this.codes[id];
+    },
+
+    list() {
+        return Object.values(this.codes);
+    },
+
+    // Partial safety factors on the materials, or the strength reduction factors of ACI 318
+    describeFactors(code = this.getActive()) {
+        return code.phi
+            ? `φ = ${code.phi.flexure} flexure, ${code.phi.shear} shear, ${code.phi.axial} axial`
+            : `γc = ${code.materialFactors.concrete}, γs = ${code.materialFactors.steel}`;
+    },
+
+    // Uniform block of k1·fck over the block depth 2k2·xu (k1/2k2·fck wide), with the flange of a
+    // T-beam taken over its full thickness where the block reaches the web
+    getBlockCompression({ k1, k2 }, xu, fck, { bw, bf, Df }, d) {
+        const stress = k1 * fck / (2 * k2);
+        const a = 2 * k2 * xu;
+        if (a <= Df || bf === bw) {
+            const C = stress * bf * a;
+            return { C, M: C * (d - a / 2) };
+        }
+        const web = stress * bw * a;
+        const outstands = stress * (bf - bw) * Df;
+        return { C: web + outstands, M: web * (d - a / 2) + outstands * (d - Df / 2) };
+    },
+
+    // ACI 318 cl 22.2.2.4.3: β1 = 0.85 up to 28 N/mm², falling 0.05 per 7 N/mm² to 0.65
+    getBeta1(fc) {
+        return Math.min(Math.max(0.85 - 0.05 * (fc - 28) / 7, 0.65), 0.85);
+    },
+
+    // EC2 eq 3.19-3.22 on the cylinder strength
+    getEC2Block(fc) {
+        return fc <= 50 ? { lambda: 0.8, eta: 1 } : { lambda: 0.8 - (fc - 50) / 400, eta: 1 - (fc - 50) / 200 };
+    },
+
+    // EC2 Table 3.1 parabola strain εc2 and exponent n on the cylinder strength
+    getEC2Parabola(fc) {
+        return fc <= 50
+            ? { epsilonC2: 0.002, n: 2 }
+            : { epsilonC2: (2 + 0.085 * Math.pow(fc - 50, 0.53)) / 1000, n: 1.4 + 23.4 * Math.pow((90 - fc) / 100, 4) };
+    },
+
+    // EC2 Table 3.1 mean tensile strength from the cube grade
+    getEC2Fctm(fck) {
+        const fc = 0.8 * fck;
+        return fc <= 50 ? 0.3 * Math.pow(fc, 2 / 3) : 2.12 * Math.log(1 + (fc + 8) / 10);
+    }
+};
+
+window.designCodes = designCodes;
@@ -0,0 +1,260 @@
+// 2D plane frame analysis - direct stiffness method
+// Units: coordinates in m, forces in kN, moments in kNm, sections in mm.
+// Member loads act perpendicular to the member, positive towards the right-hand
+// side looking from node i to node j (downward for a beam drawn left to right).
+const frameAnalysis = {
+    // Restrained [ux, uy, rz] for each support type
+    supportRestraints: {
+        free: [false, false, false],
+        roller: [false, true, false],
+        pinned: [true, true, false],
+        fixed: [true, true, true]
+    },
+
+    analyze(model) {
+        const engine = window.calculationEngine;
+        const { nodes, members } = model;
+        const E = window.materialLibrary.getConcrete(model.fck).Ec;
+        const nodeIndex = new Map(nodes.map((node, i) => [node.id, i]));
+        const nDof = 3 * nodes.length;
+
+        if (members.length === 0) {
+            throw new Error('Frame has no members');
+        }
+
+        const K = Array.from({ length: nDof }, () => new Array(nDof).fill(0));
+        const F = new Array(nDof).fill(0); // Assembled fixed-end forces
+        const P = new Array(nDof).fill(0); // Applied nodal loads
+
+        const elements = members.map(member => {
+            const i = nodeIndex.get(member.i);
+            const j = nodeIndex.get(member.j);
+            if (i === undefined || j === undefined || i === j) {
+                throw new Error(`Member ${member.id} has invalid end nodes`);
+            }
+
+            const dx = nodes[j].x - nodes[i].x;
+            const dy = nodes[j].y - nodes[i].y;
+            const L = Math.hypot(dx, dy);
+            if (L === 0) throw new Error(`Member ${member.id} has zero length`);
+
+            const EA = E * member.b * member.D / 1000; // kN
+            const EI = E * member.b * Math.pow(member.D, 3) / 12 * 1e-9; // kN·m²
+            const loads = (model.memberLoads || []).filter(load => load.member === member.id);
+            const terms = engine.buildLoadTerms(loads, L);
+
+            const kLocal = this.getLocalStiffness(EA, EI, L);
+            const fefLocal = this.getFixedEndForces(terms, L, EI);
+            const released = [member.releaseStart ? 2 : null, member.releaseEnd ? 5 : null]
+                .filter(dof => dof !== null);
+            const { k, f } = this.condenseReleases(kLocal, fefLocal, released);
+
+            const T = this.getTransformation(dx / L, dy / L);
+            const kGlobal = this.multiply(this.transpose(T), this.multiply(k, T));
+            const fGlobal = this.multiplyVector(this.transpose(T), f);
+            const dofs = [3 * i, 3 * i + 1, 3 * i + 2, 3 * j, 3 * j + 1, 3 * j + 2];
+
+            dofs.forEach((p, r) => {
+                F[p] += fGlobal[r];
+                dofs.forEach((q, c) => { K[p][q] += kGlobal[r][c]; });
+            });
+
+            return { member, L, EI, terms, kLocal, fefLocal, released, T, dofs };
+        });
+
+        (model.nodalLoads || []).forEach(load => {
+            const i = nodeIndex.get(load.node);
+            if (i === undefined) return;
+            P[3 * i] += load.Fx || 0;
+            P[3 * i + 1] += load.Fy || 0;
+            P[3 * i + 2] += load.Mz || 0;
+        });
+
+        // Supported DOFs, plus rotations no member can resist (every member released there)
+        const restrained = new Set();
+        nodes.forEach((node, i) => {
+            (this.supportRestraints[node.support] || this.supportRestraints.free)
+                .forEach((isRestrained, r) => { if (isRestrained) restrained.add(3 * i + r); });
+        });
+        for (let dof = 0; dof < nDof; dof++) {
+            if (Math.abs(K[dof][dof]) < 1e-9) restrained.add(dof);
+        }
+
+        const free = [...Array(nDof).keys()].filter(dof => !restrained.has(dof));
+        const solution = free.length
+            ? engine.solveLinearSystem(free.map(p => free.map(q => K[p][q])), free.map(p => P[p] - F[p]))
+            : [];
+
+        const displacements = new Array(nDof).fill(0);
+        free.forEach((dof, n) => { displacements[dof] = solution[n]; });
+
+        const reactions = nodes
+            .map((node, i) => ({ node, i }))
+            .filter(({ node }) => node.support && node.support !== 'free')
+            .map(({ node, i }) => {
+                const [Rx, Ry, Mz] = [0, 1, 2].map(r => {
+                    const dof = 3 * i + r;
+                    const value = K[dof].reduce((sum, kij, q) => sum + kij * displacements[q], F[dof] - P[dof]);
+                    return this.supportRestraints[node.support][r] ? value : 0;
+                });
+                return { node: node.id, Rx, Ry, Mz };
+            });
+
+        return {
+            displacements: nodes.map((node, i) => ({
+                node: node.id,
+                ux: displacements[3 * i] * 1000, // mm
+                uy: displacements[3 * i + 1] * 1000, // mm
+                rz: displacements[3 * i + 2] // rad
+            })),
+            reactions,
+            members: elements.map(element => this.getMemberResults(element, displacements))
+        };
+    },
+
+    // Member end forces [Ni, Vi, Mi, Nj, Vj, Mj] in local axes and N/V/M diagrams
+    getMemberResults(element, displacements) {
+        const engine = window.calculationEngine;
+        const { member, L, EI, terms, kLocal, fefLocal, released, T, dofs } = element;
+        const d = this.multiplyVector(T, dofs.map(dof => displacements[dof]));
+
+        // Recover the member end rotations at released ends (zero end moment there)
+        if (released.length) {
+            const others = [0, 1, 2, 3, 4, 5].filter(dof => !released.includes(dof));
+            const A = released.map(r => released.map(c => kLocal[r][c]));
+            const b = released.map(r => -fefLocal[r] - others.reduce((sum, c) => sum + kLocal[r][c] * d[c], 0));
+            engine.solveLinearSystem(A, b).forEach((value, n) => { d[released[n]] = value; });
+        }
+
+        const endForces = kLocal.map((row, r) => row.reduce((sum, kij, c) => sum + kij * d[c], fefLocal[r]));
+
+        // Same sign convention as the beam solver: sagging and downward (right-hand side) positive
+        const span = {
+            L, EI, terms,
+            start: { V0: endForces[1], M0: -endForces[2], theta0: -d[2], y0: -d[1] }
+        };
+        const N = -endForces[0]; // Tension positive
+        const chord = (x) => -d[1] + (d[1] - d[4]) * x / L;
+        const diagram = engine.getSpanStations(span, 20).map(station => ({
+            x: station.x,
+            N,
+            V: station.V,
+            M: station.M,
+            y: station.y - chord(station.x) // Deflection relative to the member chord
+        }));
+        const summary = engine.summarizeBeamSpan(span, 20);
+
+        return {
+            id: member.id,
+            L,
+            b: member.b,
+            D: member.D,
+            endForces: {
+                Ni: endForces[0], Vi: endForces[1], Mi: endForces[2],
+                Nj: endForces[3], Vj: endForces[4], Mj: endForces[5]
+            },
+            N,
+            maxShear: summary.maxShear,
+            maxSagging: summary.maxSagging,
+            maxHogging: summary.maxHogging,
+            maxMoment: summary.maxMoment,
+            maxDeflection: Math.max(...diagram.map(station => Math.abs(station.y))) * 1000, // mm
+            diagram
+        };
+    },
+
+    getLocalStiffness(EA, EI, L) {
+        const a = EA / L;
+        const k1 = 12 * EI / Math.pow(L, 3);
+        const k2 = 6 * EI / (L * L);
+        const k3 = 4 * EI / L;
+        const k4 = 2 * EI / L;
+        return [
+            [a, 0, 0, -a, 0, 0],
+            [0, k1, k2, 0, -k1, k2],
+            [0, k2, k3, 0, -k2, k4],
+            [-a, 0, 0, a, 0, 0],
+            [0, -k1, -k2, 0, k1, -k2],
+            [0, k2, k4, 0, -k2, k3]
+        ];
+    },
+
+    // Fixed-end forces in local axes from the transverse member loads
+    getFixedEndForces(terms, L, EI) {
+        const engine = window.calculationEngine;
+        const span = engine.solveBeamSpan(L, EI, terms, engine.getBeamSupportConditions('fixed', L));
+        const start = engine.getSpanResponse(span, 0);
+        const end = engine.getSpanResponse(span, L, true);
+        return [0, start.V, -start.M, 0, -end.V, end.M];
+    },
+
+    // Static condensation of released (hinged) member-end rotations
+    condenseReleases(kLocal, fefLocal, released) {
+        let k = kLocal.map(row => [...row]);
+        let f = [...fefLocal];
+
+        released.forEach(r => {
+            const krr = k[r][r];
+            const kc = k.map(row => row[r]);
+            const fr = f[r];
+            k = k.map((row, i) => row.map((kij, j) => kij - kc[i] * k[r][j] / krr));
+            f = f.map((fi, i) => fi - kc[i] * fr / krr);
+        });
+
+        return { k, f };
+    },
+
+    getTransformation(c, s) {
+        return [
+            [c, s, 0, 0, 0, 0],
+            [-s, c, 0, 0, 0, 0],
+            [0, 0, 1, 0, 0, 0],
+            [0, 0, 0, c, s, 0],
+            [0, 0, 0, -s, c, 0],
+            [0, 0, 0, 0, 0, 1]
+        ];
+    },
+
+    transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    },
+
+    multiply(A, B) {
+        return A.map(row => B[0].map((_, j) => row.reduce((sum, aik, k) => sum + aik * B[k][j], 0)));
+    },
+
+    multiplyVector(A, v) {
+        return A.map(row => row.reduce((sum, aij, j) => sum + aij * v[j], 0));
+    },
+
+    // Regular portal / multi-storey frame: fixed bases, columns then beams per storey
+    generatePortalFrame({ bays, storeys, bayWidth, storeyHeight, column, beam }) {
+        const nodes = [];
+        const members = [];
+        const nodeId = (col, level) => level * (bays + 1) + col + 1;
+
+        for (let level = 0; level <= storeys; level++) {
+            for (let col = 0; col <= bays; col++) {
+                nodes.push({
+                    id: nodeId(col, level),
+                    x: col * bayWidth,
+                    y: level * storeyHeight,
+                    support: level === 0 ? 'fixed' : 'free'
+                });
+            }
+        }
+
+        for (let level = 1; level <= storeys; level++) {
+            for (let col = 0; col <= bays; col++) {
+                members.push({ id: members.length + 1, i: nodeId(col, level - 1), j: nodeId(col, level), ...column });
+            }
+            for (let col = 0; col < bays; col++) {
+                members.push({ id: members.length + 1, i: nodeId(col, level), j: nodeId(col + 1, level), ...beam });
+            }
+        }
+
+        return { nodes, members };
+    }
+};
+
+window.frameAnalysis = frameAnalysis;
@@ -0,0 +1,104 @@
+// Load cases and combinations - load factors from the active design code (IS 456:2000 Table 18 by default)
+// Loads are characteristic values per IS 875. Wind (WL) and earthquake (EL) act
+// in either direction, so each combination containing them is listed for both signs.
+const loadCombinations = {
+    loadCases: [
+        { id: 'DL', name: 'Dead Load' },
+        { id: 'LL', name: 'Live Load' },
+        { id: 'RLL', name: 'Roof Live Load' },
+        { id: 'WL', name: 'Wind Load' },
+        { id: 'EL', name: 'Earthquake Load' }
+    ],
+
+    // Imposed loads (LL and roof LL) share one factor unless the code factors them separately,
+    // WL and EL never act together
+    imposedCases: ['LL', 'RLL'],
+    lateralCases: ['WL', 'EL'],
+
+    // Combinations built so far, by design code
+    allCombinations: {},
+
+    // Rows of the active code: factors on dead, imposed and lateral loads. imposed is one factor or
+    // one per case, e.g. { LL: 1.6, RLL: 0.5 }; lateralCases limits a row to wind or to earthquake.
+    getDefinitions() {
+        return window.designCodes.getActive().combinations;
+    },
+
+    // Every combination with factors per load case, e.g. { id: 'ULS4', label: '1.5DL + 1.5WL', factors }
+    getAllCombinations() {
+        const codeId = window.designCodes.activeId;
+        if (this.allCombinations[codeId]) return this.allCombinations[codeId];
+
+        const counters = { ULS: 0, SLS: 0 };
+        this.allCombinations[codeId] = this.getDefinitions().flatMap(definition => {
+            const lateralVariants = definition.lateral
+                ? (definition.lateralCases || this.lateralCases).flatMap(lateralCase => [1, -1].map(sign => ({ lateralCase, sign })))
+                : [null];
+
+            return lateralVariants.map(variant => {
+                const factors = { DL: definition.dead };
+                if (typeof definition.imposed === 'number') {
+                    this.imposedCases.forEach(loadCase => { factors[loadCase] = definition.imposed; });
+                } else if (definition.imposed) {
+                    Object.assign(factors, definition.imposed);
+                }
+                if (variant) {
+                    factors[variant.lateralCase] = variant.sign * definition.lateral;
+                }
+                const id = `${definition.limitState}${++counters[definition.limitState]}`;
+                return { id, limitState: definition.limitState, label: this.describe(factors), factors };
+            });
+        });
+        return this.allCombinations[codeId];
+    },
+
+    // Combinations of one limit state that are not switched off in the enabled map
+    getCombinations(limitState, enabled = {}) {
+        return this.getAllCombinations()
+            .filter(combination => combination.limitState === limitState && enabled[combination.id] !== false);
+    },
+
+    describe(factors) {
+        return Object.keys(factors).map((loadCase, i) => {
+            const factor = factors[loadCase];
+            const sign = factor < 0 ? '- ' : (i > 0 ? '+ ' : '');
+            return `${sign}${Math.abs(factor) === 1 ? '' : Math.abs(factor)}${loadCase}`;
+        }).join(' ');
+    },
+
+    getFactor(combination, loadCase) {
+        return combination.factors[loadCase] || 0;
+    },
+
+    // Factored sum of one quantity given per load case, e.g. { DL: 600, LL: 400 }
+    combine(values, combination) {
+        return Object.keys(values)
+            .reduce((sum, loadCase) => sum + this.getFactor(combination, loadCase) * (values[loadCase] || 0), 0);
+    },
+
+    // Scale the given fields of each load by its case factor; loads with a zero factor drop out
+    factorLoads(loads, combination, fields = ['magnitude', 'magnitude2']) {
+        return loads
+            .map(load => ({ load, factor: this.getFactor(combination, load.loadCase || 'DL') }))
+            .filter(({ factor }) => factor !== 0)
+            .map(({ load, factor }) => {
+                const factored = { ...load };
+                fields.forEach(field => {
+                    if (typeof load[field] === 'number') factored[field] = factor * load[field];
+                });
+                return factored;
+            });
+    },
+
+    // Evaluate every combination and keep the one with the largest score
+    findGoverning(combinations, evaluate, score) {
+        return combinations.reduce((governing, combination) => {
+            const result = evaluate(combination);
+            if (result === null) return governing;
+            const value = score(result);
+            return !governing || value > governing.score ? { combination, result, score: value } : governing;
+        }, null);
+    }
+};
+
+window.loadCombinations = loadCombinations;
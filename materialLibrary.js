@@ -0,0 +1,108 @@
+// Material library - concrete and reinforcement grades and the properties every module designs with.
+// Grades are looked up by characteristic strength (fck or fy in N/mm²), so any strength resolves to a
+// material: a saved custom material first, then the IS 456 properties derived for that strength.
+const materialLibrary = {
+    concreteGrades: [15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80],
+
+    // Fe250 is mild steel with a definite yield point, the others are cold-worked (IS 1786)
+    steelGrades: [
+        { fy: 250, curve: 'mild' },
+        { fy: 415, curve: 'cold-worked' },
+        { fy: 500, curve: 'cold-worked' },
+        { fy: 550, curve: 'cold-worked' },
+        { fy: 600, curve: 'cold-worked' }
+    ],
+
+    // Design stress-strain curve of cold-worked bars (IS 456 Fig 23A, SP-16 Table A):
+    // inelastic strain at fractions of the design yield stress 0.87fy
+    coldWorkedCurve: {
+        stress: [0.8, 0.85, 0.9, 0.95, 0.975, 1.0],
+        inelastic: [0, 0.0001, 0.0003, 0.0007, 0.001, 0.002]
+    },
+
+    // Saved by the user; stored in the project state so they travel with exported projects
+    custom: { concrete: [], steel: [] },
+
+    // Ec = 5000√fck (cl 6.2.3.1), fcr = 0.7√fck (cl 6.2.2), RCC unit weight 25 kN/m³ (IS 875 Part 1).
+    // IS 456 stops at εcu = 0.0035; above M60 it falls as in EC2 Table 3.1 on the cylinder strength 0.8fck.
+    describeConcrete(fck, overrides = {}) {
+        const cylinder = 0.8 * fck;
+        return {
+            name: `M${fck}`,
+            fck,
+            Ec: 5000 * Math.sqrt(fck),
+            fcr: 0.7 * Math.sqrt(fck),
+            epsilonCu: cylinder > 50 ? (2.6 + 35 * Math.pow((90 - cylinder) / 100, 4)) / 1000 : 0.0035,
+            density: 25,
+            custom: false,
+            ...overrides
+        };
+    },
+
+    describeSteel(fy, overrides = {}) {
+        const standard = this.steelGrades.find(grade => grade.fy === fy);
+        return {
+            name: `Fe${fy}`,
+            fy,
+            Es: 200000,
+            curve: standard ? standard.curve : (fy <= 250 ? 'mild' : 'cold-worked'),
+            custom: false,
+            ...overrides
+        };
+    },
+
+    getConcrete(fck) {
+        return this.custom.concrete.find(material => material.fck === Number(fck)) || this.describeConcrete(Number(fck));
+    },
+
+    getSteel(fy) {
+        return this.custom.steel.find(material => material.fy === Number(fy)) || this.describeSteel(Number(fy));
+    },
+
+    // Standard grades, with custom materials replacing the grade of the same strength, by strength
+    listConcrete() {
+        const strengths = new Set([...this.concreteGrades, ...this.custom.concrete.map(material => material.fck)]);
+        return [...strengths].sort((a, b) => a - b).map(fck => this.getConcrete(fck));
+    },
+
+    listSteel() {
+        const strengths = new Set([...this.steelGrades.map(grade => grade.fy), ...this.custom.steel.map(material => material.fy)]);
+        return [...strengths].sort((a, b) => a - b).map(fy => this.getSteel(fy));
+    },
+
+    // Unset properties are derived from the strength as for a standard grade
+    saveCustomConcrete({ name, fck, Ec, fcr, density }) {
+        if (!(fck > 0 && fck <= 120)) throw new Error('Custom concrete needs fck between 0 and 120 N/mm²');
+        if ([Ec, fcr, density].some(value => value !== undefined && !(value > 0))) {
+            throw new Error('Custom concrete properties must be positive');
+        }
+        const material = this.describeConcrete(fck, this.definedOnly({ name: name || `M${fck} (custom)`, Ec, fcr, density, custom: true }));
+        this.custom.concrete = [...this.custom.concrete.filter(existing => existing.fck !== fck), material];
+        return material;
+    },
+
+    saveCustomSteel({ name, fy, Es, curve }) {
+        if (!(fy > 0 && fy <= 1000)) throw new Error('Custom steel needs fy between 0 and 1000 N/mm²');
+        if (Es !== undefined && !(Es > 0)) throw new Error('Custom steel Es must be positive');
+        const material = this.describeSteel(fy, this.definedOnly({ name: name || `Fe${fy} (custom)`, Es, curve, custom: true }));
+        this.custom.steel = [...this.custom.steel.filter(existing => existing.fy !== fy), material];
+        return material;
+    },
+
+    removeCustomMaterial(kind, strength) {
+        const key = kind === 'concrete' ? 'fck' : 'fy';
+        this.custom[kind] = this.custom[kind].filter(material => material[key] !== Number(strength));
+    },
+
+    // Adopt the custom materials of an imported project
+    setCustomMaterials(custom = {}) {
+        this.custom = { concrete: custom.concrete || [], steel: custom.steel || [] };
+        return this.custom;
+    },
+
+    definedOnly(properties) {
+        return Object.fromEntries(Object.entries(properties).filter(([, value]) => value !== undefined && value !== ''));
+    }
+};
+
+window.materialLibrary = materialLibrary;
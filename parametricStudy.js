@@ -0,0 +1,50 @@
+// Parametric study - sweeps one or two inputs of a module over a range and records the results of
+// each design. Parameters are paths into the module's inputs, e.g. 'D' or 'loadCases.DL.P'.
+const parametricStudy = {
+    maxPoints: 500,
+
+    // steps + 1 evenly spaced values from the start of the range to its end, rounded clear of float noise
+    getValues({ from, to, steps }) {
+        if (!Number.isInteger(steps) || steps < 1 || isNaN(from) || isNaN(to)) {
+            throw new Error('Each swept parameter needs a start, an end and a whole number of steps');
+        }
+        return Array.from({ length: steps + 1 }, (_, i) => Math.round((from + (to - from) * i / steps) * 1e6) / 1e6);
+    },
+
+    // Every combination of the swept values, e.g. [{ x: 300, y: 20 }, { x: 350, y: 20 }, ...];
+    // y is null when only one parameter is swept
+    getPoints(x, y = null) {
+        const xValues = this.getValues(x);
+        const yValues = y ? this.getValues(y) : [null];
+        if (xValues.length * yValues.length > this.maxPoints) {
+            throw new Error(`A study is limited to ${this.maxPoints} designs - reduce the number of steps`);
+        }
+        return yValues.flatMap(yValue => xValues.map(xValue => ({ x: xValue, y: yValue })));
+    },
+
+    getValue(params, path) {
+        return path.split('.').reduce((value, key) => value && value[key], params);
+    },
+
+    // Copy of params with the value at path replaced; objects along the path are copied, not shared
+    withValue(params, path, value) {
+        const [key, ...rest] = path.split('.');
+        return { ...params, [key]: rest.length ? this.withValue(params[key], rest.join('.'), value) : value };
+    },
+
+    // Runs evaluate(point) at every point; a point that cannot be designed records its error instead
+    async run({ points, evaluate, onProgress = null }) {
+        const rows = [];
+        for (const [i, point] of points.entries()) {
+            if (onProgress && i % 10 === 0) await onProgress(i / points.length);
+            try {
+                rows.push({ ...point, ...evaluate(point) });
+            } catch (error) {
+                rows.push({ ...point, values: null, isSafe: false, error: error.message });
+            }
+        }
+        return rows;
+    }
+};
+
+window.parametricStudy = parametricStudy;
@@ -0,0 +1,154 @@
+// Reliability analysis - Monte Carlo sampling of a limit state g(x) over independent random variables,
+// with failure where g < 0. Each variable is sampled through a standard normal u as x = F⁻¹(Φ(u)),
+// so the same u values measure how much each variable drives g.
+const reliability = {
+    distributions: { normal: 'Normal', lognormal: 'Lognormal', gumbel: 'Gumbel (max)' },
+
+    minSamples: 100,
+    maxSamples: 200000,
+
+    // mulberry32: small seeded generator, uniform on [0, 1), so a seed always gives the same results
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Standard normal values by the Box-Muller transform, two per pair of uniforms
+    createNormal(random) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            const radius = Math.sqrt(-2 * Math.log(1 - random()));
+            const angle = 2 * Math.PI * random();
+            spare = radius * Math.sin(angle);
+            return radius * Math.cos(angle);
+        };
+    },
+
+    // Φ(u) by Abramowitz and Stegun 26.2.17, error below 7.5e-8
+    normalCdf(u) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(u));
+        const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+        const tail = Math.exp(-u * u / 2) / Math.sqrt(2 * Math.PI) * poly;
+        return u >= 0 ? 1 - tail : tail;
+    },
+
+    // Φ⁻¹(p) by Acklam's rational approximation, relative error below 1.2e-9
+    normalInverse(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+            / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        const pLow = 0.02425;
+
+        if (p < pLow) return tail(Math.sqrt(-2 * Math.log(p)));
+        if (p > 1 - pLow) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+            / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    },
+
+    // Value of { distribution, mean, cov } at the standard normal value u. Gumbel is the largest-value
+    // distribution used for maximum imposed loads. Normal values are truncated at zero, which a
+    // strength or dimension reaches 1/cov standard deviations below its mean.
+    transform(variable, u) {
+        const { distribution, mean, cov } = variable;
+        if (distribution === 'lognormal') {
+            const sigma = Math.sqrt(Math.log(1 + cov * cov));
+            return mean * Math.exp(sigma * u - sigma * sigma / 2);
+        }
+        if (distribution === 'gumbel') {
+            if (cov === 0) return mean;
+            const alpha = Math.PI / (mean * cov * Math.sqrt(6));
+            const mode = mean - 0.5772156649 / alpha;
+            return mode - Math.log(-Math.log(this.normalCdf(u))) / alpha;
+        }
+        return Math.max(mean * (1 + cov * u), 0);
+    },
+
+    validate(variables, samples) {
+        variables.forEach(variable => {
+            if (!this.distributions[variable.distribution]) {
+                throw new Error(`Unknown distribution for ${variable.label}`);
+            }
+            if (!(variable.mean > 0) || !(variable.cov >= 0)) {
+                throw new Error(`${variable.label} needs a positive mean and a COV of zero or more`);
+            }
+        });
+        if (!Number.isInteger(samples) || samples < this.minSamples || samples > this.maxSamples) {
+            throw new Error(`Use ${this.minSamples} to ${this.maxSamples} samples`);
+        }
+    },
+
+    // Probability of failure pf = failures / samples and reliability index β = -Φ⁻¹(pf). With no
+    // failures (or no survivals) β is only bounded, by betaLimit = -Φ⁻¹(1 / samples).
+    // Importance: αi = corr(ui, g) is positive for resistances and negative for loads, and for a
+    // near-linear g the αi² add up to about one; share is each αi² over their sum.
+    async run({ variables, limitState, samples, seed, onProgress = null }) {
+        this.validate(variables, samples);
+        const normal = this.createNormal(this.createRandom(seed));
+        const n = variables.length;
+        const sums = { g: 0, gg: 0, u: new Array(n).fill(0), uu: new Array(n).fill(0), ug: new Array(n).fill(0) };
+        let failures = 0;
+
+        for (let i = 0; i < samples; i++) {
+            if (onProgress && i % 500 === 0) await onProgress(i / samples);
+            const u = variables.map(() => normal());
+            const values = Object.fromEntries(variables.map((variable, j) => [variable.key, this.transform(variable, u[j])]));
+            const g = limitState(values);
+            if (!Number.isFinite(g)) {
+                throw new Error(`The limit state has no value at sample ${i + 1} - a normal variable may have reached zero, use a smaller COV or a lognormal distribution`);
+            }
+            if (g < 0) failures++;
+
+            sums.g += g;
+            sums.gg += g * g;
+            u.forEach((value, j) => {
+                sums.u[j] += value;
+                sums.uu[j] += value * value;
+                sums.ug[j] += value * g;
+            });
+        }
+
+        const pf = failures / samples;
+        const meanG = sums.g / samples;
+        const varianceG = sums.gg / samples - meanG * meanG;
+        const alphas = variables.map((_, j) => {
+            const meanU = sums.u[j] / samples;
+            const varianceU = sums.uu[j] / samples - meanU * meanU;
+            const covariance = sums.ug[j] / samples - meanU * meanG;
+            return varianceG > 0 && varianceU > 0 ? covariance / Math.sqrt(varianceG * varianceU) : 0;
+        });
+        const total = alphas.reduce((sum, alpha) => sum + alpha * alpha, 0);
+
+        return {
+            samples, seed, failures, pf,
+            beta: pf > 0 && pf < 1 ? -this.normalInverse(pf) : null,
+            betaLimit: -this.normalInverse(1 / samples),
+            // Coefficient of variation of the pf estimate
+            pfCov: failures > 0 ? Math.sqrt((1 - pf) / (samples * pf)) : null,
+            meanG,
+            importance: variables.map((variable, j) => ({
+                key: variable.key,
+                label: variable.label,
+                alpha: alphas[j],
+                share: total > 0 ? alphas[j] * alphas[j] / total : 0
+            })).sort((a, b) => b.share - a.share)
+        };
+    }
+};
+
+window.reliability = reliability;
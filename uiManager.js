@@ -52,7 +52,17 @@ class UIManager {
             'beamLL': units['kN/m'],
             'beamWidth': 'mm',
             'beamDepth': 'mm',
-            'beamCover': 'mm'
+            'beamFlangeThickness': 'mm',
+            'beamSpacing': 'mm',
+            'beamCover': 'mm',
+            'beamTorsion': units.moment,
+            'beamLoadPosition': units.length,
+            'beamLoadExtent': units.length,
+            'beamOverhangLeft': units.length,
+            'beamOverhangRight': units.length,
+            'beamIldSection': units.length,
+            'beamAxleLoads': units.force,
+            'beamAxleSpacings': units.length
         };
 
         Object.keys(unitLabels).forEach(inputId => {
@@ -67,6 +77,107 @@ class UIManager {
                 }
             }
         });
+
+        this.updateBeamLoadForm();
+        this.renderBeamLoadList();
+        this.renderBeamSpanTable();
+    }
+
+    updateBeamModeVisibility() {
+        const isContinuous = this.state.beam.type === 'continuous';
+        document.getElementById('beam-continuous-card')?.classList.toggle('hidden', !isContinuous);
+        const lengthInput = document.getElementById('beamLength');
+        if (lengthInput) lengthInput.disabled = isContinuous;
+        document.getElementById('beam-flange-inputs')?.classList.toggle('hidden', this.state.beam.sectionType === 'rectangular');
+    }
+
+    renderBeamSpanTable() {
+        const table = document.getElementById('beam-span-table');
+        const settlements = document.getElementById('beam-settlement-inputs');
+        if (!table || !settlements || this.state.beam.type !== 'continuous') return;
+
+        const { spans } = this.state.beam;
+        const { units } = this.state;
+        const spanInput = (i, key, value, step) => `
+            <input type="number" value="${value}" min="0" step="${step}" class="form-input"
+                onchange="civilSuite.updateBeamSpan(${i}, '${key}', this.value)">`;
+
+        table.innerHTML = `
+            <div class="grid grid-cols-12 gap-2 font-medium text-gray-600">
+                <span class="col-span-2">#</span>
+                <span class="col-span-3">L (${units.length})</span>
+                <span class="col-span-3">b (mm)</span>
+                <span class="col-span-3">D (mm)</span>
+            </div>
+        ` + spans.map((span, i) => `
+            <div class="grid grid-cols-12 gap-2 items-center">
+                <span class="col-span-2">${i + 1}</span>
+                <div class="col-span-3">${spanInput(i, 'L', span.L, 0.1)}</div>
+                <div class="col-span-3">${spanInput(i, 'b', span.b, 5)}</div>
+                <div class="col-span-3">${spanInput(i, 'D', span.D, 5)}</div>
+                <button onclick="civilSuite.removeBeamSpan(${i})" class="col-span-1 text-red-600 hover:text-red-800">🗑️</button>
+            </div>
+        `).join('');
+
+        settlements.innerHTML = this.state.beam.settlements.map((value, node) => `
+            <div>
+                <span class="text-xs text-gray-500">S${node + 1}</span>
+                <input type="number" value="${value}" step="1" class="form-input"
+                    onchange="civilSuite.updateBeamSettlement(${node}, this.value)">
+            </div>
+        `).join('');
+    }
+
+    // Enable only the load inputs that apply to the selected load type
+    updateBeamLoadForm() {
+        const type = document.getElementById('beamLoadType')?.value || 'point';
+        const { units } = this.state;
+        const magnitudeUnits = { point: units.force, moment: units.moment };
+        const isDistributed = ['udl', 'triangular', 'trapezoidal'].includes(type);
+
+        const setUnit = (inputId, unit) => {
+            const unitSpan = document.getElementById(inputId)?.previousElementSibling?.querySelector('.unit-label');
+            if (unitSpan) unitSpan.textContent = `(${unit})`;
+        };
+        setUnit('beamLoadMagnitude', magnitudeUnits[type] || units['kN/m']);
+        setUnit('beamLoadMagnitude2', units['kN/m']);
+
+        const extentInput = document.getElementById('beamLoadExtent');
+        const magnitude2Input = document.getElementById('beamLoadMagnitude2');
+        if (extentInput) extentInput.disabled = !isDistributed;
+        if (magnitude2Input) magnitude2Input.disabled = type !== 'trapezoidal';
+    }
+
+    describeBeamLoad(load) {
+        const { units } = this.state;
+        const at = `@ ${load.position.toFixed(2)} ${units.length}`;
+        const over = `${load.position.toFixed(2)}–${(load.position + load.extent).toFixed(2)} ${units.length}`;
+        switch(load.type) {
+            case 'point': return `Point ${load.magnitude} ${units.force} ${at}`;
+            case 'moment': return `Moment ${load.magnitude} ${units.moment} ${at}`;
+            case 'udl': return `UDL ${load.magnitude} ${units['kN/m']}, ${over}`;
+            case 'triangular': return `Triangular 0→${load.magnitude} ${units['kN/m']}, ${over}`;
+            case 'trapezoidal': return `Trapezoidal ${load.magnitude}→${load.magnitude2} ${units['kN/m']}, ${over}`;
+            default: return load.type;
+        }
+    }
+
+    renderBeamLoadList() {
+        const list = document.getElementById('beam-load-list');
+        if (!list) return;
+
+        const loads = this.state.beam.loads || [];
+        if (loads.length === 0) {
+            list.innerHTML = '<p class="text-center text-gray-500">Only the full-span DL/LL applies</p>';
+            return;
+        }
+
+        list.innerHTML = loads.map(load => `
+            <div class="flex justify-between items-center border border-gray-200 rounded-lg px-3 py-2">
+                <span>${this.describeBeamLoad(load)} <span class="text-gray-500">(${load.loadCase})</span></span>
+                <button onclick="civilSuite.removeBeamLoad(${load.id})" class="text-red-600 hover:text-red-800">🗑️</button>
+            </div>
+        `).join('');
     }
 
     renderBeamResults(results) {
@@ -96,6 +207,143 @@ class UIManager {
         if (window.chartManager && results.chartData) {
             window.chartManager.renderBeamCharts(results.chartData);
         }
+
+        this.renderContinuousBeamResults(results.continuous);
+        this.renderBeamSectionVisual(results.section);
+    }
+
+    // Cross-section of the governing section with the sagging neutral axis, drawn to scale,
+    // and the point that governs crack control
+    renderBeamSectionVisual(section) {
+        const svg = document.getElementById('beam-section-svg');
+        if (!svg || !section) return;
+
+        const { sectionType, bw, D, flange, xu, cover = 25, bottomBars, topBars, crack } = section;
+        const bf = flange ? flange.bf : bw;
+        const Df = flange ? flange.Df : 0;
+        const scale = Math.min(200 / bf, 110 / D);
+        const width = bf * scale;
+        const height = D * scale;
+        const top = 25;
+        const left = 150 - width / 2;
+        // T-beam web sits centrally under the flange, L-beam web at the edge
+        const webLeft = sectionType === 'l-beam' ? left : 150 - bw * scale / 2;
+        const webWidth = bw * scale;
+        const outline = flange ? [
+            [left, top], [left + width, top], [left + width, top + Df * scale],
+            [webLeft + webWidth, top + Df * scale], [webLeft + webWidth, top + height],
+            [webLeft, top + height], [webLeft, top + Df * scale], [left, top + Df * scale]
+        ] : [[left, top], [left + width, top], [left + width, top + height], [left, top + height]];
+        const naY = top + Math.min(xu, D) * scale;
+        // One layer of bars across the web, centres at cover + dia/2 from the faces
+        const barRow = (bars, atTop) => {
+            if (!bars) return '';
+            const edge = cover + bars.dia / 2;
+            const pitch = bars.num > 1 ? (bw - 2 * edge) / (bars.num - 1) : 0;
+            const y = atTop ? top + edge * scale : top + height - edge * scale;
+            return Array.from({ length: bars.num }, (_, i) =>
+                `<circle cx="${webLeft + (bars.num > 1 ? edge + pitch * i : bw / 2) * scale}" cy="${y}" r="${Math.max(bars.dia * scale / 2, 2)}" fill="#1e293b"/>`
+            ).join('');
+        };
+        const bars = barRow(bottomBars, false) + barRow(topBars, true);
+        // Crack points are measured from the compression face, so hogging cracks are mirrored to the top
+        const crackPoint = crack && crack.governing && {
+            x: webLeft + crack.governing.u * scale,
+            y: crack.face === 'top' ? top + height - crack.governing.a * scale : top + crack.governing.a * scale
+        };
+        const crackMarker = crackPoint ? `
+            <circle cx="${crackPoint.x}" cy="${crackPoint.y}" r="5" fill="none" stroke="${crack.ok ? '#f59e0b' : '#dc2626'}" stroke-width="2"/>
+            <text x="${crackPoint.x - 8}" y="${crackPoint.y + 4}" text-anchor="end" font-size="10" fill="${crack.ok ? '#f59e0b' : '#dc2626'}">${crack.label} = ${crack.value.toFixed(crack.kind === 'width' ? 2 : 0)}</text>` : '';
+
+        svg.innerHTML = `
+            <polygon points="${outline.map(point => point.join(',')).join(' ')}" fill="#e0e7ff" stroke="#4f46e5" stroke-width="2"/>
+            <rect x="${webLeft}" y="${top}" width="${webWidth}" height="${naY - top}" fill="#4f46e5" opacity="0.15"/>
+            ${flange ? `<rect x="${left}" y="${top}" width="${width}" height="${Math.min(naY, top + Df * scale) - top}" fill="#4f46e5" opacity="0.15"/>` : ''}
+            ${bars}
+            ${crackMarker}
+            <line x1="${left - 10}" y1="${naY}" x2="${left + width + 10}" y2="${naY}" stroke="#ef4444" stroke-width="1.5" stroke-dasharray="5,3"/>
+            <text x="${left + width + 12}" y="${naY + 4}" font-size="10" fill="#ef4444">NA</text>
+            <text x="150" y="${top - 8}" text-anchor="middle" font-size="10" fill="#64748b">${flange ? 'bf' : 'b'} = ${Math.round(bf)}</text>
+            <text x="${webLeft + webWidth / 2}" y="${top + height + 14}" text-anchor="middle" font-size="10" fill="#64748b">${flange ? 'bw' : 'b'} = ${Math.round(bw)}</text>
+            <text x="${left - 14}" y="${top + height / 2}" text-anchor="end" font-size="10" fill="#64748b">D = ${Math.round(D)}</text>
+            ${flange ? `<text x="${left + width + 4}" y="${top + Df * scale / 2 - 2}" font-size="10" fill="#64748b">Df = ${Math.round(Df)}</text>` : ''}
+        `;
+    }
+
+    syncInfluenceInputs() {
+        const influence = this.state.influence;
+        const values = {
+            beamIldQuantity: influence.quantity,
+            beamIldSection: influence.section,
+            beamAxlePreset: influence.preset,
+            beamAxleLoads: influence.axleLoads.join(', '),
+            beamAxleSpacings: influence.axleSpacings.join(', '),
+            beamImpactFactor: influence.impact
+        };
+        Object.keys(values).forEach(id => {
+            const input = document.getElementById(id);
+            if (input && input !== document.activeElement) input.value = values[id];
+        });
+        
+        const toggle = document.getElementById('beamInfluenceEnabled');
+        if (toggle) toggle.checked = influence.enabled;
+    }
+
+    renderInfluenceResults(results) {
+        const card = document.getElementById('beam-influence-results');
+        if (!card) return;
+        
+        card.classList.toggle('hidden', !results);
+        if (!results) return;
+        
+        document.getElementById('beam-ild-title').textContent = results.title;
+        Object.keys(results.display).forEach(key => {
+            const element = document.getElementById(`beam${key.charAt(0).toUpperCase() + key.slice(1)}`);
+            if (element) {
+                element.textContent = results.display[key];
+            }
+        });
+        
+        if (window.chartManager) {
+            window.chartManager.renderInfluenceCharts(results.chartData);
+        }
+    }
+
+    renderContinuousBeamResults(continuous) {
+        const card = document.getElementById('beam-continuous-results');
+        if (!card) return;
+
+        card.classList.toggle('hidden', !continuous);
+        if (!continuous) return;
+
+        const { units } = this.state;
+        const moment = (value) => `${(value * (units.conversions.moment || 1)).toFixed(2)} ${units.moment}`;
+        const length = (value) => `${(value * (units.conversions.length || 1)).toFixed(2)} ${units.length}`;
+
+        document.getElementById('beam-span-results-body').innerHTML = continuous.sections.map(section => `
+            <tr class="${section.utilization > 1 ? 'bg-red-50' : ''}">
+                <td class="border p-2">${section.label}</td>
+                <td class="border p-2 text-center">${length(section.L)}</td>
+                <td class="border p-2 text-center">${Math.round(section.b)} × ${Math.round(section.D)}${section.flange ? `, bf ${Math.round(section.flange.bf)}` : ''}</td>
+                <td class="border p-2 text-center">${moment(section.leftMoment)}</td>
+                <td class="border p-2 text-center">${moment(section.maxSagging)}</td>
+                <td class="border p-2 text-center">${moment(section.rightMoment)}</td>
+                <td class="border p-2 text-center">${(section.utilization * 100).toFixed(1)}%</td>
+                <td class="border p-2 text-xs ${section.shear.ok ? '' : 'text-red-600'}">${section.shear.legs}L-T${section.shear.dia} @ ${section.shear.spacing} / ${section.shear.nominalSpacing} mm</td>
+                <td class="border p-2 text-xs">${section.saggingPattern} / ${section.hoggingPattern}</td>
+                <td class="border p-2 text-xs">${section.combination}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('beam-pattern-list').textContent =
+            continuous.coefficients
+                ? `Coefficient method (IS 456 cl 22.5.1): ${continuous.patterns.join('; ')}`
+                : `Live load patterns (IS 456 cl 22.4.1): ${continuous.patterns.join('; ')}`;
+
+        document.getElementById('beam-reaction-results').innerHTML = continuous.reactions.map(reaction => `
+            <div class="result-item"><span class="font-medium">${reaction.label}:</span>
+                <span class="result-text">${(reaction.force * (units.conversions.force || 1)).toFixed(2)} ${units.force}</span></div>
+        `).join('');
     }
 
     showColumnResults(results) {
@@ -120,6 +368,23 @@ class UIManager {
                 }
             });
         }
+
+        if (window.chartManager && results.chartData) {
+            const { curves, demands } = results.chartData;
+            const demand = (key) => demands.map(({ combination, Pu, ...moments }) => ({ x: moments[key], y: Pu, combination }));
+            window.chartManager.renderInteractionChart('column-interaction-chart', {
+                curves: [
+                    { label: 'Capacity about x', data: curves.x, color: '#4f46e5' },
+                    { label: 'Capacity about y', data: curves.y, color: '#0d9488' }
+                ],
+                demands: [
+                    { label: '(Pu, Mux)', data: demand('Mux'), color: '#ef4444' },
+                    { label: '(Pu, Muy)', data: demand('Muy'), color: '#f59e0b' }
+                ]
+            });
+            window.chartManager.renderLoadContourChart('column-contour-chart', results.chartData.contour);
+        }
+        this.renderColumnVisual(results);
     }
 
     showSlabResults(results) {
@@ -144,6 +409,13 @@ class UIManager {
                 }
             });
         }
+        
+        if (results.diagram && window.chartManager) {
+            window.chartManager.renderDiagramChart('slab-moment-chart', {
+                labels: results.diagram.labels, data: results.diagram.moment,
+                label: 'Design Moment', unit: 'kNm/m', color: '#3b82f6', xLabel: 'Distance along the slab (m)'
+            });
+        }
     }
 
     renderBeamVisual() {
@@ -184,7 +456,134 @@ class UIManager {
                     <text x="150" y="90" text-anchor="middle" fill="#64748b" font-size="12">Fixed Ends</text>
                 `;
                 break;
+
+            case 'continuous':
+                svg.innerHTML = this.renderContinuousBeamVisual(beamColor, supportColor);
+                break;
+        }
+        
+        svg.innerHTML += this.renderBeamLoadGlyphs(this.state.beam.loads || [], this.app.getBeamTotalLength());
+    }
+
+    renderContinuousBeamVisual(beamColor, supportColor) {
+        const { spans, overhangLeft, overhangRight } = this.state.beam;
+        const total = this.app.getBeamTotalLength();
+        let x = overhangLeft;
+        const supportX = [x, ...spans.map(span => (x += span.L))];
+
+        return `
+            <rect x="50" y="50" width="200" height="20" fill="${beamColor}" opacity="0.8"/>
+            ${supportX.map(pos => {
+                const sx = 50 + (200 * pos) / total;
+                return `<polygon points="${sx},70 ${sx - 6},82 ${sx + 6},82" fill="${supportColor}"/>`;
+            }).join('')}
+            <text x="150" y="100" text-anchor="middle" fill="#64748b" font-size="12">Continuous (${spans.length} spans)</text>
+        `;
+    }
+
+    // Arrows and load blocks drawn above the 200px-long beam in beam-svg
+    renderBeamLoadGlyphs(loads, L) {
+        const loadColor = '#ef4444';
+        const toX = (pos) => 50 + (200 * Math.min(Math.max(pos, 0), L)) / L;
+        const maxIntensity = Math.max(1, ...loads
+            .filter(load => load.type !== 'point' && load.type !== 'moment')
+            .map(load => Math.max(Math.abs(load.magnitude), Math.abs(load.magnitude2 || 0))));
+
+        return loads.map(load => {
+            const x1 = toX(load.position);
+            switch(load.type) {
+                case 'point':
+                    return `
+                        <line x1="${x1}" y1="18" x2="${x1}" y2="46" stroke="${loadColor}" stroke-width="2"/>
+                        <polygon points="${x1 - 4},40 ${x1 + 4},40 ${x1},48" fill="${loadColor}"/>
+                    `;
+                case 'moment':
+                    return `<text x="${x1}" y="44" text-anchor="middle" fill="${loadColor}" font-size="16">↻</text>`;
+                default: {
+                    const x2 = toX(load.position + load.extent);
+                    const w1 = load.type === 'triangular' ? 0 : load.magnitude;
+                    const w2 = load.type === 'trapezoidal' ? load.magnitude2 : load.magnitude;
+                    const h1 = 22 * Math.abs(w1) / maxIntensity;
+                    const h2 = 22 * Math.abs(w2) / maxIntensity;
+                    return `<polygon points="${x1},48 ${x1},${48 - h1} ${x2},${48 - h2} ${x2},48" fill="${loadColor}" opacity="0.3" stroke="${loadColor}"/>`;
+                }
+            }
+        }).join('');
+    }
+
+    // Column drawn to scale in column-svg: the section with its ties or helix and, once designed, its
+    // main bars, and a side view of the ties at their spacing or the helix at its pitch (front turns
+    // solid, back turns dashed)
+    renderColumnVisual(results = null) {
+        const svg = document.getElementById('column-svg');
+        if (!svg) return;
+
+        const column = this.state.column;
+        const bars = results ? results.bars : [];
+        const circular = column.type === 'circular';
+        const helix = circular && column.lateral === 'helix';
+        const lateral = helix
+            ? { dia: column.helixDia, spacing: column.helixPitch }
+            : results && results.ties ? results.ties : { dia: 8, spacing: 200 };
+        const width = circular ? column.diameter : column.width;
+        const depth = circular ? column.diameter : column.depth;
+        const scale = 110 / Math.max(width, depth);
+        const [cx, cy] = [80, 90];
+        const px = (x) => cx + (x - width / 2) * scale;
+        const py = (y) => cy + (y - depth / 2) * scale;
+        const columnColor = '#4f46e5';
+        const steelColor = '#ef4444';
+        // Ties and helix wrap the main bars; lines run on their centreline
+        const inset = (column.cover - lateral.dia / 2) * scale;
+        const stroke = Math.max(lateral.dia * scale, 1);
+
+        const section = circular
+            ? `
+                <circle cx="${cx}" cy="${cy}" r="${width / 2 * scale}" fill="${columnColor}" opacity="0.8" stroke="#334155" stroke-width="2"/>
+                <circle cx="${cx}" cy="${cy}" r="${width / 2 * scale - inset}" fill="none" stroke="${steelColor}" stroke-width="${stroke}"/>
+            `
+            : `
+                <rect x="${px(0)}" y="${py(0)}" width="${width * scale}" height="${depth * scale}" fill="${columnColor}" opacity="0.8" stroke="#334155" stroke-width="2"/>
+                <rect x="${px(0) + inset}" y="${py(0) + inset}" width="${width * scale - 2 * inset}" height="${depth * scale - 2 * inset}"
+                    rx="${2 * stroke}" fill="none" stroke="${steelColor}" stroke-width="${stroke}"/>
+            `;
+        const barMarks = bars.map(bar =>
+            `<circle cx="${px(bar.x)}" cy="${py(bar.y)}" r="${Math.max(bar.dia / 2 * scale, 2)}" fill="${steelColor}"/>`
+        ).join('');
+
+        // Side view of the width face over the height of the drawing
+        const left = 175;
+        const [top, bottom] = [20, 160];
+        const ex = (x) => left + x * scale;
+        const [x1, x2] = [ex(0) + inset, ex(width) - inset];
+        const pitch = Math.max(lateral.spacing * scale, 4);
+        const turns = [];
+        for (let y = top + pitch / 2; y + (helix ? pitch / 2 : 0) <= bottom; y += pitch) {
+            if (helix) {
+                turns.push(`<line x1="${x1}" y1="${y - pitch / 2}" x2="${x2}" y2="${y}" stroke="${steelColor}" stroke-width="${stroke}"/>`);
+                turns.push(`<line x1="${x2}" y1="${y}" x2="${x1}" y2="${y + pitch / 2}" stroke="${steelColor}" stroke-width="${stroke}" stroke-dasharray="3,2"/>`);
+            } else {
+                turns.push(`<line x1="${x1}" y1="${y}" x2="${x2}" y2="${y}" stroke="${steelColor}" stroke-width="${stroke}"/>`);
+            }
         }
+        const elevation = `
+            <rect x="${ex(0)}" y="${top}" width="${width * scale}" height="${bottom - top}" fill="${columnColor}" opacity="0.5" stroke="#334155" stroke-width="2"/>
+            ${[...new Set(bars.map(bar => Math.round(ex(bar.x) * 10) / 10))].map(x =>
+                `<line x1="${x}" y1="${top}" x2="${x}" y2="${bottom}" stroke="${steelColor}" stroke-width="${Math.max(bars[0].dia * scale, 1)}" opacity="0.6"/>`
+            ).join('')}
+            ${turns.join('')}
+            <text x="${ex(width / 2)}" y="175" text-anchor="middle" fill="#64748b" font-size="11">${helix ? 'Helix' : 'Ties'} @ ${lateral.spacing} mm</text>
+        `;
+        const label = results && results.display
+            ? `${results.display.mainSteel.split(' ')[0]}, ${results.display.tieSteel}`
+            : 'Column Reinforcement';
+
+        svg.innerHTML = `
+            ${section}
+            ${barMarks}
+            ${elevation}
+            <text x="150" y="192" text-anchor="middle" fill="#64748b" font-size="12">${label}</text>
+        `;
     }
 
     toggleTheme() {
@@ -197,7 +596,13 @@ class UIManager {
 
     init() {
         this.initEventListeners();
+        this.renderDesignCodeOptions();
+        this.renderBeamMaterialOptions();
         this.renderBeamVisual();
+        this.updateBeamLoadForm();
+        this.renderBeamLoadList();
+        this.updateBeamModeVisibility();
+        this.syncInfluenceInputs();
         this.setupRealTimeValidation();
         this.isInitialized = true;
     }
@@ -211,6 +616,11 @@ class UIManager {
             this.app.onUnitChange(e.target.value);
         });
 
+        // Design code for the whole project
+        document.getElementById('design-code')?.addEventListener('change', (e) => {
+            this.app.onDesignCodeChange(e.target.value);
+        });
+
         // Tab switching with animation
         document.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -230,6 +640,32 @@ class UIManager {
             setTimeout(() => this.app.runBeamAnalysis(), 100);
         });
 
+        // Beam load list
+        document.getElementById('beamLoadType')?.addEventListener('change', () => {
+            this.updateBeamLoadForm();
+        });
+
+        document.getElementById('addBeamLoadButton')?.addEventListener('click', () => {
+            this.app.addBeamLoad();
+        });
+
+        document.getElementById('addBeamSpanButton')?.addEventListener('click', () => {
+            this.app.addBeamSpan();
+        });
+
+        // Influence lines and moving loads
+        document.getElementById('beamInfluenceEnabled')?.addEventListener('change', (e) => {
+            this.app.toggleInfluenceMode(e.target.checked);
+        });
+
+        document.getElementById('runMovingLoadButton')?.addEventListener('click', () => {
+            this.showLoading(30, 'Running moving load...');
+            setTimeout(() => {
+                this.app.runInfluenceAnalysis();
+                this.hideLoading();
+            }, 100);
+        });
+
         // Enhanced report generation
         document.getElementById('printBeamReport').addEventListener('click', () => {
             this.generateComprehensiveReport();
@@ -258,7 +694,7 @@ class UIManager {
         this.setupKeyboardShortcuts();
     }
 
-    setupDebouncedInputs() {
+    setupDebouncedInputs(root = document) {
         let timeoutId;
         const handler = (e) => {
             clearTimeout(timeoutId);
@@ -267,7 +703,7 @@ class UIManager {
             }, 300);
         };
 
-        document.querySelectorAll('.form-input, select').forEach(input => {
+        root.querySelectorAll('.form-input, select').forEach(input => {
             input.addEventListener('input', handler);
             input.addEventListener('change', handler);
         });
@@ -319,23 +755,7 @@ class UIManager {
             setTimeout(() => {
                 currentTab.classList.add('hidden');
                 this.showTab(newTab);
-                
-                // Render the appropriate module content
-                switch(tabId) {
-                    case 'column-design':
-                        this.renderColumnDesign();
-                        break;
-                    case 'slab-design':
-                        this.renderSlabDesign();
-                        break;
-                    case 'bbs-design':
-                        this.renderBarBendingSchedule();
-                        break;
-                    case 'history':
-                        // History is already rendered by app.js
-                        this.app.updateHistoryUI();
-                        break;
-                }
+                this.renderTabContent(tabId);
             }, 200);
         } else {
             this.showTab(newTab);
@@ -348,6 +768,43 @@ class UIManager {
         document.querySelector(`[data-tab="${tabId}"]`).classList.add('active');
     }
 
+    // Render the appropriate module content
+    renderTabContent(tabId) {
+        switch(tabId) {
+            case 'column-design':
+                this.renderColumnDesign();
+                break;
+            case 'slab-design':
+                this.renderSlabDesign();
+                break;
+            case 'bbs-design':
+                this.renderBarBendingSchedule();
+                break;
+            case 'frame-analysis':
+                this.renderFrameAnalysis();
+                break;
+            case 'load-combinations':
+                this.renderLoadCombinations();
+                break;
+            case 'materials':
+                this.renderMaterials();
+                break;
+            case 'optimizer':
+                this.renderOptimizer();
+                break;
+            case 'parametric-study':
+                this.renderParametricStudy();
+                break;
+            case 'reliability':
+                this.renderReliability();
+                break;
+            case 'history':
+                // History is already rendered by app.js
+                this.app.updateHistoryUI();
+                break;
+        }
+    }
+
     showTab(tabElement) {
         tabElement.classList.remove('hidden');
         setTimeout(() => {
@@ -360,6 +817,12 @@ class UIManager {
         const columnTab = document.getElementById('column-design');
         if (!columnTab) return;
         
+        const column = this.state.column;
+        const { restraint } = column;
+        const circular = column.type === 'circular';
+        const manual = column.barLayout === 'manual';
+        const selected = (value, current) => value == current ? 'selected' : '';
+        
         columnTab.innerHTML = `
             <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
                 <div class="xl:col-span-1 space-y-6">
@@ -369,58 +832,165 @@ class UIManager {
                             <div>
                                 <label for="columnType" class="input-label">Column Type</label>
                                 <select id="columnType" class="form-input">
-                                    <option value="rectangular">Rectangular</option>
-                                    <option value="circular">Circular</option>
-                                    <option value="square">Square</option>
+                                    <option value="rectangular" ${selected('rectangular', column.type)}>Rectangular</option>
+                                    <option value="circular" ${selected('circular', column.type)}>Circular</option>
+                                    <option value="square" ${selected('square', column.type)}>Square</option>
                                 </select>
                             </div>
+                            ${circular ? `
+                                <div>
+                                    <label for="columnDiameter" class="input-label">Diameter <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="columnDiameter" value="${column.diameter}" min="200" max="1500" class="form-input">
+                                </div>
+                            ` : `
+                                <div class="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label for="columnWidth" class="input-label">Width <span class="unit-label">(mm)</span></label>
+                                        <input type="number" id="columnWidth" value="${column.width}" min="150" max="1000" class="form-input">
+                                    </div>
+                                    <div>
+                                        <label for="columnDepth" class="input-label">Depth <span class="unit-label">(mm)</span></label>
+                                        <input type="number" id="columnDepth" value="${column.depth}" min="150" max="1000" class="form-input">
+                                    </div>
+                                </div>
+                            `}
+                            <div>
+                                <label for="columnHeight" class="input-label">Height <span class="unit-label">(m)</span></label>
+                                <input type="number" id="columnHeight" value="${column.height}" min="1" max="20" step="0.1" class="form-input">
+                            </div>
                             <div class="grid grid-cols-2 gap-4">
                                 <div>
-                                    <label for="columnWidth" class="input-label">Width <span class="unit-label">(mm)</span></label>
-                                    <input type="number" id="columnWidth" value="300" min="150" max="1000" class="form-input">
+                                    <label for="columnCover" class="input-label">Cover <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="columnCover" value="${column.cover}" min="20" max="75" class="form-input">
                                 </div>
                                 <div>
-                                    <label for="columnDepth" class="input-label">Depth <span class="unit-label">(mm)</span></label>
-                                    <input type="number" id="columnDepth" value="450" min="150" max="1000" class="form-input">
+                                    <label for="columnBarDia" class="input-label">Bar Size</label>
+                                    <select id="columnBarDia" class="form-input">
+                                        <option value="auto" ${selected('auto', column.barDia)}>Auto</option>
+                                        ${[12, 16, 20, 25, 32].map(dia => `<option value="${dia}" ${selected(dia, column.barDia)}>T${dia}</option>`).join('')}
+                                    </select>
                                 </div>
                             </div>
                             <div>
-                                <label for="columnHeight" class="input-label">Height <span class="unit-label">(m)</span></label>
-                                <input type="number" id="columnHeight" value="3.0" min="1" max="20" step="0.1" class="form-input">
+                                <label for="columnBarLayout" class="input-label">Bar Layout</label>
+                                <select id="columnBarLayout" class="form-input">
+                                    <option value="auto" ${selected('auto', column.barLayout)}>Detailed to the code</option>
+                                    <option value="manual" ${selected('manual', column.barLayout)}>As entered</option>
+                                </select>
                             </div>
+                            ${circular ? `
+                                <div class="grid grid-cols-2 gap-4">
+                                    ${manual ? `
+                                        <div>
+                                            <label for="columnBarCount" class="input-label">Number of Bars</label>
+                                            <input type="number" id="columnBarCount" value="${column.barCount}" min="4" max="24" step="1" class="form-input">
+                                        </div>
+                                    ` : ''}
+                                    <div>
+                                        <label for="columnLateral" class="input-label">Lateral Steel</label>
+                                        <select id="columnLateral" class="form-input">
+                                            <option value="ties" ${selected('ties', column.lateral)}>Circular ties</option>
+                                            <option value="helix" ${selected('helix', column.lateral)}>Helix</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                ${column.lateral === 'helix' ? `
+                                    <div class="grid grid-cols-2 gap-4">
+                                        <div>
+                                            <label for="columnHelixDia" class="input-label">Helix Bar <span class="unit-label">(mm)</span></label>
+                                            <select id="columnHelixDia" class="form-input">
+                                                ${[6, 8, 10, 12].map(dia => `<option value="${dia}" ${selected(dia, column.helixDia)}>T${dia}</option>`).join('')}
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label for="columnHelixPitch" class="input-label">Pitch <span class="unit-label">(mm)</span></label>
+                                            <input type="number" id="columnHelixPitch" value="${column.helixPitch}" min="25" max="150" step="5" class="form-input">
+                                        </div>
+                                    </div>
+                                ` : ''}
+                            ` : manual ? `
+                                <div class="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label for="columnBarsWidth" class="input-label">Bars per Width Face</label>
+                                        <input type="number" id="columnBarsWidth" value="${column.barsWidth}" min="2" max="10" step="1" class="form-input">
+                                    </div>
+                                    <div>
+                                        <label for="columnBarsDepth" class="input-label">Bars per Depth Face</label>
+                                        <input type="number" id="columnBarsDepth" value="${column.barsDepth}" min="2" max="10" step="1" class="form-input">
+                                    </div>
+                                </div>
+                            ` : ''}
                         </div>
                     </div>
 
                     <div class="result-card p-6">
-                        <h3 class="text-xl font-bold text-gray-800 mb-4">2. Loads & Materials</h3>
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">2. Effective Length</h3>
                         <div class="space-y-4">
                             <div>
-                                <label for="columnAxialLoad" class="input-label">Axial Load <span class="unit-label">(kN)</span></label>
-                                <input type="number" id="columnAxialLoad" value="1000" min="100" step="50" class="form-input">
-                            </div>
-                            <div>
-                                <label for="columnMomentX" class="input-label">Moment (X) <span class="unit-label">(kNm)</span></label>
-                                <input type="number" id="columnMomentX" value="50" min="0" step="5" class="form-input">
+                                <label class="input-label">Method</label>
+                                <select class="form-input" onchange="civilSuite.updateColumnRestraint(null, 'method', this.value)">
+                                    <option value="conditions" ${selected('conditions', restraint.method)}>End conditions (IS 456 Table 28)</option>
+                                    <option value="stiffness" ${selected('stiffness', restraint.method)}>Restraint factors β (charts)</option>
+                                </select>
                             </div>
+                            ${restraint.method === 'stiffness' ? `
+                                <div>
+                                    <label class="input-label">Frame</label>
+                                    <select class="form-input" onchange="civilSuite.updateColumnRestraint(null, 'sway', this.value)">
+                                        <option value="non-sway" ${selected(false, restraint.sway)}>Non-sway (braced)</option>
+                                        <option value="sway" ${selected(true, restraint.sway)}>Sway (unbraced)</option>
+                                    </select>
+                                </div>
+                                <p class="text-sm text-gray-500">β = ΣKc / (ΣKc + ΣKb) at each end: 0 fixed, 1 pinned</p>
+                                ${['x', 'y'].map(axis => `
+                                    <div class="grid grid-cols-2 gap-4">
+                                        ${['top', 'bottom'].map(end => `
+                                            <div>
+                                                <label class="input-label">β ${end}, about ${axis}</label>
+                                                <input type="number" value="${restraint[axis][end]}" min="0" max="1" step="0.05" class="form-input"
+                                                    onchange="civilSuite.updateColumnRestraint('${axis}', '${end}', this.value)">
+                                            </div>
+                                        `).join('')}
+                                    </div>
+                                `).join('')}
+                            ` : ['x', 'y'].map(axis => `
+                                <div>
+                                    <label class="input-label">Ends, bending about ${axis}</label>
+                                    <select class="form-input" onchange="civilSuite.updateColumnRestraint('${axis}', 'condition', this.value)">
+                                        ${window.designCodes.endConditions.map(end => `
+                                            <option value="${end.id}" ${selected(end.id, restraint[axis].condition)}>${end.factor.toFixed(2)}l - ${end.label}</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">3. Loads & Materials</h3>
+                        <div class="space-y-4">
                             <div>
-                                <label for="columnMomentY" class="input-label">Moment (Y) <span class="unit-label">(kNm)</span></label>
-                                <input type="number" id="columnMomentY" value="30" min="0" step="5" class="form-input">
+                                <p class="input-label">Characteristic Loads <span class="unit-label">(kN, kNm)</span></p>
+                                <div class="grid grid-cols-4 gap-2 text-sm font-medium text-gray-600">
+                                    <span>Case</span><span>P</span><span>Mx</span><span>My</span>
+                                </div>
+                                ${Object.keys(column.loadCases).map(loadCase => `
+                                    <div class="grid grid-cols-4 gap-2 items-center mt-1">
+                                        <span class="text-sm" title="${window.loadCombinations.loadCases.find(c => c.id === loadCase)?.name || loadCase}">${loadCase}</span>
+                                        ${['P', 'Mx', 'My'].map(key => `
+                                            <input type="number" value="${column.loadCases[loadCase][key]}" step="any" class="form-input"
+                                                onchange="civilSuite.updateColumnCaseLoad('${loadCase}', '${key}', this.value)">
+                                        `).join('')}
+                                    </div>
+                                `).join('')}
                             </div>
                             <div>
                                 <label for="columnFck" class="input-label">Concrete Grade</label>
-                                <select id="columnFck" class="form-input">
-                                    <option value="20">M20</option>
-                                    <option value="25" selected>M25</option>
-                                    <option value="30">M30</option>
-                                    <option value="35">M35</option>
-                                </select>
+                                <select id="columnFck" class="form-input">${this.getMaterialOptions('concrete', column.fck)}</select>
                             </div>
                             <div>
                                 <label for="columnFy" class="input-label">Steel Grade</label>
-                                <select id="columnFy" class="form-input">
-                                    <option value="415">Fe415</option>
-                                    <option value="500" selected>Fe500</option>
-                                </select>
+                                <select id="columnFy" class="form-input">${this.getMaterialOptions('steel', column.fy)}</select>
                             </div>
                         </div>
                         <div class="mt-6 space-y-3">
@@ -457,10 +1027,32 @@ class UIManager {
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
                             <div class="result-item"><span class="font-medium">Main Steel:</span><span id="columnMainSteel" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Tie Bars:</span><span id="columnTieSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Helical Reinforcement:</span><span id="columnHelixCheck" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Steel Percentage:</span><span id="columnSteelPercentage" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Effective Length:</span><span id="columnEffectiveLength" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Slenderness Ratio:</span><span id="columnSlenderness" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Additional Moments:</span><span id="columnAdditionalMoments" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Minimum Eccentricity:</span><span id="columnMinEccentricity" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Design Status:</span><span id="columnDesignStatus" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Design Actions:</span><span id="columnDesignActions" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Biaxial Check:</span><span id="columnBiaxialCheck" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Load Contour Exponent:</span><span id="columnBiaxialExponent" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Governing Combination:</span><span id="columnGoverningCombination" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Design Code:</span><span id="columnDesignCode" class="result-text">-</span></div>
+                        </div>
+                    </div>
+
+                    <div class="result-card">
+                        <h3 class="result-title">P–M Interaction Diagram</h3>
+                        <div class="chart-container">
+                            <canvas id="column-interaction-chart"></canvas>
+                        </div>
+                    </div>
+
+                    <div class="result-card">
+                        <h3 class="result-title">Biaxial Load Contour</h3>
+                        <div class="chart-container">
+                            <canvas id="column-contour-chart"></canvas>
                         </div>
                     </div>
 
@@ -468,17 +1060,7 @@ class UIManager {
                         <h3 class="result-title">Reinforcement Details</h3>
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
                             <div class="visual-box">
-                                <svg id="column-svg" width="100%" height="200" viewBox="0 0 300 200">
-                                    <rect x="100" y="50" width="100" height="150" fill="#4f46e5" opacity="0.8" stroke="#334155" stroke-width="2"/>
-                                    <circle cx="120" cy="80" r="4" fill="#ef4444"/>
-                                    <circle cx="180" cy="80" r="4" fill="#ef4444"/>
-                                    <circle cx="120" cy="120" r="4" fill="#ef4444"/>
-                                    <circle cx="180" cy="120" r="4" fill="#ef4444"/>
-                                    <circle cx="120" cy="160" r="4" fill="#ef4444"/>
-                                    <circle cx="180" cy="160" r="4" fill="#ef4444"/>
-                                    <rect x="115" y="75" width="10" height="90" fill="none" stroke="#ef4444" stroke-width="1" stroke-dasharray="5,5"/>
-                                    <text x="150" y="190" text-anchor="middle" fill="#64748b" font-size="12">Column Reinforcement</text>
-                                </svg>
+                                <svg id="column-svg" width="100%" height="200" viewBox="0 0 300 200"></svg>
                             </div>
                             <div class="space-y-4">
                                 <div class="result-item"><span class="font-medium">Longitudinal Bars:</span><span id="columnLongitudinalBars" class="result-text">-</span></div>
@@ -492,6 +1074,7 @@ class UIManager {
             </div>
         `;
 
+        this.renderColumnVisual();
         // Add event listeners for column design
         this.setupColumnEventListeners();
     }
@@ -500,6 +1083,11 @@ class UIManager {
         const slabTab = document.getElementById('slab-design');
         if (!slabTab) return;
         
+        const slab = this.state.slab;
+        const selected = (value, current) => value == current ? 'selected' : '';
+        const twoWay = slab.type === 'two-way';
+        const continuous = slab.type === 'continuous';
+        
         slabTab.innerHTML = `
             <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
                 <div class="xl:col-span-1 space-y-6">
@@ -509,24 +1097,37 @@ class UIManager {
                             <div>
                                 <label for="slabType" class="input-label">Slab Type</label>
                                 <select id="slabType" class="form-input">
-                                    <option value="one-way">One Way Slab</option>
-                                    <option value="two-way">Two Way Slab</option>
-                                    <option value="cantilever">Cantilever Slab</option>
+                                    <option value="one-way" ${selected('one-way', slab.type)}>One Way Slab</option>
+                                    <option value="continuous" ${selected('continuous', slab.type)}>Continuous One Way Slab</option>
+                                    <option value="two-way" ${selected('two-way', slab.type)}>Two Way Slab</option>
+                                    <option value="cantilever" ${selected('cantilever', slab.type)}>Cantilever Slab</option>
                                 </select>
                             </div>
+                            ${twoWay ? `
+                            <div>
+                                <label for="slabPanel" class="input-label">Panel Edges <span class="unit-label">(IS 456 Table 26)</span></label>
+                                <select id="slabPanel" class="form-input">
+                                    ${window.designCodes.slabPanels.cases.map(panel => `<option value="${panel.id}" ${selected(panel.id, slab.panel)}>${panel.label}</option>`).join('')}
+                                </select>
+                            </div>` : ''}
+                            ${continuous ? `
+                            <div>
+                                <label for="slabSpanCount" class="input-label">Number of Equal Spans <span class="unit-label">(IS 456 Tables 12, 13)</span></label>
+                                <input type="number" id="slabSpanCount" value="${slab.spanCount}" min="3" max="10" step="1" class="form-input">
+                            </div>` : ''}
                             <div class="grid grid-cols-2 gap-4">
                                 <div>
                                     <label for="slabLength" class="input-label">Length <span class="unit-label">(m)</span></label>
-                                    <input type="number" id="slabLength" value="5.0" min="1" max="15" step="0.1" class="form-input">
+                                    <input type="number" id="slabLength" value="${slab.length}" min="1" max="15" step="0.1" class="form-input">
                                 </div>
                                 <div>
                                     <label for="slabWidth" class="input-label">Width <span class="unit-label">(m)</span></label>
-                                    <input type="number" id="slabWidth" value="4.0" min="1" max="15" step="0.1" class="form-input">
+                                    <input type="number" id="slabWidth" value="${slab.width}" min="1" max="15" step="0.1" class="form-input">
                                 </div>
                             </div>
                             <div>
                                 <label for="slabThickness" class="input-label">Thickness <span class="unit-label">(mm)</span></label>
-                                <input type="number" id="slabThickness" value="150" min="100" max="300" step="10" class="form-input">
+                                <input type="number" id="slabThickness" value="${slab.thickness}" min="100" max="300" step="10" class="form-input">
                             </div>
                         </div>
                     </div>
@@ -536,30 +1137,31 @@ class UIManager {
                         <div class="space-y-4">
                             <div>
                                 <label for="slabDL" class="input-label">Dead Load <span class="unit-label">(kN/m²)</span></label>
-                                <input type="number" id="slabDL" value="2.5" min="0" step="0.1" class="form-input">
+                                <input type="number" id="slabDL" value="${slab.DL}" min="0" step="0.1" class="form-input">
                             </div>
                             <div>
                                 <label for="slabLL" class="input-label">Live Load <span class="unit-label">(kN/m²)</span></label>
-                                <input type="number" id="slabLL" value="3.0" min="0" step="0.1" class="form-input">
+                                <input type="number" id="slabLL" value="${slab.LL}" min="0" step="0.1" class="form-input">
                             </div>
                             <div>
                                 <label for="slabFck" class="input-label">Concrete Grade</label>
-                                <select id="slabFck" class="form-input">
-                                    <option value="20">M20</option>
-                                    <option value="25" selected>M25</option>
-                                    <option value="30">M30</option>
-                                </select>
+                                <select id="slabFck" class="form-input">${this.getMaterialOptions('concrete', slab.fck)}</select>
                             </div>
                             <div>
                                 <label for="slabFy" class="input-label">Steel Grade</label>
-                                <select id="slabFy" class="form-input">
-                                    <option value="415">Fe415</option>
-                                    <option value="500" selected>Fe500</option>
-                                </select>
+                                <select id="slabFy" class="form-input">${this.getMaterialOptions('steel', slab.fy)}</select>
                             </div>
                             <div>
                                 <label for="slabCover" class="input-label">Cover <span class="unit-label">(mm)</span></label>
-                                <input type="number" id="slabCover" value="20" min="15" max="50" class="form-input">
+                                <input type="number" id="slabCover" value="${slab.cover}" min="15" max="50" class="form-input">
+                            </div>
+                            <div>
+                                <label for="slabExposure" class="input-label">Exposure (crack control)</label>
+                                <select id="slabExposure" class="form-input">
+                                    <option value="moderate" ${selected('moderate', slab.exposure)}>Moderate</option>
+                                    <option value="severe" ${selected('severe', slab.exposure)}>Severe - weather, moisture or soil</option>
+                                    <option value="extreme" ${selected('extreme', slab.exposure)}>Extreme - aggressive environment</option>
+                                </select>
                             </div>
                         </div>
                         <div class="mt-6 space-y-3">
@@ -594,12 +1196,25 @@ class UIManager {
                     <div class="result-card">
                         <h3 class="result-title">Design Results</h3>
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4">
-                            <div class="result-item"><span class="font-medium">Main Steel (X):</span><span id="slabMainSteelX" class="result-text">-</span></div>
-                            <div class="result-item"><span class="font-medium">Main Steel (Y):</span><span id="slabMainSteelY" class="result-text">-</span></div>
-                            <div class="result-item"><span class="font-medium">Distribution Steel:</span><span id="slabDistributionSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">${twoWay ? 'Midspan Steel (X, short span):' : continuous ? 'End Span Steel:' : 'Main Steel:'}</span><span id="slabMainSteelX" class="result-text">-</span></div>
+                            ${continuous ? `
+                            <div class="result-item"><span class="font-medium">Steel at Support Next to End:</span><span id="slabNearEndSupportSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Interior Span Steel:</span><span id="slabInteriorSpanSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Steel at Interior Supports:</span><span id="slabInteriorSupportSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Support Shears:</span><span id="slabSupportShears" class="result-text">-</span></div>` : ''}
+                            ${twoWay ? `
+                            <div class="result-item"><span class="font-medium">Midspan Steel (Y, long span):</span><span id="slabMainSteelY" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Top Steel at Long Edges (X):</span><span id="slabSupportSteelX" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Top Steel at Short Edges (Y):</span><span id="slabSupportSteelY" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Corner Torsion Steel:</span><span id="slabTorsionSteel" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Moment Coefficients:</span><span id="slabPanelCoefficients" class="result-text">-</span></div>` : `
+                            <div class="result-item"><span class="font-medium">Distribution Steel:</span><span id="slabDistributionSteel" class="result-text">-</span></div>`}
                             <div class="result-item"><span class="font-medium">Steel Spacing:</span><span id="slabSteelSpacing" class="result-text">-</span></div>
                             <div class="result-item"><span class="font-medium">Deflection Check:</span><span id="slabDeflectionCheck" class="result-text">-</span></div>
-                            <div class="result-item"><span class="font-medium">Crack Width:</span><span id="slabCrackWidth" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Span/Depth:</span><span id="slabSpanDepthCheck" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Crack Control:</span><span id="slabCrackWidth" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Governing Combination:</span><span id="slabGoverningCombination" class="result-text">-</span></div>
+                            <div class="result-item"><span class="font-medium">Design Code:</span><span id="slabDesignCode" class="result-text">-</span></div>
                         </div>
                     </div>
 
@@ -772,25 +1387,1267 @@ class UIManager {
         this.setupBBSEventListeners();
     }
 
-    setupColumnEventListeners() {
-        document.getElementById('runColumnButton')?.addEventListener('click', () => {
-            this.showLoading(30, 'Designing column...');
-            setTimeout(() => this.app.runColumnDesign(), 100);
-        });
+    renderFrameAnalysis() {
+        const frameTab = document.getElementById('frame-analysis');
+        if (!frameTab) return;
+        
+        const frame = this.state.frame;
+        const { generator } = frame;
+        const selected = (value, current) => value == current ? 'selected' : '';
+        const cell = (collection, i, key, value, step = 'any') => `
+            <td class="border p-1"><input type="number" value="${value}" step="${step}" class="form-input"
+                onchange="civilSuite.updateFrameItem('${collection}', ${i}, '${key}', this.value)"></td>`;
+        const removeCell = (collection, i) => `
+            <td class="border p-1 text-center"><button onclick="civilSuite.removeFrameItem('${collection}', ${i})" class="text-red-600 hover:text-red-800">🗑️</button></td>`;
+        const emptyRow = (colspan, text) => `<tr><td colspan="${colspan}" class="border p-4 text-center text-gray-500">${text}</td></tr>`;
+        const caseCell = (collection, i, value) => `
+            <td class="border p-1">
+                <select class="form-input" onchange="civilSuite.updateFrameItem('${collection}', ${i}, 'loadCase', this.value)">
+                    ${window.loadCombinations.loadCases.map(loadCase => `<option value="${loadCase.id}" ${selected(loadCase.id, value)}>${loadCase.id}</option>`).join('')}
+                </select>
+            </td>`;
+        const { enabled } = this.state.combinations;
+        const combinations = [
+            ...window.loadCombinations.getCombinations('ULS', enabled),
+            ...window.loadCombinations.getCombinations('SLS', enabled)
+        ];
+        
+        frameTab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">1. Frame Generator</h3>
+                        <div class="space-y-4">
+                            <div class="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label for="frameBays" class="input-label">Bays</label>
+                                    <input type="number" id="frameBays" value="${generator.bays}" min="1" max="10" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameStoreys" class="input-label">Storeys</label>
+                                    <input type="number" id="frameStoreys" value="${generator.storeys}" min="1" max="20" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameBayWidth" class="input-label">Bay Width <span class="unit-label">(m)</span></label>
+                                    <input type="number" id="frameBayWidth" value="${generator.bayWidth}" min="1" step="0.1" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameStoreyHeight" class="input-label">Storey Height <span class="unit-label">(m)</span></label>
+                                    <input type="number" id="frameStoreyHeight" value="${generator.storeyHeight}" min="1" step="0.1" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameColumnB" class="input-label">Column b <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="frameColumnB" value="300" min="150" step="25" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameColumnD" class="input-label">Column D <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="frameColumnD" value="450" min="150" step="25" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameBeamB" class="input-label">Beam b <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="frameBeamB" value="230" min="150" step="25" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="frameBeamD" class="input-label">Beam D <span class="unit-label">(mm)</span></label>
+                                    <input type="number" id="frameBeamD" value="450" min="150" step="25" class="form-input">
+                                </div>
+                            </div>
+                            <button id="generateFrameButton" class="print-button w-full no-print">🏗️ Generate Frame</button>
+                            <p class="text-xs text-gray-500">Generating replaces the current nodes, members and loads.</p>
+                        </div>
+                    </div>
 
-        document.getElementById('printColumnReport')?.addEventListener('click', () => {
-            this.generateColumnReport();
-        });
-    }
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">2. Material</h3>
+                        <div>
+                            <label for="frameFck" class="input-label">Concrete Grade</label>
+                            <select id="frameFck" class="form-input" onchange="civilSuite.runFrameAnalysis()">
+                                ${this.getMaterialOptions('concrete', frame.fck)}
+                            </select>
+                        </div>
+                        <div class="mt-4">
+                            <label for="frameCombinationSelect" class="input-label">Show Combination</label>
+                            <select id="frameCombinationSelect" class="form-input" onchange="civilSuite.selectFrameCombination(this.value)">
+                                ${combinations.map(combination => `
+                                    <option value="${combination.id}" ${selected(combination.id, frame.combination)}>${combination.limitState}: ${combination.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="mt-6 space-y-3">
+                            <button id="runFrameButton" class="run-button w-full">🏗️ Analyze Frame</button>
+                        </div>
+                    </div>
+                </div>
 
-    setupSlabEventListeners() {
-        document.getElementById('runSlabButton')?.addEventListener('click', () => {
-            this.showLoading(30, 'Designing slab...');
-            setTimeout(() => this.app.runSlabDesign(), 100);
-        });
+                <div class="xl:col-span-3 space-y-6">
+                    <div id="frameStatus" class="status-visual hidden"></div>
+                    
+                    <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                        <div class="result-card-small">
+                            <p class="result-label">Max Displacement</p>
+                            <p id="frameMaxDisplacement" class="result-value">-</p>
+                        </div>
+                        <div class="result-card-small">
+                            <p class="result-label">Max Axial Force</p>
+                            <p id="frameMaxAxial" class="result-value">-</p>
+                        </div>
+                        <div class="result-card-small">
+                            <p class="result-label">Max Shear</p>
+                            <p id="frameMaxShear" class="result-value">-</p>
+                        </div>
+                        <div class="result-card-small">
+                            <p class="result-label">Max Moment</p>
+                            <p id="frameMaxMoment" class="result-value">-</p>
+                        </div>
+                    </div>
 
-        document.getElementById('printSlabReport')?.addEventListener('click', () => {
-            this.generateSlabReport();
+                    <div class="result-card">
+                        <h3 class="result-title">Frame Model</h3>
+                        <div class="visual-box">
+                            <svg id="frame-svg" width="100%" height="400" viewBox="0 0 600 400"></svg>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-2">Click a member to see its diagrams. The dashed line is the exaggerated deflected shape.</p>
+                    </div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <div class="result-card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h3 class="result-title">Nodes</h3>
+                                <button onclick="civilSuite.addFrameItem('nodes')" class="print-button no-print">➕ Node</button>
+                            </div>
+                            <div class="overflow-x-auto">
+                                <table class="w-full border-collapse text-sm">
+                                    <thead>
+                                        <tr class="bg-gray-50 dark:bg-gray-700">
+                                            <th class="border p-2">Node</th>
+                                            <th class="border p-2">X (m)</th>
+                                            <th class="border p-2">Y (m)</th>
+                                            <th class="border p-2">Support</th>
+                                            <th class="border p-2"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${frame.nodes.map((node, i) => `
+                                            <tr>
+                                                <td class="border p-2 text-center">N${node.id}</td>
+                                                ${cell('nodes', i, 'x', node.x, 0.1)}
+                                                ${cell('nodes', i, 'y', node.y, 0.1)}
+                                                <td class="border p-1">
+                                                    <select class="form-input" onchange="civilSuite.updateFrameItem('nodes', ${i}, 'support', this.value)">
+                                                        ${Object.keys(window.frameAnalysis.supportRestraints).map(type => `
+                                                            <option value="${type}" ${selected(type, node.support)}>${type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                                                        `).join('')}
+                                                    </select>
+                                                </td>
+                                                ${removeCell('nodes', i)}
+                                            </tr>
+                                        `).join('') || emptyRow(5, 'No nodes')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <div class="result-card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h3 class="result-title">Members</h3>
+                                <button onclick="civilSuite.addFrameItem('members')" class="print-button no-print">➕ Member</button>
+                            </div>
+                            <div class="overflow-x-auto">
+                                <table class="w-full border-collapse text-sm">
+                                    <thead>
+                                        <tr class="bg-gray-50 dark:bg-gray-700">
+                                            <th class="border p-2">Member</th>
+                                            <th class="border p-2">Node i</th>
+                                            <th class="border p-2">Node j</th>
+                                            <th class="border p-2">b (mm)</th>
+                                            <th class="border p-2">D (mm)</th>
+                                            <th class="border p-2" title="Moment release (hinge) at each end">Hinge i / j</th>
+                                            <th class="border p-2"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${frame.members.map((member, i) => `
+                                            <tr>
+                                                <td class="border p-2 text-center">M${member.id}</td>
+                                                ${cell('members', i, 'i', member.i, 1)}
+                                                ${cell('members', i, 'j', member.j, 1)}
+                                                ${cell('members', i, 'b', member.b, 5)}
+                                                ${cell('members', i, 'D', member.D, 5)}
+                                                <td class="border p-2 text-center">
+                                                    <input type="checkbox" ${member.releaseStart ? 'checked' : ''}
+                                                        onchange="civilSuite.updateFrameItem('members', ${i}, 'releaseStart', this.checked)">
+                                                    <input type="checkbox" ${member.releaseEnd ? 'checked' : ''}
+                                                        onchange="civilSuite.updateFrameItem('members', ${i}, 'releaseEnd', this.checked)">
+                                                </td>
+                                                ${removeCell('members', i)}
+                                            </tr>
+                                        `).join('') || emptyRow(7, 'No members')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <div class="result-card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h3 class="result-title">Nodal Loads</h3>
+                                <button onclick="civilSuite.addFrameItem('nodalLoads')" class="print-button no-print">➕ Load</button>
+                            </div>
+                            <div class="overflow-x-auto">
+                                <table class="w-full border-collapse text-sm">
+                                    <thead>
+                                        <tr class="bg-gray-50 dark:bg-gray-700">
+                                            <th class="border p-2">Node</th>
+                                            <th class="border p-2">Case</th>
+                                            <th class="border p-2" title="Positive to the right">Fx (kN)</th>
+                                            <th class="border p-2" title="Positive upwards">Fy (kN)</th>
+                                            <th class="border p-2" title="Positive anticlockwise">Mz (kNm)</th>
+                                            <th class="border p-2"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${frame.nodalLoads.map((load, i) => `
+                                            <tr>
+                                                ${cell('nodalLoads', i, 'node', load.node, 1)}
+                                                ${caseCell('nodalLoads', i, load.loadCase)}
+                                                ${cell('nodalLoads', i, 'Fx', load.Fx)}
+                                                ${cell('nodalLoads', i, 'Fy', load.Fy)}
+                                                ${cell('nodalLoads', i, 'Mz', load.Mz)}
+                                                ${removeCell('nodalLoads', i)}
+                                            </tr>
+                                        `).join('') || emptyRow(6, 'No nodal loads')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+
+                        <div class="result-card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h3 class="result-title">Member Loads</h3>
+                                <button onclick="civilSuite.addFrameItem('memberLoads')" class="print-button no-print">➕ Load</button>
+                            </div>
+                            <div class="overflow-x-auto">
+                                <table class="w-full border-collapse text-sm">
+                                    <thead>
+                                        <tr class="bg-gray-50 dark:bg-gray-700">
+                                            <th class="border p-2">Member</th>
+                                            <th class="border p-2">Case</th>
+                                            <th class="border p-2">Type</th>
+                                            <th class="border p-2" title="kN, kNm or kN/m at the start">Value</th>
+                                            <th class="border p-2" title="End intensity of a trapezoidal load">End Value</th>
+                                            <th class="border p-2" title="Distance from node i">a (m)</th>
+                                            <th class="border p-2">Length (m)</th>
+                                            <th class="border p-2"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${frame.memberLoads.map((load, i) => `
+                                            <tr>
+                                                ${cell('memberLoads', i, 'member', load.member, 1)}
+                                                ${caseCell('memberLoads', i, load.loadCase)}
+                                                <td class="border p-1">
+                                                    <select class="form-input" onchange="civilSuite.updateFrameItem('memberLoads', ${i}, 'type', this.value)">
+                                                        <option value="udl" ${selected('udl', load.type)}>UDL</option>
+                                                        <option value="point" ${selected('point', load.type)}>Point</option>
+                                                        <option value="moment" ${selected('moment', load.type)}>Moment</option>
+                                                        <option value="triangular" ${selected('triangular', load.type)}>Triangular</option>
+                                                        <option value="trapezoidal" ${selected('trapezoidal', load.type)}>Trapezoidal</option>
+                                                    </select>
+                                                </td>
+                                                ${cell('memberLoads', i, 'magnitude', load.magnitude)}
+                                                ${cell('memberLoads', i, 'magnitude2', load.magnitude2 || 0)}
+                                                ${cell('memberLoads', i, 'position', load.position, 0.1)}
+                                                ${cell('memberLoads', i, 'extent', load.extent, 0.1)}
+                                                ${removeCell('memberLoads', i)}
+                                            </tr>
+                                        `).join('') || emptyRow(8, 'No member loads')}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <p class="text-xs text-gray-500 mt-2">Member loads act on the right-hand side looking from node i to node j (downwards on a beam drawn left to right).</p>
+                        </div>
+                    </div>
+
+                    <div class="result-card">
+                        <div class="flex flex-wrap justify-between items-center gap-2 mb-4">
+                            <h3 class="result-title">Member Diagrams</h3>
+                            <div class="flex flex-wrap gap-2">
+                                <select id="frameMemberSelect" class="form-input" onchange="civilSuite.selectFrameMember(this.value)">
+                                    ${frame.members.map(member => `<option value="${member.id}" ${selected(member.id, frame.selectedMember)}>M${member.id}</option>`).join('')}
+                                </select>
+                                <button onclick="civilSuite.sendFrameMemberToBeam(civilSuite.state.frame.selectedMember)" class="print-button no-print">📏 Design as Beam</button>
+                                <button onclick="civilSuite.sendFrameMemberToColumn(civilSuite.state.frame.selectedMember)" class="print-button no-print">🏛️ Design as Column</button>
+                            </div>
+                        </div>
+                        <div class="result-item mb-4"><span class="font-medium">Governing ULS Combination:</span><span id="frameMemberGoverning" class="result-text">-</span></div>
+                        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                            <div><h4 class="font-medium mb-2">Axial Force (kN)</h4><div class="chart-container"><canvas id="frame-axial-chart"></canvas></div></div>
+                            <div><h4 class="font-medium mb-2">Shear Force (kN)</h4><div class="chart-container"><canvas id="frame-shear-chart"></canvas></div></div>
+                            <div><h4 class="font-medium mb-2">Bending Moment (kNm)</h4><div class="chart-container"><canvas id="frame-moment-chart"></canvas></div></div>
+                        </div>
+                    </div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div class="result-card">
+                            <h3 class="result-title">Displacements</h3>
+                            <div id="frame-displacement-results" class="overflow-x-auto text-sm"></div>
+                        </div>
+                        <div class="result-card">
+                            <h3 class="result-title">Reactions</h3>
+                            <div id="frame-reaction-results" class="overflow-x-auto text-sm"></div>
+                        </div>
+                        <div class="result-card">
+                            <h3 class="result-title">Member End Forces</h3>
+                            <div id="frame-member-results" class="overflow-x-auto text-sm"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupFrameEventListeners();
+        this.app.runFrameAnalysis();
+    }
+
+    renderLoadCombinations() {
+        const tab = document.getElementById('load-combinations');
+        if (!tab) return;
+        
+        const { loadCases } = window.loadCombinations;
+        const { enabled } = this.state.combinations;
+        const code = window.designCodes.getActive();
+        const factor = (value) => value ? (value > 0 ? value.toFixed(1) : `−${Math.abs(value).toFixed(1)}`) : '–';
+        const combinationTable = (limitState) => `
+            <table class="w-full border-collapse text-sm">
+                <thead>
+                    <tr class="bg-gray-50 dark:bg-gray-700">
+                        <th class="border p-2">Use</th>
+                        <th class="border p-2">ID</th>
+                        <th class="border p-2 text-left">Combination</th>
+                        ${loadCases.map(loadCase => `<th class="border p-2" title="${loadCase.name}">${loadCase.id}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${window.loadCombinations.getAllCombinations().filter(c => c.limitState === limitState).map(combination => `
+                        <tr class="${enabled[combination.id] === false ? 'text-gray-400' : ''}">
+                            <td class="border p-2 text-center">
+                                <input type="checkbox" ${enabled[combination.id] === false ? '' : 'checked'}
+                                    onchange="civilSuite.toggleLoadCombination('${combination.id}', this.checked); this.closest('tr').classList.toggle('text-gray-400', !this.checked)">
+                            </td>
+                            <td class="border p-2 text-center">${combination.id}</td>
+                            <td class="border p-2">${combination.label}</td>
+                            ${loadCases.map(loadCase => `<td class="border p-2 text-center">${factor(combination.factors[loadCase.id])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        tab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Load Cases</h3>
+                        <div class="space-y-2 text-sm">
+                            ${loadCases.map(loadCase => `
+                                <div class="result-item"><span class="font-medium">${loadCase.id}</span><span class="result-text">${loadCase.name}</span></div>
+                            `).join('')}
+                        </div>
+                        <p class="text-xs text-gray-500 mt-4">${code.combinationNote}</p>
+                        <p class="text-xs text-gray-500 mt-2">Material factors: ${window.designCodes.describeFactors(code)}</p>
+                        <div class="mt-6 space-y-3">
+                            <button onclick="civilSuite.setAllLoadCombinations(true)" class="print-button w-full no-print">✅ Enable All</button>
+                        </div>
+                    </div>
+
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Governing Combinations</h3>
+                        <div id="governing-combinations" class="space-y-2 text-sm"></div>
+                    </div>
+                </div>
+
+                <div class="xl:col-span-3 space-y-6">
+                    <div class="result-card">
+                        <h3 class="result-title">Ultimate Limit State</h3>
+                        <div class="overflow-x-auto">${combinationTable('ULS')}</div>
+                    </div>
+                    <div class="result-card">
+                        <h3 class="result-title">Serviceability Limit State (deflection and cracking)</h3>
+                        <div class="overflow-x-auto">${combinationTable('SLS')}</div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.renderGoverningCombinations();
+    }
+
+    renderDesignCodeOptions() {
+        const select = document.getElementById('design-code');
+        if (!select) return;
+        select.innerHTML = window.designCodes.list().map(code =>
+            `<option value="${code.id}" class="text-black" ${code.id === this.state.designCode ? 'selected' : ''}>${code.name}</option>`
+        ).join('');
+    }
+
+    // Grade options from the material library, custom materials included
+    getMaterialOptions(kind, selectedValue) {
+        const library = window.materialLibrary;
+        const materials = kind === 'concrete' ? library.listConcrete() : library.listSteel();
+        const key = kind === 'concrete' ? 'fck' : 'fy';
+        return materials.map(material =>
+            `<option value="${material[key]}" ${material[key] === Number(selectedValue) ? 'selected' : ''}>${material.name}</option>`
+        ).join('');
+    }
+
+    renderBeamMaterialOptions() {
+        const { fck, fy } = this.state.beam;
+        const concrete = document.getElementById('beamFck');
+        const steel = document.getElementById('beamFy');
+        if (concrete) concrete.innerHTML = this.getMaterialOptions('concrete', fck);
+        if (steel) steel.innerHTML = this.getMaterialOptions('steel', fy);
+    }
+
+    renderMaterials() {
+        const tab = document.getElementById('materials');
+        if (!tab) return;
+        
+        const library = window.materialLibrary;
+        // xu,max/d is the active code's limit, with the concrete of the beam design for its εcu
+        const concrete = library.getConcrete(this.state.beam.fck);
+        const remove = (material, kind, strength) => material.custom
+            ? `<button onclick="civilSuite.removeCustomMaterial('${kind}', ${strength})" class="text-red-500 hover:text-red-700" title="Remove">✕</button>`
+            : '';
+        
+        tab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Custom Concrete</h3>
+                        <div class="space-y-4">
+                            <div>
+                                <label for="customConcreteName" class="input-label">Name</label>
+                                <input type="text" id="customConcreteName" placeholder="e.g. M32 site mix" class="form-input">
+                            </div>
+                            <div>
+                                <label for="customConcreteFck" class="input-label">fck <span class="unit-label">(N/mm²)</span></label>
+                                <input type="number" id="customConcreteFck" min="10" max="120" step="1" class="form-input">
+                            </div>
+                            <div class="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label for="customConcreteEc" class="input-label">Ec <span class="unit-label">(N/mm²)</span></label>
+                                    <input type="number" id="customConcreteEc" min="0" placeholder="5000√fck" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="customConcreteFcr" class="input-label">fcr <span class="unit-label">(N/mm²)</span></label>
+                                    <input type="number" id="customConcreteFcr" min="0" step="0.1" placeholder="0.7√fck" class="form-input">
+                                </div>
+                            </div>
+                            <div>
+                                <label for="customConcreteDensity" class="input-label">Unit Weight <span class="unit-label">(kN/m³)</span></label>
+                                <input type="number" id="customConcreteDensity" min="0" step="0.5" placeholder="25" class="form-input">
+                            </div>
+                            <button onclick="civilSuite.saveCustomMaterial('concrete')" class="run-button w-full">💾 Save Concrete</button>
+                        </div>
+                    </div>
+
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Custom Reinforcement</h3>
+                        <div class="space-y-4">
+                            <div>
+                                <label for="customSteelName" class="input-label">Name</label>
+                                <input type="text" id="customSteelName" placeholder="e.g. Fe500D" class="form-input">
+                            </div>
+                            <div class="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label for="customSteelFy" class="input-label">fy <span class="unit-label">(N/mm²)</span></label>
+                                    <input type="number" id="customSteelFy" min="200" max="1000" step="5" class="form-input">
+                                </div>
+                                <div>
+                                    <label for="customSteelEs" class="input-label">Es <span class="unit-label">(N/mm²)</span></label>
+                                    <input type="number" id="customSteelEs" min="0" placeholder="200000" class="form-input">
+                                </div>
+                            </div>
+                            <div>
+                                <label for="customSteelCurve" class="input-label">Stress-Strain Curve</label>
+                                <select id="customSteelCurve" class="form-input">
+                                    <option value="cold-worked">Cold-worked (Fig 23A)</option>
+                                    <option value="mild">Mild steel (Fig 23B)</option>
+                                </select>
+                            </div>
+                            <button onclick="civilSuite.saveCustomMaterial('steel')" class="run-button w-full">💾 Save Reinforcement</button>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-4">A custom material replaces the standard grade of the same strength in every module. Custom materials are saved with exported projects.</p>
+                    </div>
+                </div>
+
+                <div class="xl:col-span-3 space-y-6">
+                    <div class="result-card">
+                        <h3 class="result-title">Concrete Grades</h3>
+                        <div class="overflow-x-auto">
+                            <table class="w-full border-collapse text-sm">
+                                <thead>
+                                    <tr class="bg-gray-50 dark:bg-gray-700">
+                                        <th class="border p-2 text-left">Grade</th>
+                                        <th class="border p-2">fck (N/mm²)</th>
+                                        <th class="border p-2">Ec (N/mm²)</th>
+                                        <th class="border p-2">fcr (N/mm²)</th>
+                                        <th class="border p-2">εcu</th>
+                                        <th class="border p-2">Unit Weight (kN/m³)</th>
+                                        <th class="border p-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${library.listConcrete().map(material => `
+                                        <tr class="${material.custom ? 'bg-blue-50 dark:bg-gray-700' : ''}">
+                                            <td class="border p-2">${material.name}</td>
+                                            <td class="border p-2 text-center">${material.fck}</td>
+                                            <td class="border p-2 text-center">${Math.round(material.Ec)}</td>
+                                            <td class="border p-2 text-center">${material.fcr.toFixed(2)}</td>
+                                            <td class="border p-2 text-center">${material.epsilonCu.toFixed(4)}</td>
+                                            <td class="border p-2 text-center">${material.density}</td>
+                                            <td class="border p-2 text-center">${remove(material, 'concrete', material.fck)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div class="result-card">
+                        <h3 class="result-title">Reinforcement Grades</h3>
+                        <div class="overflow-x-auto">
+                            <table class="w-full border-collapse text-sm">
+                                <thead>
+                                    <tr class="bg-gray-50 dark:bg-gray-700">
+                                        <th class="border p-2 text-left">Grade</th>
+                                        <th class="border p-2">fy (N/mm²)</th>
+                                        <th class="border p-2">Es (N/mm²)</th>
+                                        <th class="border p-2">xu,max/d <span class="unit-label">${window.calculationEngine.getCode().name}, ${concrete.name}</span></th>
+                                        <th class="border p-2">Stress-Strain Curve</th>
+                                        <th class="border p-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${library.listSteel().map(material => `
+                                        <tr class="${material.custom ? 'bg-blue-50 dark:bg-gray-700' : ''}">
+                                            <td class="border p-2">${material.name}</td>
+                                            <td class="border p-2 text-center">${material.fy}</td>
+                                            <td class="border p-2 text-center">${Math.round(material.Es)}</td>
+                                            <td class="border p-2 text-center">${window.calculationEngine.getLimitingDepthRatio(material.fy, concrete.fck).toFixed(3)}</td>
+                                            <td class="border p-2 text-center">${material.curve === 'mild' ? 'Mild steel' : 'Cold-worked'}</td>
+                                            <td class="border p-2 text-center">${remove(material, 'steel', material.fy)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderOptimizer() {
+        const tab = document.getElementById('optimizer');
+        if (!tab) return;
+        
+        const library = window.materialLibrary;
+        const { module, ranges, grades, rates } = this.state.optimizer;
+        const modules = { beam: 'Beam (current beam inputs)', column: 'Column (current column inputs)', slab: 'Slab (current slab inputs)' };
+        const dimensionLabels = { b: 'Width b', D: 'Depth D', width: 'Width', depth: 'Depth', thickness: 'Thickness' };
+        const rangeInput = (key, bound) => `
+            <input type="number" value="${ranges[module][key][bound]}" min="25" step="25" class="form-input"
+                onchange="civilSuite.updateOptimizerRange('${key}', '${bound}', this.value)">`;
+        const gradeRows = (kind, materials, strength, unit) => materials.map(material => `
+            <tr>
+                <td class="border p-2 text-center">
+                    <input type="checkbox" ${grades[kind].includes(material[strength]) ? 'checked' : ''}
+                        onchange="civilSuite.toggleOptimizerGrade('${kind}', ${material[strength]}, this.checked)">
+                </td>
+                <td class="border p-2">${material.name}</td>
+                <td class="border p-2">
+                    <input type="number" value="${rates[kind][material[strength]] ?? ''}" min="0" step="1" class="form-input" title="${unit}"
+                        onchange="civilSuite.updateOptimizerRate('${kind}', ${material[strength]}, this.value)">
+                </td>
+            </tr>
+        `).join('');
+        const gradeTable = (title, kind, materials, strength, unit) => `
+            <table class="w-full border-collapse text-sm">
+                <thead>
+                    <tr class="bg-gray-50 dark:bg-gray-700">
+                        <th class="border p-2">Use</th>
+                        <th class="border p-2 text-left">${title}</th>
+                        <th class="border p-2">Rate (${unit})</th>
+                    </tr>
+                </thead>
+                <tbody>${gradeRows(kind, materials, strength, unit)}</tbody>
+            </table>
+        `;
+        
+        tab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Search</h3>
+                        <div class="space-y-4">
+                            <div>
+                                <label for="optimizerModule" class="input-label">Member</label>
+                                <select id="optimizerModule" class="form-input" onchange="civilSuite.setOptimizerModule(this.value)">
+                                    ${Object.keys(modules).map(key => `<option value="${key}" ${key === module ? 'selected' : ''}>${modules[key]}</option>`).join('')}
+                                </select>
+                            </div>
+                            ${Object.keys(ranges[module]).map(key => `
+                                <div>
+                                    <span class="input-label">${dimensionLabels[key]} <span class="unit-label">(min / max / step, mm)</span></span>
+                                    <div class="grid grid-cols-3 gap-2">
+                                        ${rangeInput(key, 'min')}${rangeInput(key, 'max')}${rangeInput(key, 'step')}
+                                    </div>
+                                </div>
+                            `).join('')}
+                            <div>
+                                <label for="optimizerFormworkRate" class="input-label">Formwork Rate <span class="unit-label">(per m²)</span></label>
+                                <input type="number" id="optimizerFormworkRate" value="${rates.formwork}" min="0" step="1" class="form-input"
+                                    onchange="civilSuite.updateOptimizerRate('formwork', null, this.value)">
+                            </div>
+                            <button onclick="civilSuite.runOptimizer()" class="run-button w-full">💰 Find Cheapest Designs</button>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-4">Every size and ticked grade is designed with the module's other inputs and the enabled load combinations. Designs must pass every strength and serviceability check.</p>
+                    </div>
+                </div>
+
+                <div class="xl:col-span-3 space-y-6">
+                    <div class="result-card">
+                        <h3 class="result-title">Grades and Unit Rates</h3>
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <div class="overflow-x-auto">${gradeTable('Concrete', 'concrete', library.listConcrete(), 'fck', 'per m³')}</div>
+                            <div class="overflow-x-auto">${gradeTable('Reinforcement', 'steel', library.listSteel(), 'fy', 'per kg')}</div>
+                        </div>
+                    </div>
+                    <div class="result-card">
+                        <h3 class="result-title">Cheapest Feasible Designs</h3>
+                        <div id="optimizer-results"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.renderOptimizerResults();
+    }
+
+    renderOptimizerResults() {
+        const container = document.getElementById('optimizer-results');
+        if (!container) return;
+        
+        const results = this.app.optimizerResults;
+        if (!results || results.module !== this.state.optimizer.module) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Run the search to rank designs by cost.</p>';
+            return;
+        }
+        
+        const library = window.materialLibrary;
+        const cost = (value) => this.app.formatCost(value);
+        container.innerHTML = `
+            <p class="text-sm text-gray-600 mb-3">${results.searched} candidates, ${results.checked} designed
+                (the rest cost more in concrete and formwork alone than the designs kept), ${results.feasible} passed every check.
+                ${results.rejected.count ? `${results.rejected.count} could not be designed: ${results.rejected.message}` : ''}</p>
+            ${results.designs.length ? `
+                <div class="overflow-x-auto">
+                    <table class="w-full border-collapse text-sm">
+                        <thead>
+                            <tr class="bg-gray-50 dark:bg-gray-700">
+                                <th class="border p-2">Rank</th>
+                                <th class="border p-2 text-left">Size</th>
+                                <th class="border p-2">Grades</th>
+                                <th class="border p-2 text-left">Reinforcement</th>
+                                <th class="border p-2">Concrete</th>
+                                <th class="border p-2">Steel</th>
+                                <th class="border p-2">Formwork</th>
+                                <th class="border p-2">Total</th>
+                                <th class="border p-2">Utilization</th>
+                                <th class="border p-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${results.designs.map((design, rank) => `
+                                <tr class="${rank === 0 ? 'bg-green-50 dark:bg-gray-700' : ''}">
+                                    <td class="border p-2 text-center">${rank + 1}</td>
+                                    <td class="border p-2">${design.size}</td>
+                                    <td class="border p-2 text-center">${library.getConcrete(design.candidate.fck).name} / ${library.getSteel(design.candidate.fy).name}</td>
+                                    <td class="border p-2">${design.reinforcement}</td>
+                                    <td class="border p-2 text-right">${cost(design.cost.concrete)}</td>
+                                    <td class="border p-2 text-right" title="${design.cost.steelWeight.toFixed(1)} kg">${cost(design.cost.steel)}</td>
+                                    <td class="border p-2 text-right">${cost(design.cost.formwork)}</td>
+                                    <td class="border p-2 text-right font-bold">${cost(design.cost.total)}</td>
+                                    <td class="border p-2 text-center">${(design.utilization * 100).toFixed(1)}%</td>
+                                    <td class="border p-2 text-center">
+                                        <button onclick="civilSuite.applyOptimizedDesign(${rank})" class="text-blue-600 hover:text-blue-800 no-print">Apply</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p class="text-sm text-red-600">No candidate passes every check. Widen the size ranges or tick more grades.</p>'}
+        `;
+    }
+
+    renderParametricStudy() {
+        const tab = document.getElementById('parametric-study');
+        if (!tab) return;
+        
+        const { module, x, y, output } = this.state.study;
+        const parameters = this.app.getStudyParameters(module);
+        const outputs = this.app.getStudyOutputs(module);
+        const modules = { beam: 'Beam', column: 'Column', slab: 'Slab' };
+        const options = (choices, selected) => Object.keys(choices).map(key =>
+            `<option value="${key}" ${key === selected ? 'selected' : ''}>${choices[key].label || choices[key]}</option>`
+        ).join('');
+        const rangeInputs = (axis, range) => `
+            <div class="grid grid-cols-3 gap-2 mt-2">
+                ${['from', 'to', 'steps'].map(field => `
+                    <div>
+                        <span class="text-xs text-gray-500">${{ from: 'From', to: 'To', steps: 'Steps' }[field]}</span>
+                        <input type="number" value="${range[field]}" step="${field === 'steps' ? 1 : 'any'}" ${field === 'steps' ? 'min="1"' : ''} class="form-input"
+                            onchange="civilSuite.updateStudyRange('${axis}', '${field}', this.value)">
+                    </div>
+                `).join('')}
+            </div>`;
+        
+        tab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Study</h3>
+                        <div class="space-y-4">
+                            <div>
+                                <label for="studyModule" class="input-label">Member</label>
+                                <select id="studyModule" class="form-input" onchange="civilSuite.setStudyModule(this.value)">
+                                    ${options(modules, module)}
+                                </select>
+                            </div>
+                            <div>
+                                <label for="studyX" class="input-label">First Parameter</label>
+                                <select id="studyX" class="form-input" onchange="civilSuite.setStudyParameter('x', this.value)">
+                                    ${options(parameters, x.key)}
+                                </select>
+                                ${rangeInputs('x', x)}
+                            </div>
+                            <div>
+                                <label for="studyY" class="input-label">Second Parameter</label>
+                                <select id="studyY" class="form-input" onchange="civilSuite.setStudyParameter('y', this.value)">
+                                    <option value="" ${y.key ? '' : 'selected'}>None (line chart)</option>
+                                    ${options(parameters, y.key)}
+                                </select>
+                                ${y.key ? rangeInputs('y', y) : ''}
+                            </div>
+                            <div>
+                                <label for="studyOutput" class="input-label">Plotted Result</label>
+                                <select id="studyOutput" class="form-input" onchange="civilSuite.setStudyOutput(this.value)">
+                                    ${options(outputs, output)}
+                                </select>
+                            </div>
+                            <button onclick="civilSuite.runStudy()" class="run-button w-full">📈 Run Study</button>
+                            <button onclick="civilSuite.ui.exportStudyToCSV()" class="print-button w-full no-print">📥 Export CSV</button>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-4">Every other input keeps the value entered in its module. Each point is a full design under the enabled load combinations.</p>
+                    </div>
+                </div>
+
+                <div class="xl:col-span-3 space-y-6">
+                    <div class="result-card">
+                        <h3 id="study-chart-title" class="result-title">Results</h3>
+                        <div class="chart-container"><canvas id="study-chart"></canvas></div>
+                    </div>
+                    <div class="result-card">
+                        <h3 class="result-title">Result Grid</h3>
+                        <div id="study-results" class="overflow-x-auto"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.renderStudyResults();
+    }
+
+    // A line chart for one swept parameter, a heat map for two
+    renderStudyResults() {
+        const container = document.getElementById('study-results');
+        if (!container) return;
+        
+        const results = this.app.studyResults;
+        if (!results || results.module !== this.state.study.module) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Run the study to fill the grid.</p>';
+            return;
+        }
+        
+        const parameters = this.app.getStudyParameters(results.module);
+        const outputs = this.app.getStudyOutputs(results.module);
+        const output = outputs[this.state.study.output] || outputs.utilization;
+        const xLabel = parameters[results.x.key];
+        const yLabel = results.y ? parameters[results.y.key] : null;
+        const valueOf = (row) => row.values ? row.values[this.state.study.output] : null;
+        const format = (row, key) => row.values ? row.values[key].toFixed(outputs[key].digits) : '–';
+        
+        const title = document.getElementById('study-chart-title');
+        if (title) title.textContent = yLabel ? `${output.label} over ${xLabel} and ${yLabel}` : `${output.label} against ${xLabel}`;
+        if (window.chartManager) {
+            if (results.y) {
+                window.chartManager.renderHeatMapChart('study-chart', {
+                    cells: results.rows.map(row => ({ x: row.x, y: row.y, value: valueOf(row) })),
+                    xValues: window.parametricStudy.getValues(results.x),
+                    yValues: window.parametricStudy.getValues(results.y),
+                    label: output.label, unit: output.unit, digits: output.digits, xLabel, yLabel
+                });
+            } else {
+                window.chartManager.renderDiagramChart('study-chart', {
+                    labels: results.rows.map(row => row.x),
+                    data: results.rows.map(valueOf),
+                    label: output.label, unit: output.unit, color: '#3b82f6', xLabel
+                });
+            }
+        }
+        
+        container.innerHTML = `
+            <table class="w-full border-collapse text-sm">
+                <thead>
+                    <tr class="bg-gray-50 dark:bg-gray-700">
+                        <th class="border p-2">${xLabel}</th>
+                        ${yLabel ? `<th class="border p-2">${yLabel}</th>` : ''}
+                        ${Object.keys(outputs).map(key => `<th class="border p-2">${outputs[key].label}${outputs[key].unit ? ` (${outputs[key].unit})` : ''}</th>`).join('')}
+                        <th class="border p-2">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${results.rows.map(row => `
+                        <tr>
+                            <td class="border p-2 text-center">${row.x}</td>
+                            ${yLabel ? `<td class="border p-2 text-center">${row.y}</td>` : ''}
+                            ${Object.keys(outputs).map(key => `<td class="border p-2 text-center">${format(row, key)}</td>`).join('')}
+                            <td class="border p-2 text-center ${row.isSafe ? 'text-green-600' : 'text-red-600'}" title="${row.error || ''}">
+                                ${row.error ? 'Error' : (row.isSafe ? 'PASS' : 'FAIL')}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    exportStudyToCSV() {
+        const results = this.app.studyResults;
+        if (!results) {
+            this.showToast('Run the study first', 'warning');
+            return;
+        }
+
+        const parameters = this.app.getStudyParameters(results.module);
+        const outputs = this.app.getStudyOutputs(results.module);
+        const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+        const headers = [
+            parameters[results.x.key],
+            ...(results.y ? [parameters[results.y.key]] : []),
+            ...Object.keys(outputs).map(key => outputs[key].label + (outputs[key].unit ? ` (${outputs[key].unit})` : '')),
+            'Status'
+        ];
+        const csvData = [
+            headers.map(quote).join(','),
+            ...results.rows.map(row => [
+                row.x,
+                ...(results.y ? [row.y] : []),
+                ...Object.keys(outputs).map(key => row.values ? row.values[key].toFixed(outputs[key].digits + 2) : ''),
+                row.error ? quote(`Error: ${row.error}`) : (row.isSafe ? 'PASS' : 'FAIL')
+            ].join(','))
+        ].join('\n');
+
+        const blob = new Blob([csvData], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `parametric-study-${results.module}.csv`;
+        link.click();
+
+        this.showToast('Study exported to CSV', 'success');
+    }
+
+    renderReliability() {
+        const tab = document.getElementById('reliability');
+        if (!tab) return;
+        
+        const { module, samples, seed } = this.state.reliability;
+        const variables = this.app.getReliabilityVariables(module);
+        const { distributions } = window.reliability;
+        const modules = { beam: 'Beam (flexure)', column: 'Column (axial and moments)' };
+        
+        tab.innerHTML = `
+            <div class="grid grid-cols-1 xl:grid-cols-4 gap-8">
+                <div class="xl:col-span-1 space-y-6">
+                    <div class="result-card p-6">
+                        <h3 class="text-xl font-bold text-gray-800 mb-4">Monte Carlo</h3>
+                        <div class="space-y-4">
+                            <div>
+                                <label for="reliabilityModule" class="input-label">Member</label>
+                                <select id="reliabilityModule" class="form-input" onchange="civilSuite.setReliabilityModule(this.value)">
+                                    ${Object.keys(modules).map(key => `<option value="${key}" ${key === module ? 'selected' : ''}>${modules[key]}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label for="reliabilitySamples" class="input-label">Samples</label>
+                                    <input type="number" id="reliabilitySamples" value="${samples}" min="${window.reliability.minSamples}" max="${window.reliability.maxSamples}" step="1000" class="form-input"
+                                        onchange="civilSuite.updateReliabilitySetting('samples', this.value)">
+                                </div>
+                                <div>
+                                    <label for="reliabilitySeed" class="input-label">Seed</label>
+                                    <input type="number" id="reliabilitySeed" value="${seed}" min="0" step="1" class="form-input"
+                                        onchange="civilSuite.updateReliabilitySetting('seed', this.value)">
+                                </div>
+                            </div>
+                            <button onclick="civilSuite.runReliability()" class="run-button w-full">🎲 Run Simulation</button>
+                            <button onclick="civilSuite.resetReliabilityVariables()" class="print-button w-full no-print">↺ Reset from Inputs</button>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-4">The reinforcement is fixed as designed for the module's inputs, and capacities are nominal strengths without partial factors.
+                            Loads are multiples of the entered dead and live load cases. The same seed always gives the same results.</p>
+                    </div>
+                </div>
+
+                <div class="xl:col-span-3 space-y-6">
+                    <div class="result-card">
+                        <h3 class="result-title">Random Variables</h3>
+                        <div class="overflow-x-auto">
+                            <table class="w-full border-collapse text-sm">
+                                <thead>
+                                    <tr class="bg-gray-50 dark:bg-gray-700">
+                                        <th class="border p-2 text-left">Variable</th>
+                                        <th class="border p-2">Distribution</th>
+                                        <th class="border p-2">Mean</th>
+                                        <th class="border p-2">COV</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${variables.map((variable, i) => `
+                                        <tr>
+                                            <td class="border p-2">${variable.label} <span class="unit-label">(${variable.unit})</span></td>
+                                            <td class="border p-2">
+                                                <select class="form-input" onchange="civilSuite.updateReliabilityVariable(${i}, 'distribution', this.value)">
+                                                    ${Object.keys(distributions).map(key => `<option value="${key}" ${key === variable.distribution ? 'selected' : ''}>${distributions[key]}</option>`).join('')}
+                                                </select>
+                                            </td>
+                                            <td class="border p-2">
+                                                <input type="number" value="${variable.mean}" min="0" step="any" class="form-input"
+                                                    onchange="civilSuite.updateReliabilityVariable(${i}, 'mean', this.value)">
+                                            </td>
+                                            <td class="border p-2">
+                                                <input type="number" value="${variable.cov}" min="0" step="0.01" class="form-input"
+                                                    onchange="civilSuite.updateReliabilityVariable(${i}, 'cov', this.value)">
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <div class="result-card">
+                        <h3 class="result-title">Reliability</h3>
+                        <div id="reliability-results"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.renderReliabilityResults();
+    }
+
+    renderReliabilityResults() {
+        const container = document.getElementById('reliability-results');
+        if (!container) return;
+        
+        const results = this.app.reliabilityResults;
+        if (!results || results.module !== this.state.reliability.module) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Run the simulation to estimate the probability of failure.</p>';
+            return;
+        }
+        
+        let beta = results.beta !== null ? results.beta.toFixed(2) : null;
+        if (results.failures === 0) beta = `> ${results.betaLimit.toFixed(2)} (no failures sampled)`;
+        if (results.failures === results.samples) beta = `< ${(-results.betaLimit).toFixed(2)} (every sample failed)`;
+        
+        container.innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div class="result-item"><span class="font-medium">Probability of Failure pf:</span>
+                    <span class="result-text">${results.pf.toExponential(3)}${results.pfCov !== null ? ` (COV ${(results.pfCov * 100).toFixed(1)}%)` : ''}</span></div>
+                <div class="result-item"><span class="font-medium">Reliability Index β:</span><span class="result-text">${beta}</span></div>
+                <div class="result-item"><span class="font-medium">Failures:</span><span class="result-text">${results.failures} of ${results.samples} (seed ${results.seed})</span></div>
+                <div class="result-item"><span class="font-medium">Mean of g = 1 - demand/capacity:</span><span class="result-text">${results.meanG.toFixed(3)}</span></div>
+            </div>
+            <h4 class="font-medium mb-2">Importance of the Variables</h4>
+            <table class="w-full border-collapse text-sm">
+                <thead>
+                    <tr class="bg-gray-50 dark:bg-gray-700">
+                        <th class="border p-2 text-left">Variable</th>
+                        <th class="border p-2" title="Sensitivity factor: positive for resistances, negative for loads">α</th>
+                        <th class="border p-2 text-left">Share of α²</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${results.importance.map(variable => `
+                        <tr>
+                            <td class="border p-2">${variable.label}</td>
+                            <td class="border p-2 text-center">${variable.alpha.toFixed(3)}</td>
+                            <td class="border p-2">
+                                <div class="flex items-center gap-2">
+                                    <div class="h-2 rounded bg-blue-500" style="width: ${(variable.share * 100).toFixed(1)}%"></div>
+                                    <span>${(variable.share * 100).toFixed(1)}%</span>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderGoverningCombinations() {
+        const list = document.getElementById('governing-combinations');
+        if (!list) return;
+        
+        const governing = this.app.governingCombinations || {};
+        const modules = { beam: 'Beam', column: 'Column', slab: 'Slab' };
+        list.innerHTML = Object.keys(modules).map(module => `
+            <div class="result-item"><span class="font-medium">${modules[module]}:</span>
+                <span class="result-text">${governing[module]
+                    ? governing[module].ultimate + (governing[module].service ? ` (SLS: ${governing[module].service})` : '')
+                    : 'Not run yet'}</span></div>
+        `).join('');
+    }
+
+    showFrameResults(results) {
+        if (!results) return;
+        
+        // Update status visual
+        const statusEl = document.getElementById('frameStatus');
+        if (statusEl) {
+            statusEl.className = `status-visual ${results.isSafe ? 'pass' : 'fail'}`;
+            statusEl.innerHTML = `
+                <span>${results.statusMessage}</span>
+            `;
+            statusEl.classList.remove('hidden');
+        }
+
+        // Update result values
+        if (results.display) {
+            Object.keys(results.display).forEach(key => {
+                const element = document.getElementById(`frame${key.charAt(0).toUpperCase() + key.slice(1)}`);
+                if (element) {
+                    element.textContent = results.display[key];
+                }
+            });
+        }
+
+        this.renderFrameVisual(this.state.frame, results.results);
+
+        const select = document.getElementById('frameMemberSelect');
+        if (select && results.member) select.value = results.member.id;
+        const combinationSelect = document.getElementById('frameCombinationSelect');
+        if (combinationSelect && results.combination) combinationSelect.value = results.combination.id;
+
+        if (window.chartManager && results.chartData) {
+            window.chartManager.renderFrameMemberCharts(results.chartData);
+        }
+
+        this.renderFrameResultTables(results.results);
+    }
+
+    renderFrameResultTables(results) {
+        const table = (headers, rows) => `
+            <table class="w-full border-collapse">
+                <thead>
+                    <tr class="bg-gray-50 dark:bg-gray-700">${headers.map(h => `<th class="border p-2">${h}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${row.map(value => `<td class="border p-2 text-center">${value}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+        const targets = {
+            'frame-displacement-results': () => table(
+                ['Node', 'ux (mm)', 'uy (mm)', 'θz (rad)'],
+                results.displacements.map(d => [`N${d.node}`, d.ux.toFixed(2), d.uy.toFixed(2), d.rz.toExponential(2)])
+            ),
+            'frame-reaction-results': () => table(
+                ['Node', 'Rx (kN)', 'Ry (kN)', 'Mz (kNm)'],
+                results.reactions.map(r => [`N${r.node}`, r.Rx.toFixed(2), r.Ry.toFixed(2), r.Mz.toFixed(2)])
+            ),
+            'frame-member-results': () => table(
+                ['Member', 'N (kN)', 'Vi / Vj (kN)', 'Mi / Mj (kNm)'],
+                results.members.map(m => [
+                    `M${m.id}`,
+                    m.N.toFixed(2),
+                    `${m.endForces.Vi.toFixed(1)} / ${m.endForces.Vj.toFixed(1)}`,
+                    `${m.endForces.Mi.toFixed(1)} / ${m.endForces.Mj.toFixed(1)}`
+                ])
+            )
+        };
+
+        Object.keys(targets).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = results ? targets[id]() : '';
+        });
+    }
+
+    // Frame drawn to scale in the 600x400 frame-svg, with the deflected shape when solved
+    renderFrameVisual(frame, results) {
+        const svg = document.getElementById('frame-svg');
+        if (!svg) return;
+        
+        const nodeById = new Map(frame.nodes.map(node => [node.id, node]));
+        const xs = frame.nodes.map(node => node.x);
+        const ys = frame.nodes.map(node => node.y);
+        if (!xs.length) {
+            svg.innerHTML = '<text x="300" y="200" text-anchor="middle" fill="#64748b">Add nodes and members to build the frame</text>';
+            return;
+        }
+
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const scale = Math.min(480 / Math.max(maxX - minX, 1e-6), 300 / Math.max(maxY - minY, 1e-6));
+        const toX = (x) => 300 + (x - (minX + maxX) / 2) * scale;
+        const toY = (y) => 200 - (y - (minY + maxY) / 2) * scale;
+        const memberColor = '#4f46e5';
+        const selectedColor = '#f59e0b';
+        const supportColor = '#64748b';
+
+        const supports = frame.nodes.map(node => {
+            const x = toX(node.x), y = toY(node.y);
+            switch(node.support) {
+                case 'fixed':
+                    return `<rect x="${x - 12}" y="${y}" width="24" height="6" fill="${supportColor}"/>`;
+                case 'pinned':
+                    return `<polygon points="${x},${y} ${x - 9},${y + 14} ${x + 9},${y + 14}" fill="${supportColor}"/>`;
+                case 'roller':
+                    return `
+                        <polygon points="${x},${y} ${x - 9},${y + 12} ${x + 9},${y + 12}" fill="${supportColor}"/>
+                        <circle cx="${x - 5}" cy="${y + 16}" r="3" fill="${supportColor}"/>
+                        <circle cx="${x + 5}" cy="${y + 16}" r="3" fill="${supportColor}"/>
+                    `;
+                default:
+                    return '';
+            }
+        }).join('');
+
+        const members = frame.members.map(member => {
+            const ni = nodeById.get(member.i), nj = nodeById.get(member.j);
+            if (!ni || !nj) return '';
+            const color = member.id === frame.selectedMember ? selectedColor : memberColor;
+            const hinge = (node, other) => {
+                const L = Math.hypot(other.x - node.x, other.y - node.y) || 1;
+                const t = 8 / (L * scale);
+                return `<circle cx="${toX(node.x + (other.x - node.x) * t)}" cy="${toY(node.y + (other.y - node.y) * t)}" r="4" fill="white" stroke="${color}" stroke-width="2"/>`;
+            };
+            return `
+                <g style="cursor: pointer" onclick="civilSuite.selectFrameMember(${member.id})">
+                    <line x1="${toX(ni.x)}" y1="${toY(ni.y)}" x2="${toX(nj.x)}" y2="${toY(nj.y)}" stroke="${color}" stroke-width="6" opacity="0.85"/>
+                    <text x="${(toX(ni.x) + toX(nj.x)) / 2 + 6}" y="${(toY(ni.y) + toY(nj.y)) / 2 - 6}" fill="${color}" font-size="11">M${member.id}</text>
+                </g>
+                ${member.releaseStart ? hinge(ni, nj) : ''}
+                ${member.releaseEnd ? hinge(nj, ni) : ''}
+            `;
+        }).join('');
+
+        const nodes = frame.nodes.map(node => `
+            <circle cx="${toX(node.x)}" cy="${toY(node.y)}" r="3" fill="#1e293b"/>
+            <text x="${toX(node.x) - 6}" y="${toY(node.y) - 6}" text-anchor="end" fill="#64748b" font-size="10">N${node.id}</text>
+        `).join('');
+
+        svg.innerHTML = members + supports + nodes + (results ? this.renderFrameDeflectedShape(frame, results, toX, toY, scale) : '');
+    }
+
+    // Nodal displacements interpolated along each member plus its deflection relative to the chord
+    renderFrameDeflectedShape(frame, results, toX, toY, scale) {
+        const nodeById = new Map(frame.nodes.map(node => [node.id, node]));
+        const dispById = new Map(results.displacements.map(d => [d.node, d]));
+        const maxDisp = Math.max(
+            ...results.displacements.map(d => Math.hypot(d.ux, d.uy)),
+            ...results.members.map(m => m.maxDeflection)
+        ) / 1000;
+        if (!(maxDisp > 0)) return '';
+        const magnify = 40 / (maxDisp * scale); // Largest movement drawn as 40px
+
+        return frame.members.map(member => {
+            const result = results.members.find(m => m.id === member.id);
+            const ni = nodeById.get(member.i), nj = nodeById.get(member.j);
+            const di = dispById.get(member.i), dj = dispById.get(member.j);
+            if (!result || !ni || !nj || !di || !dj) return '';
+            const c = (nj.x - ni.x) / result.L;
+            const s = (nj.y - ni.y) / result.L;
+            const points = result.diagram.map(station => {
+                const t = station.x / result.L;
+                const ux = (di.ux + (dj.ux - di.ux) * t) / 1000 + station.y * s;
+                const uy = (di.uy + (dj.uy - di.uy) * t) / 1000 - station.y * c;
+                return `${toX(ni.x + (nj.x - ni.x) * t + ux * magnify)},${toY(ni.y + (nj.y - ni.y) * t + uy * magnify)}`;
+            });
+            return `<polyline points="${points.join(' ')}" fill="none" stroke="#ef4444" stroke-width="2" stroke-dasharray="5,4"/>`;
+        }).join('');
+    }
+
+    syncBeamInputs() {
+        const beam = this.state.beam;
+        const values = {
+            beamType: beam.type,
+            beamLength: beam.L,
+            beamWidth: beam.b,
+            beamDepth: beam.D,
+            beamSectionType: beam.sectionType,
+            beamFlangeThickness: beam.Df,
+            beamSpacing: beam.spacing
+        };
+        Object.keys(values).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = values[id];
+        });
+
+        const source = document.getElementById('beam-frame-source');
+        if (source) {
+            source.classList.toggle('hidden', !beam.frameActions);
+            const label = document.getElementById('beam-frame-source-label');
+            if (label && beam.frameActions) label.textContent = beam.frameActions.source;
+        }
+
+        this.updateBeamModeVisibility();
+        this.renderBeamVisual();
+    }
+
+    setupColumnEventListeners() {
+        this.setupDebouncedInputs(document.getElementById('column-design'));
+        
+        document.getElementById('runColumnButton')?.addEventListener('click', () => {
+            this.showLoading(30, 'Designing column...');
+            setTimeout(() => this.app.runColumnDesign(), 100);
+        });
+
+        document.getElementById('printColumnReport')?.addEventListener('click', () => {
+            this.generateColumnReport();
+        });
+    }
+
+    setupSlabEventListeners() {
+        this.setupDebouncedInputs(document.getElementById('slab-design'));
+        
+        document.getElementById('runSlabButton')?.addEventListener('click', () => {
+            this.showLoading(30, 'Designing slab...');
+            setTimeout(() => this.app.runSlabDesign(), 100);
+        });
+
+        document.getElementById('printSlabReport')?.addEventListener('click', () => {
+            this.generateSlabReport();
+        });
+    }
+
+    setupFrameEventListeners() {
+        document.getElementById('generateFrameButton')?.addEventListener('click', () => {
+            this.app.generateFrame();
+        });
+
+        document.getElementById('runFrameButton')?.addEventListener('click', () => {
+            this.showLoading(30, 'Analyzing frame...');
+            setTimeout(() => this.app.runFrameAnalysis(), 100);
         });
     }
 
@@ -952,6 +2809,15 @@ class UIManager {
                 const projectData = JSON.parse(e.target.result);
                 if (projectData.type === 'civil-suite-project') {
                     Object.assign(this.state, projectData.state);
+                    this.state.materials = window.materialLibrary.setCustomMaterials(this.state.materials);
+                    window.designCodes.setActive(this.state.designCode || 'IS456');
+                    this.state.designCode = window.designCodes.activeId;
+                    this.renderDesignCodeOptions();
+                    this.renderBeamMaterialOptions();
+                    this.renderBeamLoadList();
+                    this.syncBeamInputs();
+                    this.syncInfluenceInputs();
+                    this.renderBeamSpanTable();
                     this.app.runActiveAnalysis();
                     this.showToast('Project imported successfully!', 'success');
                 } else {